@@ -0,0 +1,302 @@
+// Named fixture scenarios for the mock RotoEdge API. Each scenario is a function that builds a fresh
+// copy of the server state. Dates (ship dates, hard breaks) are built relative to the time the
+// scenario is loaded so the data always lands around the scheduler's current time line.
+//
+// State shape:
+// {
+//   machines: [],           machine-scheduling response
+//   arms: [],               arms of every machine (the machine-display arms)
+//   molding: [],            orders currently molding. Each order has an `arm` and `scheduled_resource_id`
+//   loadQueues: {},         armId -> enhanced-loadqueue objects
+//   counterWeights: {},     armId -> counter weights
+//   unscheduledOrders: {},  armId -> orders assigned to the arm but not scheduled
+//   hardBreaks: {},         armId -> hard breaks
+//   maintenanceWindows: {}, armId -> maintenance windows. Optional, arms without any have none
+// }
+
+const vancouver = require("./fixtures/vancouver.json");
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const DESCRIPTIONS = [
+  "Hotsy Tank 8.757-693.0 - XLBLA",
+  "FuelTank-42105(Rev K) NYLON IM",
+  "Stallion 10.0 Sol Tank-FILTRIF",
+  "8 Gallon Fuel Tank-BLANK (8.70",
+  "Stowaway II Lid - EGGSHELL",
+  "Fuel Tank-Diesel 14.4G- XL Yel",
+  "3500 Cover MX4774 - DK BLUE",
+  "Container 6G 14-0506 - XL GREE",
+  "T15 Filter Housing - BLACK",
+  "PA-240 Pedestal - MUNSEL GREEN",
+];
+
+const OVEN_TEMPS = [500, 525, 550, 575];
+
+// Deep copy so a scenario can be reloaded after the state was modified by saves
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Formats a date like the API does. IE: "Sep 20, 2021"
+const formatShipDate = (date) =>
+  `${MONTHS[date.getMonth()]} ${String(date.getDate()).padStart(
+    2,
+    "0"
+  )}, ${date.getFullYear()}`;
+
+const addDays = (date, days) =>
+  new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Small seeded random generator so generated scenarios are the same every time they're loaded
+const createRandom = (seed) => {
+  let value = seed;
+  const next = () => {
+    value = (value * 16807) % 2147483647;
+    return (value - 1) / 2147483646;
+  };
+  next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  next.pick = (list) => list[Math.floor(next() * list.length)];
+  return next;
+};
+
+// Builds an order with the fields shared by every endpoint. Each endpoint shape is mapped from it.
+const createOrder = (random, id, armId, now) => {
+  const description = random.pick(DESCRIPTIONS);
+  return {
+    id,
+    work_order_number: String(20000 + id).padStart(7, "0"),
+    item: `01-${random.int(10000, 10999)}-00${random.int(1, 3)}`,
+    description,
+    balance: random.int(5, 60),
+    takt: random.int(4, 15),
+    ship_date: formatShipDate(addDays(now, random.int(-5, 40))),
+    mold_volume: random.int(5, 60),
+    temp: random.pick(OVEN_TEMPS),
+    time: random.int(18, 24),
+    arm: armId,
+  };
+};
+
+// Maps a generated order to the enhanced-loadqueue shape
+const toLoadQueueEntry = (order, resourceId, previous) => ({
+  id: order.id,
+  color: "in_loadqueue",
+  load_after: previous
+    ? `${previous.work_order_number}; ${previous.item}`
+    : null,
+  load_after_id: previous ? previous.id : null,
+  order: order.work_order_number,
+  number: order.id,
+  item: order.item,
+  description: order.description,
+  balance: order.balance,
+  ship_date: order.ship_date,
+  takt: order.takt,
+  volume: `${order.mold_volume}'`,
+  mold_volume: order.mold_volume,
+  temp: order.temp,
+  time: order.time,
+  under_privilege_loadable: false,
+  quantity: 1,
+  scheduled_resource_id: resourceId,
+});
+
+// Maps a generated order to the machine-display / unscheduled-orders shape
+const toWorkOrder = (order, extra = {}) => ({
+  id: order.id,
+  parent_work_order: "-",
+  number: order.work_order_number,
+  work_order_number: order.work_order_number,
+  item: order.item,
+  item_takt: order.takt,
+  description: order.description,
+  type: "Moldable",
+  factory: "Vancouver, WA",
+  factory_code: "VAN",
+  status: "Open",
+  ship_date: order.ship_date,
+  balance: order.balance,
+  mold_volume: order.mold_volume,
+  temp: order.temp,
+  time: order.time,
+  mold_load_status: "1/1",
+  arm: order.arm,
+  ...extra,
+});
+
+// Generates the molding orders, load queues and unscheduled orders of the passed arms.
+// Every row starts with an order that is currently molding followed by a chain of queued orders.
+const generateArmData = (state, arms, options) => {
+  const {
+    seed = 1,
+    rowsPerArm = 2,
+    ordersPerRow = 4,
+    unscheduledPerArm = 3,
+    now,
+  } = options;
+  const random = createRandom(seed);
+  let nextId = options.firstId || 1000;
+
+  arms.forEach((arm) => {
+    const loadQueue = [];
+    for (let row = 1; row <= rowsPerArm; row++) {
+      const resourceId = `${arm.id}-r${row}`;
+      const molding = createOrder(random, nextId++, arm.id, now);
+      state.molding.push(
+        toWorkOrder(molding, { scheduled_resource_id: resourceId })
+      );
+
+      let previous = molding;
+      for (let i = 0; i < ordersPerRow; i++) {
+        const order = createOrder(random, nextId++, arm.id, now);
+        loadQueue.push(toLoadQueueEntry(order, resourceId, previous));
+        previous = order;
+      }
+    }
+    state.loadQueues[arm.id] = loadQueue;
+
+    const unscheduled = [];
+    for (let i = 0; i < unscheduledPerArm; i++) {
+      unscheduled.push(toWorkOrder(createOrder(random, nextId++, arm.id, now)));
+    }
+    state.unscheduledOrders[arm.id] = unscheduled;
+  });
+
+  return nextId;
+};
+
+// The frozen data from src/data: machine 310-WA with arms 62 and 63. The fixture adds synthetic oven
+// settings (temp / time) to the orders so the oven compatibility checks have data to work with.
+const defaultScenario = (now) => {
+  const state = clone(vancouver);
+  state.machines = state.machines.filter((machine) => machine.id === 19);
+  state.arms = state.arms.filter((arm) => arm.machine_id === 19);
+  state.hardBreaks = {
+    62: [
+      { id: 123, start: addDays(now, 1).toISOString(), notes: "something!" },
+    ],
+  };
+  return state;
+};
+
+// Every machine of the factory. The arms that have no frozen data get generated queues.
+const multiMachineScenario = (now) => {
+  const state = clone(vancouver);
+  state.hardBreaks = {};
+  const armsWithoutData = state.arms.filter(
+    (arm) => !state.loadQueues[arm.id] && !state.unscheduledOrders[arm.id]
+  );
+  generateArmData(state, armsWithoutData, { seed: 7, now });
+  return state;
+};
+
+// Arm 62 holds load queues with every kind of broken load_after chain
+const brokenChainsScenario = (now) => {
+  const state = defaultScenario(now);
+  const random = createRandom(13);
+  const order = (id, resourceId, loadAfter) => ({
+    ...toLoadQueueEntry(createOrder(random, id, 62, now), resourceId, null),
+    load_after: loadAfter,
+  });
+
+  state.loadQueues[62] = [
+    // Two roots in the same row
+    order(500, "62-r1", null),
+    order(501, "62-r1", null),
+    // No root: both orders load after each other (cycle)
+    {
+      ...order(502, "62-r2", null),
+      order: "0050200",
+      load_after: "0050300; x",
+    },
+    {
+      ...order(503, "62-r2", null),
+      order: "0050300",
+      load_after: "0050200; x",
+    },
+    // Dangling load_after: the previous order doesn't exist
+    order(504, "62-r3", "9999999; 01-00000-000"),
+    // Duplicate work order numbers
+    { ...order(505, "62-r4", null), order: "0050500" },
+    { ...order(506, "62-r4", "0050500; x"), order: "0050500" },
+  ];
+  // Drop the molding orders so the rows only hold the broken chains above
+  state.molding = [];
+  state.counterWeights = {};
+  return state;
+};
+
+// Arm 63 is shut down and arm 72 is flagged as critical. Arm 62 has a weekly mold inspection.
+const armShutdownScenario = (now) => {
+  const state = defaultScenario(now);
+  const inspection = addDays(now, 2);
+  inspection.setHours(10, 0, 0, 0);
+  state.maintenanceWindows = {
+    62: [
+      {
+        id: 1,
+        name: "Mold inspection",
+        start: inspection.toISOString(),
+        end: new Date(inspection.getTime() + 2 * 3600000).toISOString(),
+        row: null,
+        recurrence: "weekly",
+        until: null,
+      },
+    ],
+  };
+  state.arms = state.arms.map((arm) => {
+    if (arm.id === 63) {
+      return { ...arm, shutdown: true };
+    }
+    if (arm.id === 72) {
+      return { ...arm, critical: true };
+    }
+    return arm;
+  });
+  generateArmData(
+    state,
+    state.arms.filter((arm) => arm.id === 63),
+    { seed: 21, now }
+  );
+  return state;
+};
+
+// Every machine with thousands of orders to exercise rendering and the ripple logic
+const largeScenario = (now) => {
+  const state = clone(vancouver);
+  state.molding = [];
+  state.loadQueues = {};
+  state.counterWeights = {};
+  state.unscheduledOrders = {};
+  state.hardBreaks = {};
+  generateArmData(state, state.arms, {
+    seed: 42,
+    rowsPerArm: 6,
+    ordersPerRow: 50,
+    unscheduledPerArm: 40,
+    now,
+  });
+  return state;
+};
+
+const scenarios = {
+  default: defaultScenario,
+  "multi-machine": multiMachineScenario,
+  "broken-chains": brokenChainsScenario,
+  "arm-shutdown": armShutdownScenario,
+  large: largeScenario,
+};
+
+module.exports = { scenarios };
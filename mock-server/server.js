@@ -0,0 +1,202 @@
+// Local stand-in for the RotoEdge API (experimental.rotoedgepro.com). Serves the endpoints used by
+// src/lib/RotoEdgeApi.ts from an in-memory store that is built from a named fixture scenario.
+//
+// Usage:
+//   npm run mock-api                          (default scenario)
+//   npm run mock-api -- --scenario large      (or MOCK_API_SCENARIO=large)
+//
+// Environment variables:
+//   MOCK_API_PORT      Port to listen on. Defaults to 4000 (the dev server proxies to it)
+//   MOCK_API_DELAY     Delay in ms added to every response, useful to see the loading states
+//   MOCK_API_SCENARIO  Scenario loaded on start
+
+const http = require("http");
+const { URL } = require("url");
+const { MockStore, ValidationError } = require("./store");
+const { scenarios } = require("./scenarios");
+
+const PORT = +process.env.MOCK_API_PORT || 4000;
+const DELAY = +process.env.MOCK_API_DELAY || 0;
+
+const scenarioArgIndex = process.argv.indexOf("--scenario");
+const initialScenario =
+  (scenarioArgIndex !== -1 && process.argv[scenarioArgIndex + 1]) ||
+  process.env.MOCK_API_SCENARIO ||
+  "default";
+
+const store = new MockStore(initialScenario);
+
+const PERMISSIONS = {
+  view: true,
+  create: true,
+  edit: true,
+  delete: true,
+  export: true,
+  import: true,
+};
+
+// Error with the status code that is sent back to the client
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Helper function that runs a change on the store. Malformed changes are the client's fault, so
+// they're answered with a 400 instead of a 500.
+const applyChange = (change) => {
+  try {
+    return change();
+  } catch (e) {
+    if (e instanceof ValidationError) {
+      throw new HttpError(400, e.message);
+    }
+    throw e;
+  }
+};
+
+// Helper function that reads a numeric query parameter and fails if it's missing
+const getIdParam = (url, name) => {
+  const value = url.searchParams.get(name);
+  if (value === null || Number.isNaN(+value)) {
+    throw new HttpError(400, `Query parameter "${name}" is required`);
+  }
+  return +value;
+};
+
+// Helper function that returns the arm of the armId query parameter
+const getArm = (url) => {
+  const armId = getIdParam(url, "armId");
+  const arm = store.getArm(armId);
+  if (!arm) {
+    throw new HttpError(404, `Arm ${armId} doesn't exist`);
+  }
+  return arm;
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      let json;
+      try {
+        json = body ? JSON.parse(body) : {};
+      } catch (e) {
+        reject(new HttpError(400, "Request body must be valid JSON"));
+        return;
+      }
+      // Every endpoint takes an object (IE: the modifications of an arm), so null, arrays and other
+      // values are rejected before the handlers read fields off them
+      if (!json || typeof json !== "object" || Array.isArray(json)) {
+        reject(new HttpError(400, "Request body must be a JSON object"));
+        return;
+      }
+      resolve(json);
+    });
+    req.on("error", reject);
+  });
+
+// Routes keyed by `${method} ${pathname}`
+const routes = {
+  "GET /api/orders/machine-scheduling/": () => ({
+    machines: store.state.machines,
+    arms: store.state.arms,
+  }),
+
+  "GET /api/inventory/machine-display/": (url) => {
+    const machineId = getIdParam(url, "machineId");
+    if (!store.getMachine(machineId)) {
+      throw new HttpError(404, `Machine ${machineId} doesn't exist`);
+    }
+    return store.getMachineDisplay(machineId);
+  },
+
+  "GET /api/orders/enhanced-loadqueue/": (url) => ({
+    objects: store.getArmList("loadQueues", getArm(url).id),
+    permissions: PERMISSIONS,
+  }),
+
+  "POST /api/orders/enhanced-loadqueue/": async (url, req) => {
+    const arm = getArm(url);
+    const modifications = await readBody(req);
+    return {
+      objects: applyChange(() => store.saveArm(arm.id, modifications)),
+      permissions: PERMISSIONS,
+    };
+  },
+
+  "GET /api/orders/unscheduled-orders/": (url) => ({
+    unscheduled_orders: store.getArmList("unscheduledOrders", getArm(url).id),
+  }),
+
+  "GET /api/orders/counter-weights/": (url) => ({
+    counter_weights: store.getArmList("counterWeights", getArm(url).id),
+  }),
+
+  "GET /api/orders/hard-breaks/": (url) => ({
+    hard_breaks: store.getArmList("hardBreaks", getArm(url).id),
+  }),
+
+  "GET /api/orders/maintenance-windows/": (url) => ({
+    maintenance_windows: store.getArmList("maintenanceWindows", getArm(url).id),
+  }),
+
+  // Lists the scenarios and the one that is loaded
+  "GET /__mock/scenarios/": () => ({
+    active: store.scenario,
+    scenarios: Object.keys(scenarios),
+  }),
+
+  // Loads a scenario, discarding every saved change. Body: { "scenario": "large" }
+  "POST /__mock/scenarios/": async (url, req) => {
+    const { scenario } = await readBody(req);
+    applyChange(() => store.load(scenario));
+    return { active: store.scenario };
+  },
+};
+
+const send = (res, status, body) => {
+  setTimeout(() => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      // Allows the app to call the server directly through REACT_APP_ROTOEDGE_API_URL
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type, Accept",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  }, DELAY);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  // Accept paths with or without the trailing slash
+  const pathname = url.pathname.endsWith("/")
+    ? url.pathname
+    : `${url.pathname}/`;
+
+  if (req.method === "OPTIONS") {
+    send(res, 204);
+    return;
+  }
+
+  const route = routes[`${req.method} ${pathname}`];
+  if (!route) {
+    send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    return;
+  }
+
+  try {
+    send(res, 200, await route(url, req));
+  } catch (e) {
+    send(res, e.status || 500, { error: e.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock RotoEdge API listening on http://localhost:${PORT} (scenario: ${store.scenario})`
+  );
+});
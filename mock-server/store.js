@@ -0,0 +1,306 @@
+// In-memory state of the mock RotoEdge API. The state is built from a named scenario (see
+// scenarios.js) and is kept between requests until the server restarts or another scenario is loaded.
+
+const { scenarios } = require("./scenarios");
+
+// Error in the data sent to the store (IE: an unknown scenario or a malformed save). The server
+// answers it with a 400.
+class ValidationError extends Error {}
+
+class MockStore {
+  constructor(scenario = "default") {
+    this.load(scenario);
+  }
+
+  // Replaces the state with a fresh copy of the scenario
+  load(scenario) {
+    // Names like "constructor" are properties of every object, so only the scenarios themselves count
+    if (!Object.prototype.hasOwnProperty.call(scenarios, scenario)) {
+      throw new ValidationError(
+        `Unknown scenario "${scenario}". Available scenarios: ${Object.keys(
+          scenarios
+        ).join(", ")}`
+      );
+    }
+    this.scenario = scenario;
+    this.state = scenarios[scenario](new Date());
+  }
+
+  getArm(armId) {
+    return this.state.arms.find((arm) => arm.id === armId);
+  }
+
+  getMachine(machineId) {
+    return this.state.machines.find((machine) => machine.id === machineId);
+  }
+
+  getMachineDisplay(machineId) {
+    const arms = this.state.arms.filter((arm) => arm.machine_id === machineId);
+    const armIds = arms.map((arm) => arm.id);
+    return {
+      arms,
+      orders: this.state.molding.filter((order) => armIds.includes(order.arm)),
+    };
+  }
+
+  // Returns the list stored under the arm, creating it when the arm has no data yet
+  getArmList(key, armId) {
+    if (!this.state[key]) {
+      this.state[key] = {};
+    }
+    const lists = this.state[key];
+    if (!lists[armId]) {
+      lists[armId] = [];
+    }
+    return lists[armId];
+  }
+
+  // Returns the load queue entry of an order along with the load queue of its arm, or null when the
+  // order isn't queued on any arm
+  findQueuedOrder(id) {
+    const loadQueues = this.state.loadQueues || {};
+    return Object.keys(loadQueues).reduce((found, armId) => {
+      const order = loadQueues[armId].find((other) => other.id === id);
+      return found || (order ? { order, loadQueue: loadQueues[armId] } : null);
+    }, null);
+  }
+
+  // Applies the modifications sent by the scheduler's "Save Changes" button (see saveChanges() in
+  // src/components/Scheduler.tsx). Nothing is applied when they're malformed.
+  saveArm(armId, modifications) {
+    validateModifications(modifications);
+    const loadQueue = this.getArmList("loadQueues", armId);
+    const unscheduledOrders = this.getArmList("unscheduledOrders", armId);
+    const counterWeights = this.getArmList("counterWeights", armId);
+    const hardBreaks = this.getArmList("hardBreaks", armId);
+    const maintenanceWindows = this.getArmList("maintenanceWindows", armId);
+    const {
+      loadQueue: loadQueueChanges = [],
+      unscheduledOrders: unscheduledIds = [],
+      removedCounterWeights = [],
+      transferredOrders = [],
+      splits = [],
+      hardBreaks: hardBreakChanges = {},
+      maintenanceWindows: maintenanceChanges = {},
+      locks = [],
+    } = modifications;
+
+    // Orders moved back to the list of unscheduled orders
+    unscheduledIds.forEach((id) => {
+      const index = loadQueue.findIndex((order) => order.id === id);
+      if (index !== -1) {
+        const [order] = loadQueue.splice(index, 1);
+        unscheduledOrders.push(toUnscheduledOrder(order, armId));
+      }
+    });
+
+    removeById(counterWeights, removedCounterWeights);
+
+    // Orders dragged to another arm of the machine. They wait in the unscheduled orders of that arm
+    // until it's saved with where they go, unless it already was.
+    transferredOrders.forEach(({ id, arm }) => {
+      const index = loadQueue.findIndex((order) => order.id === id);
+      if (index !== -1) {
+        const [order] = loadQueue.splice(index, 1);
+        this.getArmList("unscheduledOrders", arm).push(
+          toUnscheduledOrder(order, arm)
+        );
+      }
+    });
+
+    // Orders whose balance was split. New parts are copies of the order they were split from and
+    // start as unscheduled orders. The load queue changes below plot the ones that were scheduled.
+    splits.forEach(({ id, ...fields }) => {
+      const existing = findById([loadQueue, unscheduledOrders], id);
+      if (existing) {
+        Object.assign(existing, fields);
+        return;
+      }
+      const parent = findById([loadQueue, unscheduledOrders], fields.split_of);
+      if (parent) {
+        unscheduledOrders.push({
+          ...(loadQueue.includes(parent)
+            ? toUnscheduledOrder(parent, armId)
+            : parent),
+          ...fields,
+          id,
+          item_currently_molding: false,
+          locked_start: null,
+        });
+      }
+    });
+
+    loadQueueChanges.forEach((change) => {
+      const { type, ...fields } = change;
+      if (type === "counter_weight") {
+        const counterWeight = counterWeights.find((cw) => cw.id === change.id);
+        if (counterWeight) {
+          Object.assign(counterWeight, fields);
+        } else {
+          counterWeights.push(fields);
+        }
+        return;
+      }
+
+      const queued = loadQueue.find((order) => order.id === change.id);
+      if (queued) {
+        Object.assign(queued, fields);
+        return;
+      }
+
+      // The order was dragged from the list of unscheduled orders onto the scheduler
+      const index = unscheduledOrders.findIndex(
+        (order) => order.id === change.id
+      );
+      if (index !== -1) {
+        const [order] = unscheduledOrders.splice(index, 1);
+        loadQueue.push({ ...toLoadQueueEntry(order), ...fields });
+        return;
+      }
+
+      // The order was dragged in from another arm of the machine that wasn't saved since
+      const from = this.findQueuedOrder(change.id);
+      if (from) {
+        from.loadQueue.splice(from.loadQueue.indexOf(from.order), 1);
+        loadQueue.push({ ...from.order, ...fields });
+      }
+    });
+
+    // Orders and counter weights locked to a start or unlocked. Applied once the load queue changes
+    // above placed the orders that were dropped on the arm.
+    locks.forEach(({ id, type, locked_start }) => {
+      const entry =
+        type === "counter_weight"
+          ? counterWeights.find((cw) => cw.id === id)
+          : loadQueue.find((order) => order.id === id);
+      if (entry) {
+        entry.locked_start = locked_start || null;
+      }
+    });
+
+    applyListChanges(hardBreaks, hardBreakChanges);
+    applyListChanges(maintenanceWindows, maintenanceChanges);
+
+    return loadQueue;
+  }
+}
+
+// Helper function that returns true if a value is an object (and not null or an array)
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Helper function that returns true if a value can be the id of an order or a list item
+const isId = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "string" && value !== "");
+
+// Helper function that returns true if a value is an item with an id (IE: a load queue change)
+const isItem = (value) => isObject(value) && isId(value.id);
+
+// Helper function that checks an optional list of the modifications. It must be an array whose every
+// entry passes the check.
+const checkList = (list, name, isValid, expected) => {
+  if (list === undefined) {
+    return;
+  }
+  if (!Array.isArray(list)) {
+    throw new ValidationError(`"${name}" must be an array`);
+  }
+  const index = list.findIndex((entry) => !isValid(entry));
+  if (index !== -1) {
+    throw new ValidationError(`"${name}[${index}]" must be ${expected}`);
+  }
+};
+
+// Helper function that checks the shape of the modifications of an arm before any of them is applied
+const validateModifications = (modifications) => {
+  const item = "an object with an id";
+  checkList(modifications.loadQueue, "loadQueue", isItem, item);
+  checkList(
+    modifications.unscheduledOrders,
+    "unscheduledOrders",
+    isId,
+    "an id"
+  );
+  checkList(
+    modifications.removedCounterWeights,
+    "removedCounterWeights",
+    isId,
+    "an id"
+  );
+  checkList(
+    modifications.transferredOrders,
+    "transferredOrders",
+    (entry) => isItem(entry) && isId(entry.arm),
+    "an object with an id and an arm"
+  );
+  checkList(modifications.splits, "splits", isItem, item);
+  checkList(modifications.locks, "locks", isItem, item);
+  ["hardBreaks", "maintenanceWindows"].forEach((key) => {
+    const changes = modifications[key];
+    if (changes === undefined) {
+      return;
+    }
+    if (!isObject(changes)) {
+      throw new ValidationError(`"${key}" must be an object`);
+    }
+    checkList(changes.added, `${key}.added`, isItem, item);
+    checkList(changes.modified, `${key}.modified`, isItem, item);
+    checkList(changes.removed, `${key}.removed`, isId, "an id");
+  });
+};
+
+// Helper function that applies the added, modified and removed items of a list (IE: hard breaks)
+const applyListChanges = (
+  list,
+  { added = [], modified = [], removed = [] }
+) => {
+  removeById(list, removed);
+  [...added, ...modified].forEach((change) => {
+    const item = list.find((other) => other.id === change.id);
+    if (item) {
+      Object.assign(item, change);
+    } else {
+      list.push(change);
+    }
+  });
+};
+
+// Helper function that returns the item with the passed id from the first list that has it
+const findById = (lists, id) =>
+  lists.reduce(
+    (found, list) => found || list.find((item) => item.id === id),
+    undefined
+  );
+
+// Helper function that removes the items with the passed ids from a list
+const removeById = (list, ids) => {
+  ids.forEach((id) => {
+    const index = list.findIndex((item) => item.id === id);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  });
+};
+
+// Maps an unscheduled order (work order shape) to the enhanced-loadqueue shape
+const toLoadQueueEntry = (order) => ({
+  ...order,
+  color: "in_loadqueue",
+  order: order.work_order_number,
+  takt: order.item_takt,
+});
+
+// Maps an enhanced-loadqueue entry back to the unscheduled orders (work order shape)
+const toUnscheduledOrder = (order, armId) => ({
+  ...order,
+  work_order_number: order.order,
+  number: order.order,
+  item_takt: order.takt,
+  arm: armId,
+  load_after: null,
+  load_after_id: null,
+  scheduled_resource_id: null,
+});
+
+module.exports = { MockStore, ValidationError };
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+
+const { MockStore, ValidationError } = require("./store");
+
+// Helper function that returns the ids of the orders of a list of the state, by arm
+const getIds = (store, key, armId) =>
+  store.getArmList(key, armId).map((order) => order.id);
+
+describe("MockStore.load", () => {
+  it("replaces the state with a fresh copy of the scenario", () => {
+    const store = new MockStore();
+    store.saveArm(62, { unscheduledOrders: [80] });
+    store.load("default");
+
+    expect(store.scenario).toBe("default");
+    expect(getIds(store, "loadQueues", 62)).toContain(80);
+  });
+
+  it("rejects unknown scenarios and keeps the state", () => {
+    const store = new MockStore();
+    const { state } = store;
+
+    ["missing", "constructor", "toString", "__proto__"].forEach((scenario) => {
+      expect(() => store.load(scenario)).toThrow(ValidationError);
+    });
+    expect(store.scenario).toBe("default");
+    expect(store.state).toBe(state);
+  });
+});
+
+describe("MockStore.saveArm", () => {
+  it("moves orders back to the unscheduled orders and relinks the load queue", () => {
+    const store = new MockStore();
+    store.saveArm(62, {
+      unscheduledOrders: [80],
+      loadQueue: [
+        {
+          id: 81,
+          type: "order",
+          scheduled_resource_id: "62-r2",
+          load_after: "0013413; 01-10118-002",
+          load_after_id: 4187,
+          locked_start: null,
+        },
+      ],
+    });
+
+    expect(getIds(store, "loadQueues", 62)).not.toContain(80);
+    expect(getIds(store, "unscheduledOrders", 62)).toContain(80);
+    const order = store.getArmList("loadQueues", 62).find((o) => o.id === 81);
+    expect(order.load_after).toBe("0013413; 01-10118-002");
+  });
+
+  it("locks orders once the load queue changes are applied", () => {
+    const store = new MockStore();
+    store.saveArm(62, {
+      loadQueue: [{ id: 400, type: "order", scheduled_resource_id: "62-r3" }],
+      locks: [{ id: 400, type: "order", locked_start: "2021-09-20T08:00" }],
+    });
+
+    const order = store.getArmList("loadQueues", 62).find((o) => o.id === 400);
+    expect(order.scheduled_resource_id).toBe("62-r3");
+    expect(order.locked_start).toBe("2021-09-20T08:00");
+  });
+
+  it("applies the added, modified and removed hard breaks", () => {
+    const store = new MockStore();
+    store.saveArm(62, {
+      hardBreaks: {
+        added: [{ id: 5, start: "2021-09-20T08:00" }],
+        removed: [123],
+      },
+    });
+
+    expect(getIds(store, "hardBreaks", 62)).toEqual([5]);
+  });
+
+  it.each([
+    [{ loadQueue: null }, '"loadQueue" must be an array'],
+    [{ loadQueue: [null] }, '"loadQueue[0]" must be an object with an id'],
+    [{ loadQueue: [{ type: "order" }] }, '"loadQueue[0]" must be an object'],
+    [{ unscheduledOrders: [{}] }, '"unscheduledOrders[0]" must be an id'],
+    [{ transferredOrders: [{ id: 80 }] }, '"transferredOrders[0]" must be'],
+    [{ locks: {} }, '"locks" must be an array'],
+    [{ hardBreaks: [] }, '"hardBreaks" must be an object'],
+    [{ hardBreaks: { added: "x" } }, '"hardBreaks.added" must be an array'],
+    [{ hardBreaks: { removed: [null] } }, '"hardBreaks.removed[0]" must be'],
+    [
+      { maintenanceWindows: { modified: [1] } },
+      '"maintenanceWindows.modified[0]" must be',
+    ],
+  ])("rejects malformed modifications (%j)", (modifications, message) => {
+    const store = new MockStore();
+    const before = JSON.stringify(store.state);
+
+    expect(() =>
+      store.saveArm(62, {
+        // The valid changes sent along aren't applied either
+        unscheduledOrders: [80],
+        ...modifications,
+      })
+    ).toThrow(message);
+    expect(JSON.stringify(store.state)).toBe(before);
+  });
+});
@@ -0,0 +1,313 @@
+// Computes and validates the schedule of an arm from JSON exports of the RotoEdge API, without the
+// planner. The orders are placed by the same scheduling engine the planner uses
+// (src/lib/ScheduleEngine.js), then their start / end times, the problems found in the load_after
+// chains (diagnostics), their lateness and the rule violations of the arm are printed as JSON or CSV.
+//
+// Usage:
+//   npm run check-schedule -- --load-queue loadqueue.json [options]
+//
+// Options:
+//   --load-queue <file>       enhanced-loadqueue response ({ objects } or an array of orders). Required.
+//   --machine-display <file>  machine-display response. Adds the orders that are currently molding on
+//                             the arm and the capacity of the arm.
+//   --counter-weights <file>  counter weights of the arm ({ counter_weights } or an array)
+//   --hard-breaks <file>      hard breaks of the arm ({ hard_breaks } or an array)
+//   --maintenance-windows <file>  maintenance windows of the arm ({ maintenance_windows } or an array)
+//   --arm <id>                id of the arm. Defaults to the arm of the rows in the load queue.
+//   --factory <id>            factory of the machine. Picks the working calendar (FACTORY_CALENDARS).
+//   --dual-oven-times         the machine can pull molds out at two different oven times
+//   --capacity <volume>       volume capacity of the arm. Overrides the one in machine-display.
+//   --now <date>              date the queue starts at (IE: the date of the export). Defaults to now.
+//   --format json|csv         output format. Defaults to json.
+//   --output <file>           file to write to. Defaults to stdout.
+//   --check                   exit with code 1 when the schedule has diagnostics or violations
+//
+// Exits with code 2 when the options or the files can't be read.
+
+const fs = require("fs");
+const path = require("path");
+
+// The engine is written for the browser bundle (ES modules and TypeScript), so it's compiled on the
+// fly the same way Create React App compiles it for the tests
+process.env.BABEL_ENV = "test";
+require("@babel/register")({
+  presets: [require.resolve("babel-preset-react-app")],
+  extensions: [".js", ".jsx", ".ts", ".tsx"],
+  only: [path.resolve(__dirname, "../src")],
+  cache: false,
+});
+
+const { scheduleArm, getOrderConflicts } = require("../src/lib/ScheduleEngine");
+const {
+  getFactoryCalendar,
+  getOvenRule,
+  getOrderLabel,
+} = require("../src/lib/Util");
+
+// Error in the options or the files passed to the script
+class UsageError extends Error {}
+
+const FLAGS = ["--dual-oven-times", "--check"];
+
+// Helper function that reads the options passed to the script (IE: { "load-queue": "file.json" })
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new UsageError(`Unexpected argument "${arg}"`);
+    }
+    if (FLAGS.includes(arg)) {
+      options[arg.slice(2)] = true;
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith("--")) {
+      throw new UsageError(`Option "${arg}" needs a value`);
+    } else {
+      options[arg.slice(2)] = argv[++i];
+    }
+  }
+  return options;
+};
+
+// Helper function that reads a JSON file. Returns the list under `key` when the file holds an API
+// response, or the file itself when it's already a list.
+const readList = (file, key) => {
+  if (!file) {
+    return [];
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new UsageError(`Unable to read ${file}: ${e.message}`);
+  }
+  if (Array.isArray(json)) {
+    return json;
+  }
+  if (json && Array.isArray(json[key])) {
+    return json[key];
+  }
+  throw new UsageError(`${file} has no "${key}" list`);
+};
+
+// Helper function that returns the arm id of a row id (IE: "62-r3" -> 62)
+const getArmId = (rowId) => +`${rowId}`.split("-r")[0];
+
+// Helper function that rounds a number of hours for display
+const roundHours = (ms) => Math.round((ms / 3600000) * 10) / 10;
+
+// Helper function that formats a date, or returns null when there's none
+const formatDate = (date) => (date ? date.toISOString() : null);
+
+// Helper function that maps a placed order to what is reported for it
+const toOrderReport = (order, conflicts) => {
+  const endDate = new Date(order.startDate.getTime() + order.duration);
+  const { capacityConflict, ovenConflict, lateness } = conflicts[order.id];
+  return {
+    id: order.id,
+    label: getOrderLabel(order),
+    type: order.type === "counter_weight" ? "counter_weight" : "order",
+    row: order.resourceId,
+    start: formatDate(order.startDate),
+    end: formatDate(endDate),
+    working_hours: roundHours(order.workingDuration),
+    currently_molding: Boolean(order.item_currently_molding),
+    ship_date: formatDate(order.shipDate),
+    lateness_hours: lateness === null ? null : roundHours(lateness),
+    capacity_conflict: capacityConflict,
+    oven_conflict: ovenConflict,
+    hard_break_conflict: Boolean(order.hardBreakConflict),
+    lock_conflict: order.lockConflict || null,
+  };
+};
+
+// Helper function that computes the schedule of the arm described by the options
+const checkSchedule = (options) => {
+  if (!options["load-queue"]) {
+    throw new UsageError('Option "--load-queue" is required');
+  }
+  const loadQueue = readList(options["load-queue"], "objects");
+  const machineDisplay = options["machine-display"]
+    ? {
+        arms: readList(options["machine-display"], "arms"),
+        orders: readList(options["machine-display"], "orders"),
+      }
+    : { arms: [], orders: [] };
+
+  const armId = options.arm
+    ? +options.arm
+    : loadQueue.length
+    ? getArmId(loadQueue[0].scheduled_resource_id)
+    : machineDisplay.arms.length === 1
+    ? machineDisplay.arms[0].id
+    : NaN;
+  if (Number.isNaN(armId)) {
+    throw new UsageError('Option "--arm" is required to tell the arm apart');
+  }
+  const arm = machineDisplay.arms.find((other) => other.id === armId) || {};
+  const capacity =
+    options.capacity !== undefined
+      ? +options.capacity
+      : arm.capacity || Infinity;
+  if (Number.isNaN(capacity)) {
+    throw new UsageError('Option "--capacity" must be a number');
+  }
+  const now = options.now ? new Date(options.now) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new UsageError(`Option "--now" isn't a date: ${options.now}`);
+  }
+  const rules = {
+    calendar: getFactoryCalendar(
+      options.factory !== undefined ? +options.factory : undefined
+    ),
+    capacity,
+    ovenRule: getOvenRule({
+      dual_oven_times: Boolean(options["dual-oven-times"]),
+    }),
+    now,
+  };
+
+  const schedule = scheduleArm(
+    {
+      orders: machineDisplay.orders.filter((order) => order.arm === armId),
+      loadQueue: loadQueue.filter(
+        (order) => getArmId(order.scheduled_resource_id) === armId
+      ),
+      counterWeights: readList(options["counter-weights"], "counter_weights"),
+      hardBreaks: readList(options["hard-breaks"], "hard_breaks"),
+      maintenanceWindows: readList(
+        options["maintenance-windows"],
+        "maintenance_windows"
+      ),
+    },
+    rules
+  );
+  const conflicts = getOrderConflicts(schedule.orders, rules);
+
+  return {
+    arm: armId,
+    now: formatDate(now),
+    calendar: rules.calendar.name,
+    capacity: capacity === Infinity ? null : capacity,
+    orders: schedule.orders
+      .slice()
+      .sort((a, b) =>
+        `${a.resourceId}` !== `${b.resourceId}`
+          ? `${a.resourceId}`.localeCompare(`${b.resourceId}`)
+          : a.startDate - b.startDate
+      )
+      .map((order) => toOrderReport(order, conflicts)),
+    diagnostics: schedule.diagnostics.map((diagnostic) => ({
+      type: diagnostic.type,
+      row: diagnostic.resourceId,
+      plotted: diagnostic.plotted,
+      orders: diagnostic.orders.map((order) => order.id),
+      message: diagnostic.message,
+    })),
+    violations: schedule.violations.map((violation) => ({
+      type: violation.type,
+      row: violation.resourceId || null,
+      orders: violation.orderIds,
+      start: formatDate(violation.startDate),
+      end: formatDate(violation.endDate),
+      message: violation.message,
+    })),
+  };
+};
+
+const CSV_COLUMNS = [
+  "record",
+  "type",
+  "id",
+  "label",
+  "row",
+  "start",
+  "end",
+  "working_hours",
+  "ship_date",
+  "lateness_hours",
+  "message",
+];
+
+// Helper function that quotes a CSV value when it needs to be
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = `${value}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function that writes the report as a single CSV table. Every order, diagnostic and violation
+// is a line, told apart by the record column.
+const toCsv = (report) => {
+  const lines = [
+    ...report.orders.map((order) => ({
+      record: "order",
+      ...order,
+      message: [
+        order.capacity_conflict && "Overloads the arm",
+        order.oven_conflict,
+        order.hard_break_conflict && "Runs across a hard break",
+        order.lock_conflict,
+      ]
+        .filter(Boolean)
+        .join("; "),
+    })),
+    ...report.diagnostics.map((diagnostic) => ({
+      record: "diagnostic",
+      ...diagnostic,
+      id: diagnostic.orders.join(" "),
+    })),
+    ...report.violations.map((violation) => ({
+      record: "violation",
+      ...violation,
+      id: violation.orders.join(" "),
+    })),
+  ];
+  return [
+    CSV_COLUMNS.join(","),
+    ...lines.map((line) =>
+      CSV_COLUMNS.map((column) => toCsvValue(line[column])).join(",")
+    ),
+  ].join("\n");
+};
+
+const main = () => {
+  let options;
+  let report;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.format && !["json", "csv"].includes(options.format)) {
+      throw new UsageError('Option "--format" must be json or csv');
+    }
+    report = checkSchedule(options);
+  } catch (e) {
+    if (!(e instanceof UsageError)) {
+      throw e;
+    }
+    console.error(
+      `${e.message}\nSee the top of scripts/check-schedule.js for the options.`
+    );
+    process.exit(2);
+  }
+
+  const output =
+    options.format === "csv" ? toCsv(report) : JSON.stringify(report, null, 2);
+  if (options.output) {
+    fs.writeFileSync(options.output, `${output}\n`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+
+  if (
+    options.check &&
+    (report.diagnostics.length || report.violations.length)
+  ) {
+    console.error(
+      `Found ${report.diagnostics.length} diagnostic(s) and ${report.violations.length} violation(s)`
+    );
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SCRIPT = path.resolve(__dirname, "check-schedule.js");
+
+// Monday 8:00 AM UTC
+const NOW = "2021-09-20T08:00:00.000Z";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "check-schedule-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Helper function that writes a JSON export to the temporary folder and returns its path
+const writeJson = (name, json) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(json));
+  return file;
+};
+
+// Helper function that returns an order of the load queue (enhanced-loadqueue) taking an hour to mold
+const queuedOrder = (id, order, loadAfter, fields = {}) => ({
+  id,
+  order,
+  load_after: loadAfter,
+  item: "01-10625-001",
+  description: "Hotsy Tank 8.757-693.0 - XLBLA",
+  balance: 6,
+  takt: 10,
+  ship_date: "Sep 30, 2021",
+  scheduled_resource_id: "62-r1",
+  ...fields,
+});
+
+// Helper function that runs the script with the passed options
+const run = (...args) => {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], {
+    encoding: "utf8",
+    env: { ...process.env, TZ: "UTC" },
+    timeout: 60000,
+  });
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+  };
+};
+
+describe("check-schedule", () => {
+  it("prints the schedule of the arm as JSON", () => {
+    const loadQueue = writeJson("loadqueue.json", {
+      objects: [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "0001; 01-10625-001"),
+      ],
+    });
+
+    const { status, stdout } = run("--load-queue", loadQueue, "--now", NOW);
+    const report = JSON.parse(stdout);
+
+    expect(status).toBe(0);
+    expect(report.arm).toBe(62);
+    expect(report.now).toBe(NOW);
+    expect(report.capacity).toBe(null);
+    expect(
+      report.orders.map((order) => [order.id, order.row, order.working_hours])
+    ).toEqual([
+      [1, "62-r1", 1],
+      [2, "62-r1", 1],
+    ]);
+    expect(report.orders[0].start).toBe(NOW);
+    expect(report.orders[1].start >= report.orders[0].end).toBe(true);
+    // Negative when the order is done before its ship date
+    expect(report.orders[0].lateness_hours < 0).toBe(true);
+    expect(report.diagnostics).toEqual([]);
+  });
+
+  it("exits with code 1 on --check when the load queue has diagnostics", () => {
+    const loadQueue = writeJson("loadqueue.json", [
+      queuedOrder(1, "0001", null),
+      queuedOrder(2, "0002", null),
+    ]);
+
+    const { status, stdout, stderr } = run(
+      "--load-queue",
+      loadQueue,
+      "--now",
+      NOW,
+      "--check"
+    );
+
+    expect(status).toBe(1);
+    expect(JSON.parse(stdout).diagnostics.map((d) => d.type)).toEqual([
+      "multipleRoots",
+    ]);
+    expect(stderr).toMatch(/Found 1 diagnostic\(s\)/);
+  });
+
+  it("writes a line per order to the CSV output", () => {
+    const loadQueue = writeJson("loadqueue.json", [
+      queuedOrder(1, "0001", null),
+    ]);
+    const output = path.join(dir, "schedule.csv");
+
+    const { status, stdout } = run(
+      "--load-queue",
+      loadQueue,
+      "--now",
+      NOW,
+      "--format",
+      "csv",
+      "--output",
+      output
+    );
+    const lines = fs.readFileSync(output, "utf8").trim().split("\n");
+
+    expect(status).toBe(0);
+    expect(stdout).toBe("");
+    expect(lines[0]).toBe(
+      "record,type,id,label,row,start,end,working_hours,ship_date,lateness_hours,message"
+    );
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/^order,order,1,/);
+  });
+
+  it("exits with code 2 when the options can't be used", () => {
+    const loadQueue = writeJson("loadqueue.json", [
+      queuedOrder(1, "0001", null),
+    ]);
+
+    [
+      [],
+      ["--load-queue"],
+      ["--load-queue", loadQueue, "extra"],
+      ["--load-queue", loadQueue, "--format", "xml"],
+      ["--load-queue", loadQueue, "--now", "someday"],
+      ["--load-queue", path.join(dir, "missing.json")],
+      ["--load-queue", writeJson("other.json", { arms: [] })],
+    ].forEach((args) => {
+      const { status, stdout, stderr } = run(...args);
+
+      expect(status).toBe(2);
+      expect(stdout).toBe("");
+      expect(stderr).toMatch(/See the top of scripts\/check-schedule\.js/);
+    });
+  });
+});
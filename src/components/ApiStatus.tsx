@@ -0,0 +1,90 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  Button,
+} from "@mui/material";
+
+interface ApiStatusProps {
+  loading: boolean;
+  error?: any;
+  isEmpty?: boolean;
+  emptyMessage?: string;
+  loadingMessage?: string;
+  onRetry?: () => void;
+  warning?: string | null;
+  children?: any;
+}
+
+/**
+ * Renders the loading, error and empty states of an API request. The children are only rendered
+ * once the request succeeded and returned data.
+ * @param {boolean} loading Bool if the request is in progress
+ * @param {any} [error] Error thrown by the request
+ * @param {boolean} [isEmpty=false] Bool if the request succeeded but returned no data
+ * @param {string} [emptyMessage] Message shown when the request returned no data
+ * @param {string} [loadingMessage] Message shown next to the spinner
+ * @param {Function} [onRetry] Callback for the retry button shown with errors
+ * @param {string} [warning] Shown above the children when the data is incomplete (IE: a missing endpoint)
+ */
+const ApiStatus: FC<ApiStatusProps> = ({
+  loading,
+  error,
+  isEmpty = false,
+  emptyMessage = "Nothing to show.",
+  loadingMessage = "Loading...",
+  onRetry,
+  warning,
+  children,
+}) => {
+  if (loading) {
+    return (
+      <Box display="flex" alignItems="center" py={2}>
+        <CircularProgress size={20} sx={{ marginRight: 1 }} />
+        <Typography variant="body2">{loadingMessage}</Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert
+        severity="error"
+        sx={{ my: 1 }}
+        action={
+          onRetry && (
+            <Button color="inherit" size="small" onClick={onRetry}>
+              Retry
+            </Button>
+          )
+        }
+      >
+        {error.message || "Something went wrong while loading the data."}
+      </Alert>
+    );
+  }
+
+  if (isEmpty) {
+    return (
+      <Typography variant="body2" py={2} color="text.secondary">
+        {emptyMessage}
+      </Typography>
+    );
+  }
+
+  return (
+    <Fragment>
+      {warning && (
+        <Alert severity="warning" sx={{ my: 1 }}>
+          {warning}
+        </Alert>
+      )}
+      {children}
+    </Fragment>
+  );
+};
+
+export default ApiStatus;
@@ -0,0 +1,181 @@
+import React, { useState, FC, useCallback, useEffect } from "react";
+// MUI
+import {
+  Typography,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+} from "@mui/material";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+// Custom component imports
+import ArmDetail from "./ArmDetail";
+import ApiStatus from "./ApiStatus";
+import LateOrdersChip from "./LateOrdersChip";
+import ArmStatusChip from "./ArmStatusChip";
+// Custom library imports
+import useApiRequest from "../lib/useApiRequest";
+import { countLateOrders } from "../lib/Lateness";
+import { getArmSchedule, describeUnavailable } from "../lib/RotoEdgeApi";
+
+interface ArmAccordionProps {
+  arm: any;
+  index: number;
+  onLateCountChange: (armId: any, count: number) => void;
+  editable?: boolean;
+  expandRequest?: number;
+  renderScheduler: (
+    armSchedule: any,
+    onLateCountChange: (count: number) => void
+  ) => any;
+}
+
+/**
+ * Accordion of an arm of a machine. The schedule of the arm is loaded with the machine so its late
+ * orders can be counted, but the scheduler is only rendered once the arm is expanded.
+ * @param {any} arm Arm as returned by getMachineArms
+ * @param {number} index Position of the arm on the machine
+ * @param {Function} onLateCountChange Callback with the ID of the arm and its number of late orders (see lib/useLateCounts.ts)
+ * @param {boolean} [editable=false] Bool if the arm can be edited. Its unscheduled orders are loaded too
+ * @param {number} [expandRequest] Incremented to expand the arm (IE: to show an auto-schedule proposal)
+ * @param {Function} renderScheduler Renders the scheduler of the loaded schedule (see getArmSchedule). It's passed the callback the scheduler reports its late orders to
+ */
+const ArmAccordion: FC<ArmAccordionProps> = ({
+  arm,
+  index,
+  onLateCountChange,
+  editable = false,
+  expandRequest = 0,
+  renderScheduler,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [hasExpanded, setHasExpanded] = useState(false);
+  const [lateCount, setLateCount] = useState<number | null>(null);
+
+  const onArmLateCountChange = useCallback(
+    (count: number) => {
+      setLateCount(count);
+      onLateCountChange(arm.id, count);
+    },
+    [arm.id, onLateCountChange]
+  );
+
+  useEffect(() => {
+    if (expandRequest) {
+      setExpanded(true);
+      setHasExpanded(true);
+    }
+  }, [expandRequest]);
+
+  return (
+    <Accordion
+      sx={{
+        display: "flex",
+        flexDirection: "column",
+        justifyContent: "flex-start",
+        backgroundColor: "rgb(244, 249, 255);",
+      }}
+      expanded={expanded}
+      onChange={(e: any, isExpanded: boolean) => {
+        setExpanded(isExpanded);
+        if (isExpanded) {
+          setHasExpanded(true);
+        }
+      }}
+    >
+      <AccordionSummary
+        expandIcon={<ExpandMoreIcon />}
+        aria-controls={`arm-${arm.id}-content`}
+        id={`arm-${arm.id}-header`}
+      >
+        <Typography>
+          {arm.name} (Arm {index + 1})
+        </Typography>
+        <LateOrdersChip count={lateCount} />
+        <ArmStatusChip arm={arm} />
+      </AccordionSummary>
+      <AccordionDetails>
+        {/* Info about the arm and orders that are currently molding. Not necessary for integration */}
+        <ArmDetail moldingArmOrders={arm.orders} />
+        <ArmSchedule
+          arm={arm}
+          editable={editable}
+          showScheduler={hasExpanded}
+          onLateCountChange={onArmLateCountChange}
+          renderScheduler={renderScheduler}
+        />
+      </AccordionDetails>
+    </Accordion>
+  );
+};
+
+interface ArmScheduleProps {
+  arm: any;
+  editable: boolean;
+  showScheduler: boolean;
+  onLateCountChange: (count: number) => void;
+  renderScheduler: (
+    armSchedule: any,
+    onLateCountChange: (count: number) => void
+  ) => any;
+}
+
+/**
+ * Loads the schedule of an arm and renders its scheduler (see ArmAccordion)
+ * @param {any} arm Arm as returned by getMachineArms
+ * @param {boolean} editable Bool if the arm can be edited
+ * @param {boolean} showScheduler Bool if the scheduler is rendered. The schedule is loaded either way
+ * @param {Function} onLateCountChange Callback with the number of late orders of the arm
+ * @param {Function} renderScheduler Renders the scheduler of the loaded schedule
+ */
+const ArmSchedule: FC<ArmScheduleProps> = ({
+  arm,
+  editable,
+  showScheduler,
+  onLateCountChange,
+  renderScheduler,
+}) => {
+  const {
+    data: armSchedule,
+    loading,
+    error,
+    reload,
+  } = useApiRequest(
+    useCallback(() => getArmSchedule(arm, { editable }), [arm, editable])
+  );
+
+  useEffect(() => {
+    // Count the late orders as soon as the schedule loads. Once the scheduler is rendered, it reports
+    // the count every time the schedule changes.
+    if (armSchedule) {
+      onLateCountChange(countLateOrders(armSchedule.orders));
+    }
+  }, [armSchedule, onLateCountChange]);
+
+  if (!showScheduler) {
+    return null;
+  }
+
+  return (
+    <ApiStatus
+      loading={loading}
+      error={error}
+      onRetry={reload}
+      isEmpty={
+        !armSchedule ||
+        (armSchedule.orders.length === 0 &&
+          armSchedule.unscheduledOrders.length === 0)
+      }
+      emptyMessage={
+        editable
+          ? "There are no scheduled or unscheduled orders for this arm."
+          : "There are no orders scheduled on this arm."
+      }
+      warning={armSchedule && describeUnavailable(armSchedule.unavailable)}
+      loadingMessage="Loading the arm's schedule..."
+    >
+      {armSchedule && renderScheduler(armSchedule, onLateCountChange)}
+    </ApiStatus>
+  );
+};
+
+export default ArmAccordion;
@@ -0,0 +1,28 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import { Chip } from "@mui/material";
+
+interface ArmStatusChipProps {
+  arm: any;
+}
+
+/**
+ * Shows if an arm is shut down or flagged as critical. Nothing is shown for an arm that runs normally.
+ * @param {any} arm Arm as returned by getMachineArms
+ */
+const ArmStatusChip: FC<ArmStatusChipProps> = ({ arm }) => {
+  if (!arm.shutdown && !arm.critical) {
+    return <Fragment></Fragment>;
+  }
+
+  return (
+    <Chip
+      label={arm.shutdown ? "Shut down" : "Critical"}
+      color={arm.shutdown ? "error" : "warning"}
+      size="small"
+      sx={{ marginLeft: 2 }}
+    />
+  );
+};
+
+export default ArmStatusChip;
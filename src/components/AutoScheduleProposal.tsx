@@ -0,0 +1,121 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import {
+  Box,
+  Alert,
+  AlertTitle,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { DateHelper } from "@bryntum/scheduler";
+import { getOrderLabel } from "../lib/Util";
+import { isLate, formatLateness } from "../lib/Lateness";
+
+interface AutoScheduleProposalProps {
+  proposal: any;
+  onAccept: () => void;
+  onDiscard: () => void;
+}
+
+/**
+ * Shows where the "Auto-schedule" action proposes to place the backlog of an arm (see lib/AutoScheduler.js)
+ * @param {Object} proposal Proposal returned by OrderStore.proposeSchedule. Nothing is shown when null
+ * @param {Function} onAccept Callback when the proposal is accepted
+ * @param {Function} onDiscard Callback when the proposal is discarded
+ */
+const AutoScheduleProposal: FC<AutoScheduleProposalProps> = ({
+  proposal,
+  onAccept,
+  onDiscard,
+}) => {
+  if (!proposal) {
+    return <Fragment></Fragment>;
+  }
+
+  const { placements, unplaced, changeovers, lateOrders } = proposal;
+  const formatDate = (date: Date) => DateHelper.format(date, "ddd h:mmA, M/D");
+
+  return (
+    <Box mt={2} className="auto-schedule-proposal">
+      <Alert
+        severity={unplaced.length || lateOrders ? "warning" : "info"}
+        action={
+          <Box display="flex">
+            <Button
+              color="inherit"
+              size="small"
+              onClick={onAccept}
+              disabled={placements.length === 0}
+            >
+              Accept
+            </Button>
+            <Button color="inherit" size="small" onClick={onDiscard}>
+              Discard
+            </Button>
+          </Box>
+        }
+      >
+        <AlertTitle>Auto-schedule proposal</AlertTitle>
+        {placements.length
+          ? `${placements.length} orders placed with ${changeovers} mold changes. ${lateOrders} of them end after their ship date.`
+          : "None of the unassigned orders could be placed."}
+        {unplaced.length > 0 && (
+          <Box mt={1}>
+            {unplaced.map(({ order, reason }: any) => (
+              <Chip
+                key={`auto-schedule-unplaced-${order.id}`}
+                label={`${getOrderLabel(order)}: ${reason}`}
+                size="small"
+                sx={{ marginRight: 0.5, marginBottom: 0.5 }}
+              />
+            ))}
+          </Box>
+        )}
+      </Alert>
+      {placements.length > 0 && (
+        <TableContainer>
+          <Table size="small" aria-label="auto-schedule proposal">
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#f4f9ff" }}>
+                <TableCell>Order</TableCell>
+                <TableCell>Item</TableCell>
+                <TableCell>Row</TableCell>
+                <TableCell>Start</TableCell>
+                <TableCell>End</TableCell>
+                <TableCell>Ship Date</TableCell>
+                <TableCell>Mold Change</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {placements.map((placement: any) => (
+                <TableRow key={`auto-schedule-placement-${placement.order.id}`}>
+                  <TableCell>{getOrderLabel(placement.order)}</TableCell>
+                  <TableCell>{placement.order.item}</TableCell>
+                  <TableCell>{placement.resourceId}</TableCell>
+                  <TableCell>{formatDate(placement.startDate)}</TableCell>
+                  <TableCell>{formatDate(placement.endDate)}</TableCell>
+                  <TableCell
+                    sx={isLate(placement.lateness) ? { color: "#d52929" } : {}}
+                  >
+                    {placement.order.ship_date || "-"}
+                    {isLate(placement.lateness) &&
+                      ` (late by ${formatLateness(placement.lateness)})`}
+                  </TableCell>
+                  <TableCell>{placement.changeover ? "Yes" : "No"}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default AutoScheduleProposal;
@@ -0,0 +1,90 @@
+import React, { FC } from "react";
+// MUI
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { DateHelper } from "@bryntum/scheduler";
+import { formatLateness } from "../lib/Lateness";
+
+interface BaselineDriftProps {
+  drift: any[];
+  baselineDate: Date | null;
+}
+
+// Helper function that returns the label of a row id (IE: "62-r3" -> "Row 3")
+const getRowLabel = (rowId: any) => `Row ${`${rowId}`.split("-r")[1]}`;
+
+// Helper function that describes how far an order moved. IE: "2h 30m later"
+const describeDelta = (delta: number) => {
+  if (!delta) {
+    return "Same start";
+  }
+  return `${formatLateness(delta)} ${delta > 0 ? "later" : "earlier"}`;
+};
+
+/**
+ * Side panel listing the orders that moved since the baseline of the arm (see OrderStore.getDrift)
+ * @param {any[]} drift Orders that moved, as returned by OrderStore.getDrift
+ * @param {Date} baselineDate Date the baseline was captured
+ */
+const BaselineDrift: FC<BaselineDriftProps> = ({ drift, baselineDate }) => {
+  return (
+    <Box
+      ml={1}
+      p={1}
+      className="baseline-drift bryntumScheduler"
+      sx={{ width: 320, overflowY: "auto" }}
+    >
+      <Typography variant="subtitle1">Moved since baseline</Typography>
+      {baselineDate && (
+        <Typography variant="caption" color="text.secondary">
+          Baseline captured {DateHelper.format(baselineDate, "ddd h:mmA, M/D")}
+        </Typography>
+      )}
+      {drift.length === 0 ? (
+        <Typography variant="body2" mt={1}>
+          No order moved.
+        </Typography>
+      ) : (
+        <Table size="small" aria-label="moved orders">
+          <TableHead>
+            <TableRow>
+              <TableCell>Order</TableCell>
+              <TableCell>Row</TableCell>
+              <TableCell>Start</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {drift.map((item: any) => (
+              <TableRow key={`baseline-drift-${item.id}`}>
+                <TableCell>{item.label}</TableCell>
+                <TableCell>
+                  {item.baseline && item.event && item.rowChanged
+                    ? `${getRowLabel(item.baseline.resourceId)} → ${getRowLabel(
+                        item.event.resourceId
+                      )}`
+                    : getRowLabel((item.event || item.baseline).resourceId)}
+                </TableCell>
+                <TableCell>
+                  {!item.event && "Unassigned"}
+                  {!item.baseline && "Scheduled"}
+                  {item.event &&
+                    item.baseline &&
+                    describeDelta(item.startDelta)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default BaselineDrift;
@@ -0,0 +1,28 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import { Chip } from "@mui/material";
+
+interface LateOrdersChipProps {
+  count: number | null;
+}
+
+/**
+ * Shows how many orders are projected to end after their ship date (see lib/Lateness.js)
+ * @param {number | null} count Number of late orders. Nothing is shown while it isn't known yet
+ */
+const LateOrdersChip: FC<LateOrdersChipProps> = ({ count }) => {
+  if (count === null) {
+    return <Fragment></Fragment>;
+  }
+
+  return (
+    <Chip
+      label={count ? `${count} late` : "On time"}
+      color={count ? "error" : "success"}
+      size="small"
+      sx={{ marginLeft: 2 }}
+    />
+  );
+};
+
+export default LateOrdersChip;
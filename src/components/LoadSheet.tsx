@@ -0,0 +1,236 @@
+import React, { FC, Fragment, useEffect, useState } from "react";
+import ReactDOM from "react-dom";
+import { DateHelper } from "@bryntum/scheduler";
+// MUI
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  Divider,
+  TextField,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { getLoadSheetPeriods, getLoadSheet } from "../lib/LoadSheet";
+import { getOrderLabel } from "../lib/Util";
+
+// Helper function that returns the label of a load sheet entry (see lib/LoadSheet.js)
+const getEntryLabel = (entry: any) => {
+  if (entry.type === "hard_break") {
+    return entry.data.notes
+      ? `Hard Break: ${entry.data.notes}`
+      : entry.data.name || "Hard Break";
+  }
+  return getOrderLabel(entry.data);
+};
+
+// Helper function that formats an optional value for the sheet
+const formatValue = (value: any, unit = "") =>
+  value === null || value === undefined || value === ""
+    ? "-"
+    : `${value}${unit}`;
+
+interface LoadSheetDialogProps {
+  open: boolean;
+  onClose: () => void;
+  armName?: string;
+  orders: any[];
+  hardBreaks: any[];
+  calendar?: any;
+}
+
+/**
+ * Dialog that previews and prints the load sheet of an arm for a day or one of its shifts (see
+ * lib/LoadSheet.js). The sheet is also rendered at the root of the page while the dialog is open, so
+ * only the sheet is printed (see .load-sheet-print in App.css).
+ * @param {boolean} open Bool if the dialog is open
+ * @param {Function} onClose Callback when the dialog is closed
+ * @param {string} [armName] Name of the arm, printed in the title
+ * @param {any[]} orders Records of the order store of the arm
+ * @param {any[]} hardBreaks Records of the hard break store of the arm
+ * @param {CalendarModel} [calendar] Working calendar of the factory. Its shifts can be printed on their own
+ */
+const LoadSheetDialog: FC<LoadSheetDialogProps> = ({
+  open,
+  onClose,
+  armName,
+  orders,
+  hardBreaks,
+  calendar,
+}) => {
+  // Day of the sheet, as the value of the date field (IE: "2021-09-20")
+  const [day, setDay] = useState(DateHelper.format(new Date(), "YYYY-MM-DD"));
+  // The ID of the period of the day the sheet is for. See getLoadSheetPeriods
+  const [periodId, setPeriodId] = useState("day");
+
+  useEffect(() => {
+    // Printing the page only prints the sheet while the dialog is open
+    if (!open) {
+      return;
+    }
+    document.body.classList.add("load-sheet-open");
+    return () => document.body.classList.remove("load-sheet-open");
+  }, [open]);
+
+  if (!open) {
+    return <Fragment></Fragment>;
+  }
+
+  const periods = getLoadSheetPeriods(
+    DateHelper.parse(day, "YYYY-MM-DD") || new Date(),
+    calendar
+  );
+  const period =
+    periods.find((other: any) => other.id === periodId) || periods[0];
+  const entries = getLoadSheet(orders, hardBreaks, period);
+  const sheet = (
+    <LoadSheet armName={armName} period={period} entries={entries} />
+  );
+
+  return (
+    <Dialog onClose={onClose} open={open} maxWidth={false}>
+      <Box mx={4} my={2}>
+        <Typography variant="h6">Load Sheet</Typography>
+        <Divider sx={{ margin: "10px 0" }} />
+        <Box display="flex" alignItems="center" mb={2}>
+          <TextField
+            type="date"
+            size="small"
+            label="Day"
+            value={day}
+            onChange={(e) => e.target.value && setDay(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ marginRight: 1 }}
+          />
+          <Select
+            size="small"
+            value={period.id}
+            onChange={(e: any) => setPeriodId(e.target.value)}
+            sx={{ marginRight: 1 }}
+          >
+            {periods.map((option: any) => (
+              <MenuItem
+                key={`load-sheet-period-${option.id}`}
+                value={option.id}
+              >
+                {option.name}
+              </MenuItem>
+            ))}
+          </Select>
+          <Button
+            variant="outlined"
+            size={"small"}
+            color="info"
+            sx={{ marginRight: 1 }}
+            onClick={() => window.print()}
+          >
+            Print
+          </Button>
+          <Button variant="outlined" size={"small"} onClick={onClose}>
+            Close
+          </Button>
+        </Box>
+        {sheet}
+      </Box>
+      {ReactDOM.createPortal(
+        <div className="load-sheet-print">{sheet}</div>,
+        document.body
+      )}
+    </Dialog>
+  );
+};
+
+interface LoadSheetProps {
+  armName?: string;
+  period: any;
+  entries: any[];
+}
+
+/**
+ * Load sheet of an arm, as printed
+ * @param {string} [armName] Name of the arm
+ * @param {any} period Period of the sheet (see getLoadSheetPeriods in lib/LoadSheet.js)
+ * @param {any[]} entries Entries of the sheet (see getLoadSheet in lib/LoadSheet.js)
+ */
+const LoadSheet: FC<LoadSheetProps> = ({ armName, period, entries }) => (
+  <Box className="load-sheet">
+    <Typography variant="h6">
+      {armName ? `Load Sheet: ${armName}` : "Load Sheet"}
+    </Typography>
+    <Typography variant="body2">
+      {`${period.name}, ${DateHelper.format(
+        period.startDate,
+        "ddd M/D/YY h:mmA"
+      )} to ${DateHelper.format(period.endDate, "ddd M/D/YY h:mmA")}`}
+    </Typography>
+    <Typography variant="body2" color="text.secondary">
+      {`Printed ${DateHelper.format(new Date(), "ddd M/D/YY h:mmA")}`}
+    </Typography>
+    {entries.length === 0 ? (
+      <Typography mt={2}>
+        Nothing is loaded on this arm in this period.
+      </Typography>
+    ) : (
+      <TableContainer>
+        <Table size="small" aria-label="load sheet">
+          <TableHead>
+            <TableRow>
+              <TableCell>#</TableCell>
+              <TableCell>Start</TableCell>
+              <TableCell>End</TableCell>
+              <TableCell>Row</TableCell>
+              <TableCell>Order</TableCell>
+              <TableCell>Item</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell>Parts</TableCell>
+              <TableCell>Oven Temp</TableCell>
+              <TableCell>Oven Time</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.map((entry: any, i: number) =>
+              entry.type === "hard_break" ? (
+                <TableRow
+                  key={`load-sheet-entry-${i}`}
+                  className="load-sheet-hard-break"
+                >
+                  <TableCell></TableCell>
+                  <TableCell>
+                    {DateHelper.format(entry.startDate, "h:mmA")}
+                  </TableCell>
+                  <TableCell colSpan={8}>{getEntryLabel(entry)}</TableCell>
+                </TableRow>
+              ) : (
+                <TableRow key={`load-sheet-entry-${i}`}>
+                  <TableCell>{entry.sequence}</TableCell>
+                  <TableCell>
+                    {DateHelper.format(entry.startDate, "h:mmA")}
+                  </TableCell>
+                  <TableCell>
+                    {DateHelper.format(entry.endDate, "ddd h:mmA")}
+                  </TableCell>
+                  <TableCell>{formatValue(entry.row)}</TableCell>
+                  <TableCell>{getEntryLabel(entry)}</TableCell>
+                  <TableCell>{formatValue(entry.data.item)}</TableCell>
+                  <TableCell>{formatValue(entry.data.description)}</TableCell>
+                  <TableCell>{formatValue(entry.data.balance)}</TableCell>
+                  <TableCell>{formatValue(entry.data.temp, "°F")}</TableCell>
+                  <TableCell>{formatValue(entry.data.time, " min")}</TableCell>
+                </TableRow>
+              )
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    )}
+  </Box>
+);
+
+export default LoadSheetDialog;
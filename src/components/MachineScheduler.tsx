@@ -0,0 +1,277 @@
+import React, { FC, useCallback, useEffect, useRef, useState } from "react";
+// MUI
+import { Box, IconButton } from "@mui/material";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import { BryntumScheduler } from "@bryntum/scheduler-react";
+import {
+  EventStore,
+  PresetManager,
+  ResourceStore,
+  StringHelper,
+} from "@bryntum/scheduler";
+import ApiStatus from "./ApiStatus";
+import { ViewPresetDropdown } from "./Scheduler";
+import Order from "../lib/Order.js";
+import ArmRow from "../lib/ArmRow";
+import { schedulerConfig } from "../lib/SchedulerConfig";
+import { customPresets } from "../lib/SchedulerTimeConfig";
+import { getArmSchedule, describeUnavailable } from "../lib/RotoEdgeApi";
+import { takeSnapshot } from "../lib/ScenarioManager";
+import { getLateness, isLate, formatLateness } from "../lib/Lateness";
+import useApiRequest from "../lib/useApiRequest";
+
+interface MachineSchedulerProps {
+  arms: any[];
+  scenarioManager?: any;
+}
+
+// Helper function that returns the row number of a row id (IE: "62-r3" -> 3)
+const getRowNumber = (rowId: any) => +`${rowId}`.split("-r")[1] || 0;
+
+// Helper function that returns the label of an arm, as shown in the arm accordions
+const getArmLabel = (arm: any, index: number) =>
+  `${arm.name} (Arm ${index + 1})`;
+
+// Helper function that returns the rows and orders of every arm of the machine. Arms that are being
+// edited (registered with the scenario manager) show what their stores hold, so their unsaved
+// changes and the scenario that is shown are included. The other arms show their saved schedule.
+// Order ids are prefixed with the arm, since counter weights of different arms can share an id.
+const getMachineSchedule = (
+  arms: any[],
+  armSchedules: any[],
+  scenarioManager: any
+) => {
+  const rows: any[] = [];
+  const orders: any[] = [];
+  arms.forEach((arm: any, index: number) => {
+    const stores = scenarioManager && scenarioManager.getArmStores(arm.id);
+    const armOrders = (
+      stores ? takeSnapshot(stores).orders : armSchedules[index].orders
+    ).filter((order: any) => order.resourceId && order.startDate);
+
+    const rowIds = armOrders.reduce((accumulator: any[], order: any) => {
+      if (!accumulator.includes(order.resourceId)) {
+        accumulator.push(order.resourceId);
+      }
+      return accumulator;
+    }, []);
+    // Arms without orders still get a group
+    if (rowIds.length === 0) {
+      rowIds.push(`${arm.id}-r1`);
+    }
+    rowIds
+      .sort((a: any, b: any) => getRowNumber(a) - getRowNumber(b))
+      .forEach((rowId: any) =>
+        rows.push({
+          id: rowId,
+          name: `Row ${getRowNumber(rowId)}`,
+          arm: arm.id,
+          armIndex: index,
+        })
+      );
+
+    armOrders.forEach((order: any) =>
+      orders.push({
+        id: `${arm.id}:${order.id}`,
+        name: order.name,
+        cls: order.cls,
+        resourceId: order.resourceId,
+        startDate: order.startDate,
+        duration: order.duration,
+        ship_date: order.ship_date,
+        lateness: getLateness(
+          order.shipDate,
+          new Date(order.startDate.getTime() + order.duration)
+        ),
+      })
+    );
+  });
+  return { rows, orders };
+};
+
+/**
+ * Read only scheduler showing every arm of a machine at once. The rows are grouped by arm (each group
+ * can be collapsed from its header) and share one time axis, now line and zoom, so the arms can be
+ * compared side by side.
+ * @param {any[]} arms Arms of the machine, as returned by getMachineArms
+ * @param {ScenarioManager} [scenarioManager] What-if scenarios of the machine. Arms registered with it show the schedule their stores hold (see lib/ScenarioManager.js)
+ */
+const MachineScheduler: FC<MachineSchedulerProps> = ({
+  arms,
+  scenarioManager,
+}) => {
+  const schedulerRef: any = useRef(null);
+  // The ID of the time preset. Defaults to oneWeek. See lib/SchedulerTimeConfig.tsx
+  const [activePreset, setActivePreset] = useState("oneWeekPreset");
+  // The saved schedule of every arm, in the order of the arms
+  const {
+    data: armSchedules,
+    loading,
+    error,
+    reload,
+  } = useApiRequest(
+    useCallback(
+      () => Promise.all(arms.map((arm: any) => getArmSchedule(arm))),
+      [arms]
+    )
+  );
+  // Orders of every arm
+  const [eventStore] = useState(new EventStore({ modelClass: Order }));
+  // Rows of every arm, grouped by arm
+  const [resourceStore] = useState(new ResourceStore({ modelClass: ArmRow }));
+
+  useEffect(() => {
+    // The arms being edited can change while the machine is shown (IE: when switching scenarios)
+    if (!armSchedules) {
+      return;
+    }
+    const refresh = () => {
+      const { rows, orders } = getMachineSchedule(
+        arms,
+        armSchedules,
+        scenarioManager
+      );
+      resourceStore.data = rows;
+      eventStore.data = orders;
+    };
+    refresh();
+    return scenarioManager ? scenarioManager.on(refresh) : undefined;
+  }, [arms, armSchedules, scenarioManager, eventStore, resourceStore]);
+
+  useEffect(() => {
+    // The arms of a machine share the working calendar of its factory. It's the calendar of the
+    // project, the same as in the scheduler of an arm.
+    if (!armSchedules || !armSchedules.length || !schedulerRef.current) {
+      return;
+    }
+    const { project } = schedulerRef.current.instance;
+    project.calendar = armSchedules[0].calendar;
+    project.trigger("calendarChange");
+  }, [armSchedules]);
+
+  useEffect(() => {
+    // The custom time presets are added by the scheduler of an arm, which may not be rendered yet
+    PresetManager.add(customPresets);
+  }, []);
+
+  // Callback when a time preset is changed. Every arm is zoomed at once.
+  const handlePresetChange = (e: any) => {
+    const presetId = e.target.value;
+    schedulerRef.current.instance.zoomTo({
+      preset: presetId,
+      startDate: new Date(),
+      endDate: new Date(),
+    });
+
+    setActivePreset(presetId);
+  };
+
+  return (
+    <ApiStatus
+      loading={loading}
+      error={error}
+      onRetry={reload}
+      isEmpty={arms.length === 0}
+      emptyMessage="This machine has no arms."
+      warning={
+        armSchedules &&
+        describeUnavailable(
+          armSchedules.reduce(
+            (names: string[], armSchedule: any) =>
+              names.concat(armSchedule.unavailable),
+            []
+          )
+        )
+      }
+      loadingMessage="Loading the schedule of every arm..."
+    >
+      <Box className="bryntumScheduler">
+        <BryntumScheduler
+          ref={schedulerRef}
+          readOnly={true}
+          createEventOnDblClick={false}
+          zoomOnTimeAxisDoubleClick={false}
+          viewPreset={activePreset}
+          presets={customPresets}
+          eventEditFeature={false}
+          eventDragFeature={false}
+          eventDragCreateFeature={false}
+          eventResizeFeature={false}
+          scheduleMenuFeature={false}
+          eventMenuFeature={false}
+          nonWorkingTimeFeature={true}
+          eventStore={eventStore}
+          resourceStore={resourceStore}
+          columns={[{ text: "Row", field: "name", width: 160 }]}
+          // Rows are grouped by arm. Clicking the header of an arm collapses or expands its rows.
+          groupFeature={{
+            field: "armIndex",
+            groupRenderer: ({ groupRowFor, count, isFirstColumn }: any) =>
+              isFirstColumn && arms[groupRowFor]
+                ? `${StringHelper.encodeHtml(
+                    getArmLabel(arms[groupRowFor], groupRowFor)
+                  )} (${count} ${count === 1 ? "row" : "rows"})`
+                : "",
+          }}
+          eventRenderer={({ eventRecord, renderData }: any) => {
+            // Orders projected to end after their ship date (see lib/Lateness.js)
+            const late = isLate(eventRecord.lateness);
+            renderData.cls["scheduler-bar-late"] = late;
+            return `${StringHelper.encodeHtml(eventRecord.name)}${
+              late
+                ? `<span class="scheduler-bar-late-badge">LATE ${formatLateness(
+                    eventRecord.lateness
+                  )}</span>`
+                : ""
+            }`;
+          }}
+          eventTooltipFeature={{
+            template: ({ eventRecord, startClockHtml, endClockHtml }: any) =>
+              `<div class="b-sch-event-title">${StringHelper.encodeHtml(
+                eventRecord.name
+              )}</div>${startClockHtml}${endClockHtml}${
+                eventRecord.data.ship_date
+                  ? `<div>Ships ${StringHelper.encodeHtml(
+                      eventRecord.data.ship_date
+                    )}</div>`
+                  : ""
+              }`,
+          }}
+          timeRangesFeature={{
+            showCurrentTimeLine: {
+              name: "Now",
+            },
+            showHeaderElements: true,
+          }}
+          {...schedulerConfig}
+        />
+      </Box>
+      <Box mt={1} display={"flex"}>
+        <IconButton
+          size={"small"}
+          sx={{ display: "flex" }}
+          color="primary"
+          onClick={() => schedulerRef.current.instance.shiftPrevious()}
+        >
+          <ChevronLeftIcon />
+        </IconButton>
+        <ViewPresetDropdown
+          selectedPreset={activePreset}
+          presets={customPresets}
+          handleChange={handlePresetChange}
+        />
+        <IconButton
+          size={"small"}
+          sx={{ display: "flex" }}
+          color="primary"
+          onClick={() => schedulerRef.current.instance.shiftNext()}
+        >
+          <ChevronRightIcon />
+        </IconButton>
+      </Box>
+    </ApiStatus>
+  );
+};
+
+export default MachineScheduler;
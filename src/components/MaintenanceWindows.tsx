@@ -0,0 +1,56 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import { Box, Typography, Chip } from "@mui/material";
+import { DateHelper } from "@bryntum/scheduler";
+import { describeRecurrence } from "../lib/Maintenance";
+
+interface MaintenanceWindowsProps {
+  windows: any[];
+  readOnly?: boolean;
+  onRemove?: (maintenanceWindow: any) => void;
+}
+
+/**
+ * Lists the maintenance windows of an arm (see lib/Maintenance.js)
+ * @param {any[]} windows Records of the MaintenanceStore
+ * @param {boolean} [readOnly=true] Bool if the windows can't be removed
+ * @param {Function} [onRemove] Callback when the remove icon of a window is clicked
+ */
+const MaintenanceWindows: FC<MaintenanceWindowsProps> = ({
+  windows,
+  readOnly = true,
+  onRemove,
+}) => {
+  if (windows.length === 0) {
+    return <Fragment></Fragment>;
+  }
+
+  const formatDate = (date: Date) => DateHelper.format(date, "ddd h:mmA, M/D");
+
+  return (
+    <Box mt={2} className="maintenance-windows">
+      <Typography variant="subtitle1">Maintenance Windows</Typography>
+      {windows.map((maintenanceWindow: any) => (
+        <Chip
+          key={`maintenance-window-${maintenanceWindow.id}`}
+          label={`${maintenanceWindow.name || "Maintenance"}: ${formatDate(
+            maintenanceWindow.startDate
+          )} - ${formatDate(maintenanceWindow.endDate)}, ${
+            maintenanceWindow.rowId
+              ? `Row ${`${maintenanceWindow.rowId}`.split("-r")[1]}`
+              : "Whole arm"
+          }, ${describeRecurrence(maintenanceWindow)}`}
+          size="small"
+          onDelete={
+            readOnly || !onRemove
+              ? undefined
+              : () => onRemove(maintenanceWindow)
+          }
+          sx={{ marginRight: 0.5, marginBottom: 0.5 }}
+        />
+      ))}
+    </Box>
+  );
+};
+
+export default MaintenanceWindows;
@@ -0,0 +1,88 @@
+import React, { FC, Fragment } from "react";
+// MUI
+import {
+  Box,
+  Typography,
+  Alert,
+  AlertTitle,
+  Button,
+  Chip,
+} from "@mui/material";
+import { getOrderLabel } from "../lib/Util";
+
+// Label of the fix offered for each type of problem. Problems without a label can't be fixed from
+// the panel (IE: a row without a root is fixed through its cycle / dangling load_after problems).
+const FIX_LABELS: any = {
+  danglingLoadAfter: "Append to end of row",
+  cycle: "Append to end of row",
+  multipleRoots: "Chain orders one after another",
+  duplicateWorkOrder: "Unassign duplicates",
+};
+
+interface QueueProblemsProps {
+  problems: any[];
+  readOnly?: boolean;
+  onFix?: (problem: any) => void;
+}
+
+/**
+ * Lists the problems found in the priority queue of an arm (see getOrdersWithStartDates in lib/Util.ts)
+ * @param {any[]} problems Diagnostics returned by getOrdersWithStartDates
+ * @param {boolean} [readOnly=true] Bool if the fix actions are hidden
+ * @param {Function} [onFix] Callback when the fix action of a problem is clicked
+ */
+const QueueProblems: FC<QueueProblemsProps> = ({
+  problems,
+  readOnly = true,
+  onFix,
+}) => {
+  if (problems.length === 0) {
+    return <Fragment></Fragment>;
+  }
+
+  return (
+    <Box mt={2} className="queue-problems">
+      <Typography variant="subtitle1">
+        Queue problems ({problems.length})
+      </Typography>
+      {problems.map((problem: any, i: number) => (
+        <Alert
+          key={`queue-problem-${i}`}
+          severity={problem.plotted ? "warning" : "error"}
+          sx={{ marginTop: 1 }}
+          action={
+            !readOnly &&
+            onFix &&
+            FIX_LABELS[problem.type] && (
+              <Button
+                color="inherit"
+                size="small"
+                onClick={() => onFix(problem)}
+              >
+                {FIX_LABELS[problem.type]}
+              </Button>
+            )
+          }
+        >
+          <AlertTitle>
+            {problem.plotted ? "Overlapping orders" : "Orders not plotted"} in
+            row {problem.resourceId}
+          </AlertTitle>
+          {problem.message}
+          <Box mt={1}>
+            {problem.orders.map((order: any) => (
+              <Chip
+                key={`queue-problem-${i}-order-${order.id}`}
+                label={getOrderLabel(order)}
+                size="small"
+                sx={{ marginRight: 0.5, marginBottom: 0.5 }}
+              />
+            ))}
+          </Box>
+        </Alert>
+      ))}
+    </Box>
+  );
+};
+
+export default QueueProblems;
@@ -0,0 +1,136 @@
+import React, { FC, Fragment, useState, useEffect } from "react";
+// MUI
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { WORKING_SCENARIO } from "../lib/ScenarioManager";
+
+interface ScenarioBarProps {
+  scenarioManager: any;
+}
+
+/**
+ * Branches the machine schedule into what-if scenarios and compares their KPIs (see lib/ScenarioManager.js)
+ * @param {ScenarioManager} scenarioManager Scenarios of the machine
+ */
+const ScenarioBar: FC<ScenarioBarProps> = ({ scenarioManager }) => {
+  // Name of the next scenario
+  const [name, setName] = useState("");
+  // Incremented every time the scenarios or the schedule that is shown change, to show the new KPIs
+  const [, setVersion] = useState(0);
+
+  useEffect(
+    () => scenarioManager.on(() => setVersion((version) => version + 1)),
+    [scenarioManager]
+  );
+
+  const { activeScenarioId } = scenarioManager;
+  const rows = [
+    { id: WORKING_SCENARIO, name: "Working schedule" },
+    ...scenarioManager.scenarios,
+  ];
+
+  return (
+    <Box mt={2} mb={2} className="scenario-bar">
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Typography variant="h6">Scenarios</Typography>
+        <Box display="flex" alignItems="center">
+          <TextField
+            size="small"
+            placeholder={`Scenario ${scenarioManager.scenarioCount + 1}`}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            sx={{ marginRight: 1 }}
+          />
+          <Button
+            variant="outlined"
+            size={"small"}
+            color="info"
+            onClick={() => {
+              scenarioManager.branch(name.trim());
+              setName("");
+            }}
+          >
+            Branch
+          </Button>
+        </Box>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        A scenario starts as a copy of the schedule that is shown. Arms opened
+        later start with their working schedule in every scenario. Changes can
+        only be saved from the working schedule.
+      </Typography>
+      <TableContainer>
+        <Table size="small" aria-label="scenarios">
+          <TableHead>
+            <TableRow>
+              <TableCell>Scenario</TableCell>
+              <TableCell>Late Orders</TableCell>
+              <TableCell>Idle Hours</TableCell>
+              <TableCell>Changeovers</TableCell>
+              <TableCell></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((scenario: any) => {
+              const kpis = scenarioManager.getKpis(scenario.id);
+              const active = scenario.id === activeScenarioId;
+              return (
+                <TableRow
+                  key={`scenario-${scenario.id}`}
+                  selected={active}
+                  hover
+                >
+                  <TableCell>
+                    {scenario.name}
+                    {active ? " (shown)" : ""}
+                  </TableCell>
+                  <TableCell>{kpis.lateOrders}</TableCell>
+                  <TableCell>{Math.round(kpis.idleHours * 10) / 10}</TableCell>
+                  <TableCell>{kpis.changeovers}</TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      disabled={active}
+                      onClick={() => scenarioManager.switchTo(scenario.id)}
+                    >
+                      Show
+                    </Button>
+                    {scenario.id !== WORKING_SCENARIO && (
+                      <Fragment>
+                        <Button
+                          size="small"
+                          onClick={() => scenarioManager.promote(scenario.id)}
+                        >
+                          Promote
+                        </Button>
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => scenarioManager.remove(scenario.id)}
+                        >
+                          Delete
+                        </Button>
+                      </Fragment>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default ScenarioBar;
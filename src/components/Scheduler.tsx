@@ -5,18 +5,36 @@ import React, {
   FC,
   Fragment,
   useEffect,
+  useCallback,
 } from "react";
 import { BryntumScheduler } from "@bryntum/scheduler-react";
-import { DateHelper, PresetManager, ResourceStore } from "@bryntum/scheduler";
-import { schedulerConfig } from "../lib/SchedulerConfig";
+import {
+  DateHelper,
+  PresetManager,
+  ResourceStore,
+  ResourceTimeRangeStore,
+  StringHelper,
+} from "@bryntum/scheduler";
+import {
+  schedulerConfig,
+  BLOCK_INCOMPATIBLE_OVEN_DROPS,
+  AUTO_SCHEDULE_RULES,
+} from "../lib/SchedulerConfig";
 import OrderStore from "../lib/OrderStore.js";
 import Dialog from "@mui/material/Dialog";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import Divider from "@mui/material/Divider";
 import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
 import { BryntumDateTimeField } from "@bryntum/scheduler-react";
-import { cleanupResources, getResourcesFromOrders } from "../lib/Util";
+import {
+  cleanupResources,
+  addEmptyLastRow,
+  getResourcesFromOrders,
+  getNextSplitPart,
+  getOrderLabel,
+} from "../lib/Util";
 import InputLabel from "@mui/material/InputLabel";
 import MenuItem from "@mui/material/MenuItem";
 import FormControl from "@mui/material/FormControl";
@@ -24,17 +42,87 @@ import Select from "@mui/material/Select";
 import ChevronRightIcon from "@mui/icons-material/ChevronRight";
 import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
 import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import UndoIcon from "@mui/icons-material/Undo";
+import RedoIcon from "@mui/icons-material/Redo";
+import Snackbar from "@mui/material/Snackbar";
+import Alert from "@mui/material/Alert";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import Switch from "@mui/material/Switch";
 import { customPresets } from "../lib/SchedulerTimeConfig";
 import HardBreakStore from "../lib/HardBreakStore";
+import MaintenanceStore from "../lib/MaintenanceStore";
 import CustomDrag from "../lib/CustomDragHelper";
 import CounterWeightDrag from "../lib/CounterWeightDragHelper";
+import { getEventMenuConfig } from "../lib/EventMenu";
+import { getDropValidator, getDropListeners } from "../lib/EventDrop";
+import {
+  getArmModifications,
+  commitArmModifications,
+} from "../lib/SaveChanges";
+import { saveArmLoadQueue } from "../lib/RotoEdgeApi";
+import { WORKING_SCENARIO } from "../lib/ScenarioManager";
+import ScheduleHistory from "../lib/ScheduleHistory";
+import QueueProblems from "./QueueProblems";
+import AutoScheduleProposal from "./AutoScheduleProposal";
+import BaselineDrift from "./BaselineDrift";
+import MaintenanceWindows from "./MaintenanceWindows";
+import LoadSheetDialog from "./LoadSheet";
+import { isLate, formatLateness } from "../lib/Lateness";
+
+// Helper function that returns the rules of the arm an order breaks, as text for its tooltip
+const getOrderWarnings = (eventRecord: any, shutdown: boolean) => {
+  const warnings = [];
+  if (shutdown) {
+    warnings.push("Won't run until the arm is back up");
+  }
+  if (eventRecord.lockConflict) {
+    warnings.push(eventRecord.lockConflict);
+  }
+  if (eventRecord.hardBreakConflict) {
+    warnings.push("Runs across a hard break");
+  }
+  if (eventRecord.capacityConflict) {
+    warnings.push("Runs while the arm holds more volume than its capacity");
+  }
+  if (eventRecord.ovenConflict) {
+    warnings.push(eventRecord.ovenConflict);
+  }
+  if (isLate(eventRecord.lateness)) {
+    warnings.push(
+      `Ends ${formatLateness(eventRecord.lateness)} after its ship date`
+    );
+  }
+  return warnings;
+};
+
+// Helper function that describes the lateness of an order. IE: "Late by 2d 4h" or "2d 4h of slack"
+const describeLateness = (lateness: number | null) => {
+  if (lateness === null || lateness === undefined) {
+    return "No ship date";
+  }
+  return isLate(lateness)
+    ? `Late by ${formatLateness(lateness)}`
+    : `${formatLateness(lateness)} of slack`;
+};
 
 interface BscProps {
   readOnly?: boolean;
   orders: any[];
   hardBreaks?: any[];
+  maintenanceWindows?: any[];
+  shutdown?: boolean;
+  critical?: boolean;
+  diagnostics?: any[];
+  calendar?: any;
+  capacity?: number;
+  ovenRule?: any;
+  onLateCountChange?: (count: number) => void;
+  autoScheduleRequest?: number;
+  scenarioManager?: any;
   unassignedStore?: any;
   armId: any;
+  armName?: string;
   dragContainer?: any;
 }
 
@@ -42,8 +130,20 @@ interface BscProps {
  *
  * @param {boolean} [readOnly=true] Bool if scheduler is read only
  * @param {any[]} orders Array of orders that are placed on Scheduler
+ * @param {any[]} [hardBreaks] Array of hard breaks
+ * @param {any[]} [maintenanceWindows] Maintenance windows of the arm (see lib/Maintenance.js)
+ * @param {boolean} [shutdown] Bool if the arm is shut down. Its rows are drawn as blocked
+ * @param {boolean} [critical] Bool if the arm is flagged as critical
+ * @param {any[]} [diagnostics] Problems found in the priority queue (see getOrdersWithStartDates in lib/Util.ts)
+ * @param {CalendarModel} [calendar] Working calendar of the factory (see getFactoryCalendar in lib/Util.ts)
+ * @param {number} [capacity] Volume capacity of the arm (see lib/ArmCapacity.js)
+ * @param {Object} [ovenRule] Oven rule of the machine (see lib/OvenCompatibility.js)
+ * @param {Function} [onLateCountChange] Callback with the number of late orders, every time the schedule changes
+ * @param {number} [autoScheduleRequest] Incremented to propose an auto-schedule of the backlog from outside (IE: for the whole machine)
+ * @param {ScenarioManager} [scenarioManager] What-if scenarios of the machine the arm registers with (see lib/ScenarioManager.js)
  * @param {OrderStore} [unassignedStore] Unassigned stoe needed by scheduler to add or remove items
  * @param {number} armId ID of arm
+ * @param {string} [armName] Name of the arm, printed on its load sheet
  * @param {HTMLElement} [dragContainer] Ref to the external drag container
  * @returns
  */
@@ -51,8 +151,19 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
   readOnly = true,
   orders,
   hardBreaks = [],
+  maintenanceWindows = [],
+  shutdown = false,
+  critical = false,
+  diagnostics = [],
+  calendar,
+  capacity = Infinity,
+  ovenRule,
+  onLateCountChange,
+  autoScheduleRequest = 0,
+  scenarioManager,
   unassignedStore,
   armId,
+  armName,
   dragContainer,
 }) => {
   // Scheduler is read only if the param is true, or there was no dragContainer / unassignedStore passed
@@ -68,14 +179,33 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
   const [orderDetailOpen, setOrderDetailOpen] = useState(false);
   // Reference to the order that is being viewed
   const [orderDetail, setOrderDetail] = useState(null);
+  // Reference to the order that is being split. The split dialog is open while it's set.
+  const [orderToSplit, setOrderToSplit] = useState<any>(null);
   // The ID of the time preset. Defaults to oneWeek. See lib/SchedulerTimeConfig.tsx
   const [activePreset, setActivePreset] = useState("oneWeekPreset");
+  // Bool while the changes are being saved
+  const [saving, setSaving] = useState(false);
+  // Bool if drops that load molds with incompatible oven settings at the same time are rejected
+  // rather than only highlighted. Defaults to BLOCK_INCOMPATIBLE_OVEN_DROPS (see SchedulerConfig.tsx)
+  const [blockOvenConflicts, setBlockOvenConflicts] = useState<boolean>(
+    BLOCK_INCOMPATIBLE_OVEN_DROPS
+  );
+  // The last auto-schedule request handled (see autoScheduleRequest)
+  const lastAutoScheduleRequest = useRef(0);
+  // Result of the last save, or an undo history step that failed. Shown in a snackbar
+  const [saveResult, setSaveResult] = useState<any>(null);
+  // Scenario the stores hold (see lib/ScenarioManager.js). Only the working schedule can be saved.
+  const [activeScenarioId, setActiveScenarioId] = useState(WORKING_SCENARIO);
   // EventStore for the scheduler. Holds the orders
   const [scheduledStore] = useState(new OrderStore({ data: orders }));
   // ResourceStore for the scheduler. We grab the resources (rows) based off the passed orders
   const [rowStore] = useState(
     new ResourceStore({ data: getResourcesFromOrders(orders, armId) })
   );
+  // Proposal of the "Auto-schedule" action waiting to be accepted or discarded
+  const [autoScheduleProposal, setAutoScheduleProposal] = useState<any>(null);
+  // Problems found in the priority queue that haven't been fixed yet
+  const [queueProblems, setQueueProblems] = useState(diagnostics);
   // Time range store for scheduler. Holds data about hard breaks
   const [hardBreakStore] = useState(
     new HardBreakStore({
@@ -83,6 +213,75 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
     })
   );
 
+  // Maintenance windows of the arm. Orders ripple around them.
+  const [maintenanceStore] = useState(
+    new MaintenanceStore({
+      data: maintenanceWindows,
+    })
+  );
+  // Records of the maintenance store, to list them
+  const [maintenanceList, setMaintenanceList] = useState<any[]>([]);
+  // Bool for when the dialog for adding a maintenance window is open
+  const [addMaintenanceOpen, setAddMaintenanceOpen] = useState(false);
+  // Bool for when the load sheet of the arm is open (see components/LoadSheet.tsx)
+  const [loadSheetOpen, setLoadSheetOpen] = useState(false);
+  // Time ranges drawn in the rows: the changeover gaps between consecutive orders (see
+  // lib/Changeover.js) and the ghost bars of the orders that moved since the baseline. Built by the
+  // order store, so it isn't part of the crud manager.
+  const [rangeStore] = useState(new ResourceTimeRangeStore());
+  // Orders that moved since the baseline (see OrderStore.getDrift)
+  const [drift, setDrift] = useState<any[]>([]);
+  // Bool for when the side panel listing the orders that moved is open
+  const [driftOpen, setDriftOpen] = useState(false);
+  // Undo / redo history of the arm (see lib/ScheduleHistory.js). Null while the scheduler is read only.
+  const [history, setHistory] = useState<any>(null);
+  // Titles of the steps the undo and redo buttons revert and reapply. Null when there's none.
+  const [historyTitles, setHistoryTitles] = useState<any>({
+    undo: null,
+    redo: null,
+  });
+  // Answers the question asked before orders are moved to another arm, which clears the undo history
+  // of both arms (see confirmHistoryReset). Null while nothing is asked.
+  const [answerHistoryReset, setAnswerHistoryReset] = useState<any>(null);
+
+  // Helper function that reports a step of the undo history that failed (IE: an action that threw
+  // while it was recorded, or the project failing to propagate an undo)
+  const reportHistoryError = (title: string) => (e: any) =>
+    setSaveResult({
+      severity: "error",
+      message: `${title} failed: ${e.message}`,
+    });
+
+  // Helper function that records everything an action changes as one step of the undo history.
+  // The optional action restores what isn't held by the stores (see ScheduleHistory.record).
+  const recordAction = (title: string, fn: () => void, action?: any) => {
+    if (history) {
+      history.record(title, fn, action).catch(reportHistoryError(title));
+    } else {
+      fn();
+    }
+  };
+
+  // Helper function that asks the planner whether the undo history of the arms can be cleared.
+  // Resolves to true once it's confirmed.
+  const confirmHistoryReset = () =>
+    new Promise<boolean>((resolve) =>
+      setAnswerHistoryReset(() => (confirmed: boolean) => {
+        setAnswerHistoryReset(null);
+        resolve(confirmed);
+      })
+    );
+
+  // Stores of the arm shared by the drag and drop handlers (see lib/EventDrop.ts)
+  const dropArm = {
+    armId,
+    scheduledStore,
+    unassignedStore,
+    scenarioManager,
+    getScheduler: () => schedulerRef.current.instance,
+    confirmHistoryReset,
+  };
+
   // Function thats called when the order details dialog is closed
   const closeOrderDetailDialog = () => {
     setOrderDetailOpen(false);
@@ -106,7 +305,9 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
       cls: "hard-break-scheduler",
     };
     setHbIdIncrement(hbIdIncrement + 1);
-    schedulerRef.current.instance.timeRangeStore.add(newHardBreakObj);
+    recordAction("Add hard break", () =>
+      schedulerRef.current.instance.timeRangeStore.add(newHardBreakObj)
+    );
   };
 
   // Function thats called when a hard break line is removed
@@ -117,46 +318,220 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
       targetElement = targetElement.parentElement;
     }
     const data = targetElement.dataset.id;
-    schedulerRef.current.instance.timeRangeStore.remove(data);
+    recordAction("Remove hard break", () =>
+      schedulerRef.current.instance.timeRangeStore.remove(data)
+    );
   };
 
-  // Callback when the save button is clicked. Note: These details are useful but we'll need to do
-  // more work to realign the priority queue. See note below
-  const saveChanges = () => {
-    const schedulerInstance = schedulerRef.current.instance;
-    const modifications: any = {
-      scheduler: {
-        added: schedulerInstance.eventStore.added.items,
-        removed: schedulerInstance.eventStore.removed.items,
-        modified: schedulerInstance.eventStore.modified.items,
-      },
-      unscheduledOrders: {
-        added: unassignedStore.added.items,
-        removed: unassignedStore.removed.items,
-        modified: unassignedStore.modified.items,
-      },
-      resources: {
-        added: schedulerInstance.resourceStore.added.items,
-        removed: schedulerInstance.resourceStore.removed.items,
-        modified: schedulerInstance.resourceStore.modified.items,
-      },
-      hardBreaks: {
-        added: schedulerInstance.timeRangeStore.added.items,
-        removed: schedulerInstance.timeRangeStore.removed.items,
-        modified: schedulerInstance.timeRangeStore.modified.items,
+  // Moves orders from the scheduler to the list of unscheduled orders. Counter weights are only removed.
+  const unassignOrders = (eventRecords: any[]) => {
+    recordAction("Unassign orders", () => {
+      scheduledStore.remove(eventRecords);
+      unassignedStore.add(
+        eventRecords.filter((ev: any) => ev.data.type !== "counter_weight")
+      );
+      cleanupResources(schedulerRef.current.instance.resourceStore);
+    });
+  };
+
+  // Locks an order to its current start so the rescheduling leaves it in place, or unlocks it. Locked
+  // orders can't be dragged.
+  const toggleOrderLock = (eventRecord: any) => {
+    const locked = !eventRecord.lockedStartDate;
+    recordAction(locked ? "Lock order" : "Unlock order", () =>
+      eventRecord.set({
+        lockedStartDate: locked ? eventRecord.startDate : null,
+        draggable: !locked,
+      })
+    );
+  };
+
+  // Callback when the split dialog is saved. The order keeps the first balance and the other balances
+  // become new parts right after it (see OrderStore.splitOrder).
+  const splitOrder = (balances: number[]) => {
+    const firstPart = getNextSplitPart(
+      [...scheduledStore.records, ...unassignedStore.records].map(
+        (record: any) => record.data
+      ),
+      orderToSplit.data.work_order_number
+    );
+    recordAction("Split order", () =>
+      scheduledStore.splitOrder(orderToSplit, balances, firstPart)
+    );
+    setOrderToSplit(null);
+  };
+
+  // Callback when the fix action of a queue problem is clicked
+  const fixQueueProblem = (problem: any) => {
+    const { resourceId } = problem;
+    const remainingProblems = queueProblems.filter(
+      (item: any) => item !== problem
+    );
+    // A row without a root is fixed once all of its unplotted orders are plotted
+    const fixedProblems = remainingProblems.filter(
+      (item: any) =>
+        item.type !== "noRoot" ||
+        remainingProblems.some(
+          (other: any) =>
+            other.resourceId === item.resourceId &&
+            ["danglingLoadAfter", "cycle"].includes(other.type)
+        )
+    );
+    recordAction(
+      "Fix queue problem",
+      () => {
+        switch (problem.type) {
+          case "danglingLoadAfter":
+          case "cycle":
+            // Plot the orders at the end of their row. Saving links them to the last order of the row.
+            if (!rowStore.getById(resourceId)) {
+              rowStore.add({ id: resourceId });
+              cleanupResources(rowStore);
+            }
+            scheduledStore.appendToRow(problem.orders, resourceId);
+            addEmptyLastRow(rowStore, armId);
+            break;
+          case "multipleRoots":
+            scheduledStore.repackRow(resourceId);
+            break;
+          case "duplicateWorkOrder":
+            // Keep the first order and unassign the others
+            unassignOrders(
+              problem.orders
+                .slice(1)
+                .map((order: any) => scheduledStore.getById(order.id))
+                .filter(Boolean)
+            );
+            break;
+          default:
+            break;
+        }
       },
+      {
+        // Undoing the fix lists the problems again
+        undo: () => setQueueProblems(queueProblems),
+        redo: () => setQueueProblems(fixedProblems),
+      }
+    );
+    setQueueProblems(fixedProblems);
+  };
+
+  // Callback when the auto-schedule button is clicked. Proposes where to place the unassigned orders
+  // (see lib/AutoScheduler.js). Nothing changes until the proposal is accepted.
+  const proposeAutoSchedule = useCallback(() => {
+    setAutoScheduleProposal(
+      scheduledStore.proposeSchedule(
+        unassignedStore.records.map((record: any) => record.data),
+        armId,
+        AUTO_SCHEDULE_RULES
+      )
+    );
+  }, [scheduledStore, unassignedStore, armId]);
+
+  // Callback when the auto-schedule proposal is accepted. The orders are moved from the unassigned
+  // store to their proposed rows, the same way dropping them does (see lib/CustomDragHelper.jsx).
+  const acceptAutoSchedule = () => {
+    const { placements } = autoScheduleProposal;
+    setAutoScheduleProposal(null);
+    recordAction("Auto-schedule", () => {
+      placements.forEach(({ resourceId }: any) => {
+        if (!rowStore.getById(resourceId)) {
+          rowStore.add({ id: resourceId });
+        }
+      });
+      const records: any[] = [];
+      placements.forEach((placement: any) => {
+        const record = unassignedStore.getById(placement.order.id);
+        if (record) {
+          unassignedStore.remove(record);
+          record.set({
+            startDate: placement.startDate,
+            duration: placement.endDate - placement.startDate,
+            resourceId: placement.resourceId,
+            hardBreakConflict: placement.hardBreakConflict,
+          });
+          records.push(record);
+        }
+      });
+      scheduledStore.add(records);
+      addEmptyLastRow(rowStore, armId);
+    });
+  };
+
+  // Callback when the save button is clicked. Rebuilds the priority queue from the rows and collects
+  // everything that needs to be persisted for this arm (see lib/SaveChanges.ts).
+  const saveChanges = () => {
+    const stores = {
+      scheduler: schedulerRef.current.instance,
+      scheduledStore,
+      unassignedStore,
+      maintenanceStore,
     };
-    // To-Do: We need to reconnect the priority queue so we can update the items with new "load-after" orders.
-    // This list of modifications will help; but the process is going to be a little complicated.
-    console.log("modifications", modifications);
+    const modifications = getArmModifications(armId, stores);
+
+    setSaving(true);
+    saveArmLoadQueue(armId, modifications)
+      .then(() => {
+        commitArmModifications(modifications, stores);
+        // The saved schedule is the new baseline, and can't be undone past
+        captureBaseline();
+        if (history) {
+          history.reset();
+        }
+        setSaveResult({ severity: "success", message: "Changes saved." });
+      })
+      .catch((e: any) =>
+        setSaveResult({
+          severity: "error",
+          message: `Unable to save changes: ${e.message}`,
+        })
+      )
+      .finally(() => setSaving(false));
+  };
+
+  // Callback when the set baseline button is clicked. The orders that move afterwards are compared
+  // against the schedule as it is now.
+  const captureBaseline = () => {
+    scheduledStore.captureBaseline();
+    setDrift(scheduledStore.getDrift());
   };
 
-  // Callback when the discard changes button is clicked. Reverts all relevant stores.
-  const cancelChanges = () => {
+  // Callback when the discard changes button is clicked. Undoing every change restores the exact
+  // queue of every row. What the history doesn't hold (IE: changes made before switching scenarios) is
+  // then reverted in all relevant stores.
+  const cancelChanges = async () => {
+    if (history) {
+      await history.undoAll();
+    }
     scheduledStore.resourceStore.revertChanges(); // reset the rows
     unassignedStore.revertChanges(); // reset the unassigned orders
     schedulerRef.current.instance.timeRangeStore.revertChanges(); // reset the hard breaks
+    maintenanceStore.revertChanges(); // reset the maintenance windows
     scheduledStore.revertChanges(); // reset the scheduled orders
+    if (history) {
+      history.reset();
+    }
+  };
+
+  // Callback when a key is pressed in the scheduler. Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes.
+  // Keys typed in a field are left to the field.
+  const handleKeyDown = (e: any) => {
+    if (
+      !history ||
+      !(e.ctrlKey || e.metaKey) ||
+      ["INPUT", "TEXTAREA"].includes(e.target.tagName) ||
+      e.target.isContentEditable
+    ) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      history.undo().catch(reportHistoryError("Undo"));
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      history.redo().catch(reportHistoryError("Redo"));
+    }
   };
 
   // Callback when a time preset is changed. It helps to pass the CURRENT date as the begin / end
@@ -172,6 +547,179 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
     setActivePreset(presetId);
   };
 
+  useEffect(
+    // Hard breaks are barriers for the orders, so the order store reschedules when they change
+    () => scheduledStore.setHardBreakStore(hardBreakStore),
+    [scheduledStore, hardBreakStore]
+  );
+
+  useEffect(() => {
+    // Consecutive orders of a row are apart by the changeover between them, and the orders that moved
+    // since the baseline leave a ghost bar where they were. The baseline starts as the loaded schedule.
+    scheduledStore.captureBaseline();
+    return scheduledStore.setRangeStore(rangeStore);
+  }, [scheduledStore, rangeStore]);
+
+  useEffect(() => {
+    // Orders ripple around the maintenance windows, which are drawn in the rows they block
+    const refreshList = () => setMaintenanceList([...maintenanceStore.records]);
+    refreshList();
+    const detachList = maintenanceStore.on({ change: refreshList });
+    const detachStore = scheduledStore.setMaintenanceStore(maintenanceStore);
+    return () => {
+      detachList();
+      detachStore();
+    };
+  }, [scheduledStore, maintenanceStore]);
+
+  useEffect(
+    // The rows of a shut down arm are drawn as blocked
+    () => scheduledStore.setShutdown(shutdown),
+    [scheduledStore, shutdown]
+  );
+
+  useEffect(() => {
+    // Lists the orders that moved since the baseline every time the orders change
+    const refreshDrift = () => setDrift(scheduledStore.getDrift());
+    refreshDrift();
+    return scheduledStore.on({ change: refreshDrift });
+  }, [scheduledStore]);
+
+  useEffect(
+    // Orders that overload the arm or are in the oven with incompatible orders are highlighted
+    () =>
+      scheduledStore.setArmRules({
+        capacity,
+        ovenRule,
+        blockOvenConflicts,
+      }),
+    [scheduledStore, capacity, ovenRule, blockOvenConflicts]
+  );
+
+  useEffect(() => {
+    // The stores of the arm are part of the what-if scenarios of the machine. Switching scenarios
+    // swaps what the stores hold.
+    if (!scenarioManager || isReadOnly) {
+      return;
+    }
+    const unregister = scenarioManager.register(armId, {
+      scheduledStore,
+      unassignedStore,
+      hardBreakStore,
+      maintenanceStore,
+      rowStore,
+    });
+    const detach = scenarioManager.on(() =>
+      setActiveScenarioId(scenarioManager.activeScenarioId)
+    );
+    setActiveScenarioId(scenarioManager.activeScenarioId);
+    return () => {
+      detach();
+      unregister();
+    };
+  }, [
+    scenarioManager,
+    isReadOnly,
+    armId,
+    scheduledStore,
+    unassignedStore,
+    hardBreakStore,
+    maintenanceStore,
+    rowStore,
+  ]);
+
+  useEffect(() => {
+    // Every edit of the arm can be undone. The history starts with the schedule as it was loaded.
+    if (isReadOnly) {
+      return;
+    }
+    const scheduleHistory = new ScheduleHistory(schedulerRef.current.instance, {
+      scheduledStore,
+      unassignedStore,
+      hardBreakStore,
+      maintenanceStore,
+      rangeStore,
+    });
+    const refreshTitles = () =>
+      setHistoryTitles({
+        undo: scheduleHistory.undoTitle,
+        redo: scheduleHistory.redoTitle,
+      });
+    refreshTitles();
+    const detach = scheduleHistory.on(refreshTitles);
+    setHistory(scheduleHistory);
+    return () => {
+      detach();
+      scheduleHistory.destroy();
+      setHistory(null);
+    };
+  }, [
+    isReadOnly,
+    scheduledStore,
+    unassignedStore,
+    hardBreakStore,
+    maintenanceStore,
+    rangeStore,
+  ]);
+
+  useEffect(() => {
+    // Switching scenarios swaps what the stores hold, so what was done before can't be undone
+    if (history) {
+      history.reset();
+    }
+  }, [history, activeScenarioId]);
+
+  useEffect(() => {
+    // Reports the number of late orders every time the orders ripple. The lateness is projected by
+    // the order store (see the arm rules effect above).
+    if (!onLateCountChange) {
+      return;
+    }
+    const reportLateOrders = () =>
+      onLateCountChange(scheduledStore.getLateOrders().length);
+    reportLateOrders();
+    return scheduledStore.on({ change: reportLateOrders });
+  }, [scheduledStore, onLateCountChange]);
+
+  useEffect(() => {
+    // Orders are scheduled against the working time of the factory calendar. It's also the calendar of
+    // the project, so the NonWorkingTime feature shades its non-working time.
+    if (!calendar) {
+      return;
+    }
+    scheduledStore.setCalendar(calendar);
+    const { project } = schedulerRef.current.instance;
+    project.calendar = calendar;
+    project.trigger("calendarChange");
+  }, [scheduledStore, calendar]);
+
+  useEffect(() => {
+    // The auto-schedule was requested from outside of the scheduler (IE: for the whole machine). Only
+    // a new request is handled: the effect also runs when the schedule changes, which must not
+    // propose again. A scheduler rendered because of a request (IE: its arm was expanded to show the
+    // proposal) handles that request.
+    if (autoScheduleRequest <= lastAutoScheduleRequest.current) {
+      return;
+    }
+    lastAutoScheduleRequest.current = autoScheduleRequest;
+    if (!isReadOnly) {
+      proposeAutoSchedule();
+    }
+  }, [autoScheduleRequest, isReadOnly, proposeAutoSchedule]);
+
+  useEffect(() => {
+    // A proposal is only valid for the schedule it was made for, so it's discarded as soon as the
+    // orders, the backlog or the hard breaks change
+    if (!autoScheduleProposal) {
+      return;
+    }
+    const discardProposal = () => setAutoScheduleProposal(null);
+    const detachers = [scheduledStore, unassignedStore, hardBreakStore].map(
+      (store: any) => store.on({ change: discardProposal })
+    );
+    return () => detachers.forEach((detach: any) => detach());
+  }, [autoScheduleProposal, scheduledStore, unassignedStore, hardBreakStore]);
+
   useEffect(() => {
     // Instantiate the drag class here. It's config ties the scheduler to the container
     // for drag and drop orders. (ONLY for dragging items onto the scheduler. Dragging items back to the
@@ -196,130 +744,174 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
   }, [armId, dragContainer, isReadOnly, unassignedStore]);
 
   return (
-    <div id="schedulerContainer" className={`scheduler-${armId}`}>
+    <div
+      id="schedulerContainer"
+      className={`scheduler-${armId}`}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+    >
       <Box flexDirection="column" className="flex-grow">
-        {/* Both containers needs CSS properties in flex-grow class */}
-        <div id="bryntumScheduler" className="flex-grow bryntumScheduler">
-          <BryntumScheduler
-            ref={schedulerRef}
-            readOnly={readOnly}
-            createEventOnDblClick={false}
-            zoomOnTimeAxisDoubleClick={false}
-            viewPreset={activePreset}
-            presets={customPresets}
-            eventEditFeature={false}
-            eventDragCreateFeature={{ disabled: true }}
-            scheduleMenuFeature={{ disabled: true }}
-            crudManager={{
-              validateResponse: true,
-              eventStore: scheduledStore,
-              resourceStore: rowStore,
-              timeRangeStore: hardBreakStore,
-              autoLoad: true,
-            }}
-            eventStyle={undefined}
-            timeRangesFeature={{
-              showCurrentTimeLine: {
-                name: "Now",
-              },
-              // How often the currentTime line updates. Default is 10000 ms or 10 sec
-              currentTimeLineUpdateInterval: 86400000, // Update in one day
-              showHeaderElements: true,
-              enableResizing: true,
-              showTooltip: true,
-              callOnFunctions: true,
-            }}
-            eventDragFeature={{
-              // Allow dragging orders outside of the Scheduler
-              constrainDragToTimeline: false,
-              // This CSS selector defines where a user may drop orders outside the scheduler element
-              externalDropTargetSelector: "#unqueuedItemsContainer",
-            }}
-            eventMenuFeature={{
-              items: {
-                copyEvent: false,
-                cutEvent: false,
-                unassignEvent: false,
-                deleteEvent: false,
-                unassign: !readOnly && {
-                  icon: null,
-                  text: "Unassign",
-                  weight: 300,
-                  onItem: (config: any) => {
-                    scheduledStore.remove(config.eventRecord);
-                    if (config.eventRecord.type !== "counter_weight") {
-                      unassignedStore.add(config.eventRecord);
-                    }
-                    cleanupResources(
-                      schedulerRef.current.instance.resourceStore
-                    );
-                  },
+        {shutdown && (
+          <Alert severity="error" sx={{ marginBottom: 1 }}>
+            This arm is shut down. None of its orders will run until it's back
+            up.
+          </Alert>
+        )}
+        {critical && (
+          <Alert severity="warning" sx={{ marginBottom: 1 }}>
+            This arm is flagged as critical.
+          </Alert>
+        )}
+        <Box display="flex">
+          {/* Both containers needs CSS properties in flex-grow class */}
+          <div id="bryntumScheduler" className="flex-grow bryntumScheduler">
+            <BryntumScheduler
+              ref={schedulerRef}
+              readOnly={readOnly}
+              createEventOnDblClick={false}
+              zoomOnTimeAxisDoubleClick={false}
+              // Ctrl+Z is handled by the undo history of the arm (see handleKeyDown)
+              enableUndoRedoKeys={false}
+              viewPreset={activePreset}
+              presets={customPresets}
+              eventEditFeature={false}
+              eventDragCreateFeature={{ disabled: true }}
+              scheduleMenuFeature={{ disabled: true }}
+              resourceTimeRangesFeature={true}
+              resourceTimeRangeStore={rangeStore}
+              crudManager={{
+                validateResponse: true,
+                eventStore: scheduledStore,
+                resourceStore: rowStore,
+                timeRangeStore: hardBreakStore,
+                autoLoad: true,
+              }}
+              eventStyle={undefined}
+              eventRenderer={({ eventRecord, renderData }: any) => {
+                // Locked orders that can't keep their start (see flowRow in lib/Util.ts)
+                renderData.cls["scheduler-bar-lock-conflict"] = Boolean(
+                  eventRecord.lockConflict
+                );
+                // Orders of a shut down arm won't run until it's back up
+                renderData.cls["scheduler-bar-shutdown"] = shutdown;
+                // Orders that run across a hard break (see HARD_BREAK_BEHAVIOUR in lib/SchedulerConfig.tsx)
+                renderData.cls["scheduler-bar-hard-break-conflict"] = Boolean(
+                  eventRecord.hardBreakConflict
+                );
+                // Orders running while the arm is overloaded (see lib/ArmCapacity.js)
+                renderData.cls["scheduler-bar-capacity-conflict"] = Boolean(
+                  eventRecord.capacityConflict
+                );
+                // Orders in the oven with incompatible orders (see lib/OvenCompatibility.js)
+                renderData.cls["scheduler-bar-oven-conflict"] = Boolean(
+                  eventRecord.ovenConflict
+                );
+                // Orders projected to end after their ship date (see lib/Lateness.js)
+                const late = isLate(eventRecord.lateness);
+                renderData.cls["scheduler-bar-late"] = late;
+                return `${
+                  eventRecord.lockedStartDate
+                    ? '<i class="b-fa b-fa-lock scheduler-bar-lock-icon"></i>'
+                    : ""
+                }${StringHelper.encodeHtml(eventRecord.name)}${
+                  late
+                    ? `<span class="scheduler-bar-late-badge">LATE ${formatLateness(
+                        eventRecord.lateness
+                      )}</span>`
+                    : ""
+                }`;
+              }}
+              // Shades the non-working time of the factory calendar (see the calendar effect above)
+              nonWorkingTimeFeature={true}
+              eventTooltipFeature={{
+                template: ({
+                  eventRecord,
+                  startClockHtml,
+                  endClockHtml,
+                }: any) =>
+                  `<div class="b-sch-event-title">${StringHelper.encodeHtml(
+                    eventRecord.name
+                  )}</div>${startClockHtml}${endClockHtml}${
+                    eventRecord.shipDate
+                      ? `<div>Ships ${StringHelper.encodeHtml(
+                          eventRecord.data.ship_date
+                        )} (${describeLateness(eventRecord.lateness)})</div>`
+                      : ""
+                  }${getOrderWarnings(eventRecord, shutdown)
+                    .map(
+                      (warning: string) =>
+                        `<div class="scheduler-tooltip-warning">${StringHelper.encodeHtml(
+                          warning
+                        )}</div>`
+                    )
+                    .join("")}`,
+              }}
+              timeRangesFeature={{
+                showCurrentTimeLine: {
+                  name: "Now",
+                },
+                // How often the currentTime line updates. Default is 10000 ms or 10 sec
+                currentTimeLineUpdateInterval: 86400000, // Update in one day
+                showHeaderElements: true,
+                enableResizing: true,
+                showTooltip: true,
+                callOnFunctions: true,
+              }}
+              eventDragFeature={{
+                // Allow dragging orders outside of the Scheduler
+                constrainDragToTimeline: false,
+                // This CSS selector defines where a user may drop orders outside the scheduler element
+                externalDropTargetSelector: "#unqueuedItemsContainer",
+                // Don't allow drops that break the rules of the arm (capacity, oven settings)
+                validatorFn: getDropValidator(dropArm),
+              }}
+              eventMenuFeature={getEventMenuConfig({
+                isReadOnly,
+                onUnassign: (eventRecord: any) => unassignOrders([eventRecord]),
+                onToggleLock: toggleOrderLock,
+                onSplit: setOrderToSplit,
+                onShowDetails: (eventRecord: any) => {
+                  setOrderDetailOpen(true);
+                  setOrderDetail(eventRecord);
                 },
-                orderDetails: {
-                  text: "See Order Details",
-                  weight: 400, // Add the item to the bottom
-                  onItem: (config: any) => {
-                    setOrderDetailOpen(true);
-                    setOrderDetail(config.eventRecord);
+              })}
+              timeAxisHeaderMenuFeature={{
+                items: {
+                  eventsFilter: false,
+                  zoomLevel: false,
+                  dateRange: false,
+                  currentTimeLine: false,
+                  removeHardBreak: {
+                    text: "Remove Hard Break",
+                    weight: 400,
+                    onItem: removeHardBreakLine,
                   },
                 },
-              },
-              processItems: (config: any) => {
-                const { eventRecord, items } = config;
-                if (!eventRecord.draggable) {
-                  items.unassign = false;
-                }
-                if (config.eventRecord.type === "counter_weight") {
-                  items.orderDetails = false;
-                }
-              },
-            }}
-            timeAxisHeaderMenuFeature={{
-              items: {
-                eventsFilter: false,
-                zoomLevel: false,
-                dateRange: false,
-                currentTimeLine: false,
-                removeHardBreak: {
-                  text: "Remove Hard Break",
-                  weight: 400,
-                  onItem: removeHardBreakLine,
+                processItems: (config: any) => {
+                  const { targetElement } = config;
+                  const timeRangeClasslist = targetElement?.classList;
+                  const timeRangeParentClasslist =
+                    targetElement?.parentElement?.classList;
+                  if (
+                    (!timeRangeClasslist.value.includes("timerange") &&
+                      !timeRangeParentClasslist.value.includes("timerange")) ||
+                    isReadOnly
+                  ) {
+                    config.items.removeHardBreak = false;
+                  }
                 },
-              },
-              processItems: (config: any) => {
-                const { targetElement } = config;
-                const timeRangeClasslist = targetElement?.classList;
-                const timeRangeParentClasslist =
-                  targetElement?.parentElement?.classList;
-                if (
-                  (!timeRangeClasslist.value.includes("timerange") &&
-                    !timeRangeParentClasslist.value.includes("timerange")) ||
-                  isReadOnly
-                ) {
-                  config.items.removeHardBreak = false;
-                }
-              },
-            }}
-            listeners={{
-              eventDrop(res: any) {
-                const { eventRecords } = res;
-                //If this event was dropped on the custom drag container wrapper
-                if (res.externalDropTarget) {
-                  // For multi-select, this list of events COULD include counter weights. We still want to remove them from the
-                  // schedule store and cleanup the resources- but we don't want to add them to the unassignesd store.
-                  const eventsToAddToUnassignedStore = eventRecords.filter(
-                    (ev: any) => ev.data.type !== "counter_weight"
-                  );
-
-                  scheduledStore.remove(eventRecords);
-                  cleanupResources(schedulerRef.current.instance.resourceStore);
-                  unassignedStore.add(eventsToAddToUnassignedStore);
-                }
-              },
-            }}
-            {...schedulerConfig}
-          />
-        </div>
+              }}
+              listeners={getDropListeners(dropArm)}
+              {...schedulerConfig}
+            />
+          </div>
+          {driftOpen && (
+            <BaselineDrift
+              drift={drift}
+              baselineDate={scheduledStore.baselineDate}
+            />
+          )}
+        </Box>
         <Box mt={1} display="flex" justifyContent="space-between">
           <Box display={"flex"}>
             <IconButton
@@ -343,6 +935,15 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
             >
               <ChevronRightIcon />
             </IconButton>
+            <Button
+              variant="outlined"
+              size={"small"}
+              sx={{ display: "flex", marginLeft: 1 }}
+              color="info"
+              onClick={() => setLoadSheetOpen(true)}
+            >
+              Load Sheet
+            </Button>
           </Box>
           {/* If read only, don't include toolbar to edit rows */}
           {!readOnly && (
@@ -362,13 +963,114 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
               >
                 Add Hard Break
               </Button>
+              <Button
+                variant="outlined"
+                size={"small"}
+                sx={{ display: "flex", marginRight: 1 }}
+                color="info"
+                onClick={() => setAddMaintenanceOpen(true)}
+              >
+                Add Maintenance
+              </Button>
+              <Button
+                variant="outlined"
+                size={"small"}
+                sx={{ display: "flex", marginRight: 1 }}
+                color="info"
+                onClick={captureBaseline}
+              >
+                Set Baseline
+              </Button>
+              <Button
+                variant={driftOpen ? "contained" : "outlined"}
+                size={"small"}
+                sx={{ display: "flex", marginRight: 1 }}
+                color="info"
+                onClick={() => setDriftOpen(!driftOpen)}
+              >
+                {`Moved (${drift.length})`}
+              </Button>
+              <Button
+                variant="outlined"
+                size={"small"}
+                sx={{ display: "flex", marginRight: 1 }}
+                color="info"
+                onClick={proposeAutoSchedule}
+                disabled={isReadOnly}
+              >
+                Auto-schedule
+              </Button>
+              {ovenRule && (
+                <FormControlLabel
+                  sx={{ marginRight: 1 }}
+                  control={
+                    <Switch
+                      size="small"
+                      checked={blockOvenConflicts}
+                      onChange={(e: any) =>
+                        setBlockOvenConflicts(e.target.checked)
+                      }
+                    />
+                  }
+                  label={
+                    <Typography variant="body2">
+                      Block Oven Conflicts
+                    </Typography>
+                  }
+                />
+              )}
+              <Tooltip
+                title={
+                  historyTitles.undo
+                    ? `Undo: ${historyTitles.undo} (Ctrl+Z)`
+                    : "Nothing to undo"
+                }
+              >
+                <Box component="span" sx={{ display: "flex", marginRight: 1 }}>
+                  <Button
+                    variant="outlined"
+                    size={"small"}
+                    color="info"
+                    startIcon={<UndoIcon />}
+                    onClick={() =>
+                      history.undo().catch(reportHistoryError("Undo"))
+                    }
+                    disabled={isReadOnly || !historyTitles.undo}
+                  >
+                    Undo
+                  </Button>
+                </Box>
+              </Tooltip>
+              <Tooltip
+                title={
+                  historyTitles.redo
+                    ? `Redo: ${historyTitles.redo} (Ctrl+Y)`
+                    : "Nothing to redo"
+                }
+              >
+                <Box component="span" sx={{ display: "flex", marginRight: 1 }}>
+                  <Button
+                    variant="outlined"
+                    size={"small"}
+                    color="info"
+                    startIcon={<RedoIcon />}
+                    onClick={() =>
+                      history.redo().catch(reportHistoryError("Redo"))
+                    }
+                    disabled={isReadOnly || !historyTitles.redo}
+                  >
+                    Redo
+                  </Button>
+                </Box>
+              </Tooltip>
               <Button
                 variant="outlined"
                 size={"small"}
                 sx={{ display: "flex", marginRight: 1 }}
                 onClick={saveChanges}
+                disabled={saving || activeScenarioId !== WORKING_SCENARIO}
               >
-                Save Changes
+                {saving ? "Saving..." : "Save Changes"}
               </Button>
               <Button
                 variant="outlined"
@@ -382,16 +1084,73 @@ const BryntumSchedulerComponent: FunctionComponent<BscProps> = ({
             </Box>
           )}
         </Box>
+        <AutoScheduleProposal
+          proposal={autoScheduleProposal}
+          onAccept={acceptAutoSchedule}
+          onDiscard={() => setAutoScheduleProposal(null)}
+        />
+        <MaintenanceWindows
+          windows={maintenanceList}
+          readOnly={isReadOnly}
+          onRemove={(maintenanceWindow: any) =>
+            recordAction("Remove maintenance window", () =>
+              maintenanceStore.remove(maintenanceWindow)
+            )
+          }
+        />
+        <QueueProblems
+          problems={queueProblems}
+          readOnly={isReadOnly}
+          onFix={fixQueueProblem}
+        />
         <OrderDetailDialog
           closeOrderDetail={closeOrderDetailDialog}
           event={orderDetail}
           orderDetailOpen={orderDetailOpen}
         />
+        <SplitOrderDialog
+          event={orderToSplit}
+          onClose={() => setOrderToSplit(null)}
+          onSplit={splitOrder}
+        />
+        <AddMaintenanceDialog
+          open={addMaintenanceOpen}
+          rows={rowStore.records.map((row: any) => row.id)}
+          onClose={() => setAddMaintenanceOpen(false)}
+          onSave={(maintenanceWindow: any) =>
+            recordAction("Add maintenance window", () =>
+              maintenanceStore.add(maintenanceWindow)
+            )
+          }
+        />
         <AddHardBreakDialog
           onClose={closeHardBreakDialog}
           open={addHardBreakOpen}
           onSave={addHardBreakLine}
         />
+        <HistoryResetDialog onAnswer={answerHistoryReset} />
+        <LoadSheetDialog
+          open={loadSheetOpen}
+          onClose={() => setLoadSheetOpen(false)}
+          armName={armName}
+          orders={scheduledStore.records}
+          hardBreaks={hardBreakStore.records}
+          calendar={calendar}
+        />
+        <Snackbar
+          open={Boolean(saveResult)}
+          autoHideDuration={6000}
+          onClose={() => setSaveResult(null)}
+        >
+          {saveResult ? (
+            <Alert
+              onClose={() => setSaveResult(null)}
+              severity={saveResult.severity}
+            >
+              {saveResult.message}
+            </Alert>
+          ) : undefined}
+        </Snackbar>
       </Box>
     </div>
   );
@@ -417,7 +1176,9 @@ const OrderDetailDialog: FC<OrderDetailDialogProps> = ({
   return (
     <Dialog onClose={closeOrderDetail} open={orderDetailOpen} maxWidth={false}>
       <Box mx={4} my={2}>
-        <Typography variant="h6">{`WO: ${data.work_order_number} (${data.balance} Parts)`}</Typography>
+        <Typography variant="h6">{`${getOrderLabel(data)} (${
+          data.balance
+        } Parts)`}</Typography>
         <Divider sx={{ margin: "10px 0" }} />
         <InfoLabel label={"Work Order:"} value={data.work_order_number} />
         <InfoLabel label={"Item:"} value={data.item} />
@@ -438,6 +1199,10 @@ const OrderDetailDialog: FC<OrderDetailDialogProps> = ({
           value={`${durationRounded} Hours`}
         />
         <InfoLabel label={"Ship Date:"} value={data.ship_date} />
+        <InfoLabel
+          label={"Lateness:"}
+          value={describeLateness(event.lateness)}
+        />
         <Divider sx={{ margin: "10px 0" }} />
         <InfoLabel label={"Mold Volume:"} value={data.mold_volume} />
         <InfoLabel label={"Oven Temp:"} value={data.temp} />
@@ -508,6 +1273,265 @@ const AddHardBreakDialog: FC<AddHardBreakDialogProps> = ({
   );
 };
 
+interface HistoryResetDialogProps {
+  onAnswer: ((confirmed: boolean) => void) | null;
+}
+
+// Dialog shown before orders are moved to another arm of the machine. Neither arm can undo its side
+// of the move, so the move clears the undo history of both arms.
+const HistoryResetDialog: FC<HistoryResetDialogProps> = ({ onAnswer }) => {
+  if (!onAnswer) {
+    return <Fragment></Fragment>;
+  }
+
+  return (
+    <Dialog onClose={() => onAnswer(false)} open={true} maxWidth={false}>
+      <Box mx={4} my={2}>
+        <Typography variant="h6">Move Orders To Another Arm</Typography>
+        <Divider sx={{ margin: "10px 0" }} />
+        <Typography variant="body2">
+          Moving orders to another arm clears the undo history of both arms. The
+          changes made so far are kept, but they can't be undone anymore.
+        </Typography>
+
+        <Box display="flex" mt={4}>
+          <Button
+            variant="outlined"
+            size={"small"}
+            sx={{ marginRight: 1 }}
+            onClick={() => onAnswer(false)}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="outlined"
+            size={"small"}
+            onClick={() => onAnswer(true)}
+          >
+            Move Orders
+          </Button>
+        </Box>
+      </Box>
+    </Dialog>
+  );
+};
+
+interface SplitOrderDialogProps {
+  event: any;
+  onClose: any;
+  onSplit: (balances: number[]) => void;
+}
+
+const SplitOrderDialog: FC<SplitOrderDialogProps> = ({
+  event,
+  onClose,
+  onSplit,
+}) => {
+  // Balance of every part but the last one. The last part gets what's left.
+  const [balances, setBalances] = useState<string[]>([]);
+
+  useEffect(() => {
+    setBalances(event ? [`${Math.ceil(event.balance / 2)}`] : []);
+  }, [event]);
+
+  if (!event) {
+    return <Fragment></Fragment>;
+  }
+
+  const parts = balances.map((balance) => +balance);
+  const remainder = parts.reduce((left, part) => left - part, event.balance);
+  const valid =
+    remainder >= 1 &&
+    parts.every((part) => Number.isInteger(part) && part >= 1);
+
+  return (
+    <Dialog onClose={onClose} open={Boolean(event)} maxWidth={false}>
+      <Box mx={4} my={2}>
+        <Typography variant="h6">{`Split ${getOrderLabel(event.data)} (${
+          event.balance
+        } Parts)`}</Typography>
+        <Divider sx={{ margin: "10px 0" }} />
+        <Typography variant="body2" mb={2}>
+          Each part runs as its own order and can be moved to another row or
+          time.
+        </Typography>
+
+        {balances.map((balance, i) => (
+          <TextField
+            key={`split-part-${i}`}
+            label={`Part ${i + 1}`}
+            type="number"
+            size="small"
+            value={balance}
+            onChange={(e) =>
+              setBalances(
+                balances.map((value, j) => (j === i ? e.target.value : value))
+              )
+            }
+            sx={{ display: "flex", marginBottom: 2 }}
+          />
+        ))}
+        <InfoLabel
+          label={`Part ${balances.length + 1}:`}
+          value={remainder >= 1 ? `${remainder} Parts` : "-"}
+        />
+
+        <Box display="flex" mt={4}>
+          <Button
+            variant="outlined"
+            size={"small"}
+            sx={{ marginRight: 1 }}
+            disabled={!valid || remainder < 2}
+            onClick={() =>
+              setBalances([...balances, `${Math.ceil(remainder / 2)}`])
+            }
+          >
+            Add Part
+          </Button>
+          <Button
+            variant="outlined"
+            size={"small"}
+            disabled={!valid}
+            onClick={() => onSplit([...parts, remainder])}
+          >
+            Split
+          </Button>
+        </Box>
+      </Box>
+    </Dialog>
+  );
+};
+
+interface AddMaintenanceDialogProps {
+  onSave: any;
+  open: boolean;
+  onClose: any;
+  rows: any[];
+}
+
+const AddMaintenanceDialog: FC<AddMaintenanceDialogProps> = ({
+  onSave,
+  open,
+  onClose,
+  rows,
+}) => {
+  const startRef: any = useRef(null);
+  const endRef: any = useRef(null);
+  const untilRef: any = useRef(null);
+  const [name, setName] = useState("");
+  // Row the window blocks. "" for the whole arm.
+  const [rowId, setRowId] = useState("");
+  // "" when the window doesn't repeat
+  const [recurrence, setRecurrence] = useState("");
+  const [error, setError] = useState("");
+
+  if (!open) {
+    return <Fragment></Fragment>;
+  }
+
+  const close = () => {
+    setName("");
+    setRowId("");
+    setRecurrence("");
+    setError("");
+    onClose();
+  };
+
+  return (
+    <Dialog onClose={close} open={open} maxWidth={false}>
+      <Box mx={4} my={2} sx={{ minWidth: 320 }}>
+        <Typography variant="h6">Add Maintenance Window</Typography>
+        <Divider sx={{ margin: "10px 0" }} />
+
+        <TextField
+          label="Name"
+          size="small"
+          value={name}
+          placeholder="Maintenance"
+          onChange={(e) => setName(e.target.value)}
+          sx={{ display: "flex", marginBottom: 2 }}
+        />
+        <Typography variant="body2">Start</Typography>
+        <BryntumDateTimeField ref={startRef} value={new Date()} />
+        <Typography variant="body2" mt={1}>
+          End
+        </Typography>
+        <BryntumDateTimeField
+          ref={endRef}
+          value={new Date(Date.now() + 2 * 3600000)}
+        />
+        <FormControl fullWidth size="small" sx={{ marginTop: 2 }}>
+          <InputLabel id="maintenance-row-label">Applies to</InputLabel>
+          <Select
+            labelId="maintenance-row-label"
+            label="Applies to"
+            value={rowId}
+            displayEmpty
+            onChange={(e: any) => setRowId(e.target.value)}
+          >
+            <MenuItem value="">Whole arm</MenuItem>
+            {rows.map((row: any) => (
+              <MenuItem key={`maintenance-row-${row}`} value={row}>
+                {`Row ${`${row}`.split("-r")[1]}`}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl fullWidth size="small" sx={{ marginTop: 2 }}>
+          <InputLabel id="maintenance-recurrence-label">Repeat</InputLabel>
+          <Select
+            labelId="maintenance-recurrence-label"
+            label="Repeat"
+            value={recurrence}
+            displayEmpty
+            onChange={(e: any) => setRecurrence(e.target.value)}
+          >
+            <MenuItem value="">Doesn't repeat</MenuItem>
+            <MenuItem value="daily">Every day</MenuItem>
+            <MenuItem value="weekly">Every week</MenuItem>
+          </Select>
+        </FormControl>
+        {recurrence && (
+          <Box mt={1}>
+            <Typography variant="body2">Until (optional)</Typography>
+            <BryntumDateTimeField ref={untilRef} />
+          </Box>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ marginTop: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Button
+          variant="outlined"
+          size={"small"}
+          sx={{ display: "flex", marginTop: 4 }}
+          onClick={() => {
+            const startDate = startRef.current?.instance.value;
+            const endDate = endRef.current?.instance.value;
+            if (!startDate || !endDate || endDate <= startDate) {
+              setError("The window has to end after it starts.");
+              return;
+            }
+            const until = recurrence && untilRef.current?.instance.value;
+            onSave({
+              name: name.trim() || "Maintenance",
+              startDate,
+              endDate,
+              rowId: rowId || null,
+              recurrence: recurrence || null,
+              until: until || null,
+            });
+            close();
+          }}
+        >
+          Add
+        </Button>
+      </Box>
+    </Dialog>
+  );
+};
+
 interface ViewPresetDropdownProps {
   handleChange: any;
   presets: any[];
@@ -542,4 +1566,5 @@ const ViewPresetDropdown: FC<ViewPresetDropdownProps> = ({
   );
 };
 
+export { ViewPresetDropdown };
 export default BryntumSchedulerComponent;
@@ -37,7 +37,10 @@ const UnassignedTable: React.FC<UnassignedStoreProps> = (props) => {
               data-id={row.id}
               sx={{ backgroundColor: "#3598dc" }}
             >
-              <TableCell>{row.work_order_number}</TableCell>
+              <TableCell>
+                {row.work_order_number}
+                {row.split_part ? ` Part ${row.split_part}` : ""}
+              </TableCell>
               <TableCell>{row.item}</TableCell>
               <TableCell>{row.description}</TableCell>
               <TableCell>{row.arm}</TableCell>
@@ -3,10 +3,12 @@ import ReactDOM from "react-dom";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import EventNote from "@mui/icons-material/EventNote";
 import HomeIcon from "@mui/icons-material/Home";
+import DashboardIcon from "@mui/icons-material/Dashboard";
 // custom imports
 import NavBar from "./components/NavBar";
 import Home from "./pages/Home";
 import MachineScheduling from "./pages/MachineScheduling";
+import FactoryDashboard from "./pages/FactoryDashboard";
 import "./App.css";
 
 const navList = [
@@ -22,6 +24,12 @@ const navList = [
     icon: <EventNote />,
     component: <MachineScheduling />,
   },
+  {
+    name: "Factory Dashboard",
+    location: "/factoryDashboard",
+    icon: <DashboardIcon />,
+    component: <FactoryDashboard />,
+  },
 ];
 
 ReactDOM.render(
@@ -0,0 +1,131 @@
+// Volume capacity of an arm. The rows of an arm are molds running on the arm at the same time, so
+// the volume in use at any moment is the sum of the volume of every order running at that moment,
+// across all rows. It can't go over the capacity of the arm (`capacity` in machine-display).
+//
+// The helpers work on plain objects with startDate, endDate and volume (see toVolumeSpan) so they
+// can be used with the scheduler's records or with the orders returned by getOrdersWithStartDates.
+
+// Helper function that rounds a volume for display. Volumes come with up to 2 decimals.
+const roundVolume = (volume) => Math.round(volume * 100) / 100;
+
+// Helper function that returns the mold volume of an order. The enhanced-loadqueue only returns the
+// volume as a string (IE: "32.46'"). Counter weights don't take any volume.
+const getOrderVolume = (order) => {
+  if (order.type === "counter_weight") {
+    return 0;
+  }
+  if (typeof order.mold_volume === "number") {
+    return order.mold_volume;
+  }
+  const volume = parseFloat(order.volume);
+  return isNaN(volume) ? 0 : volume;
+};
+
+// Helper function that maps an order (or an order record) to the span of volume it takes on the arm.
+// `data` holds the raw fields of the order.
+const toVolumeSpan = (order) => {
+  const data = order.isModel ? order.data : order;
+  return {
+    id: order.id,
+    startDate: order.startDate,
+    endDate:
+      order.endDate || new Date(order.startDate.getTime() + order.duration),
+    volume: getOrderVolume(data),
+    order,
+    data,
+  };
+};
+
+// Helper function that returns the volume in use over time. The result is a sorted list of periods
+// with the volume in use during the period and the spans running during it. Periods where nothing
+// runs aren't returned. The spans start and end are swept in time order, so a large arm doesn't
+// compare every span with every other one.
+const getVolumeProfile = (spans) => {
+  const events = [];
+  spans.forEach((span, index) => {
+    if (span.endDate > span.startDate) {
+      events.push(
+        { time: span.startDate.getTime(), span, index, isStart: true },
+        { time: span.endDate.getTime(), span, index, isStart: false }
+      );
+    }
+  });
+  events.sort((a, b) => a.time - b.time);
+
+  const profile = [];
+  let running = [];
+  events.forEach((event, i) => {
+    if (event.isStart) {
+      running.push(event);
+    } else {
+      running = running.filter((start) => start.index !== event.index);
+    }
+
+    // A period ends at the next time a span starts or ends. The running spans keep the order they
+    // were passed in.
+    const next = events[i + 1];
+    if (next && next.time > event.time && running.length) {
+      const periodSpans = [...running]
+        .sort((a, b) => a.index - b.index)
+        .map((start) => start.span);
+      profile.push({
+        startDate: new Date(event.time),
+        endDate: new Date(next.time),
+        volume: roundVolume(
+          periodSpans.reduce((total, span) => total + span.volume, 0)
+        ),
+        spans: periodSpans,
+      });
+    }
+  });
+  return profile;
+};
+
+// Helper function that returns the periods where the volume in use goes over the capacity. Touching
+// periods are merged and keep the peak volume and every span running during them.
+const getCapacityOverloads = (spans, capacity) =>
+  getVolumeProfile(spans)
+    .filter((period) => period.volume > capacity)
+    .reduce((overloads, period) => {
+      const last = overloads[overloads.length - 1];
+      if (last && last.endDate.getTime() === period.startDate.getTime()) {
+        last.endDate = period.endDate;
+        last.peakVolume = Math.max(last.peakVolume, period.volume);
+        period.spans.forEach((span) => {
+          if (!last.spans.includes(span)) {
+            last.spans.push(span);
+          }
+        });
+      } else {
+        overloads.push({
+          startDate: period.startDate,
+          endDate: period.endDate,
+          peakVolume: period.volume,
+          spans: [...period.spans],
+        });
+      }
+      return overloads;
+    }, []);
+
+// Helper function that returns why the candidate spans can't be added next to the other spans of
+// the arm, or null if they fit in the capacity.
+const getCapacityViolation = (spans, candidates, capacity) => {
+  const overload = getCapacityOverloads(
+    [...spans, ...candidates],
+    capacity
+  ).find((period) => period.spans.some((span) => candidates.includes(span)));
+  if (!overload) {
+    return null;
+  }
+  return `The arm would hold ${
+    overload.peakVolume
+  } of its ${capacity} volume at ${overload.startDate.toLocaleString()}`;
+};
+
+export {
+  getOrderVolume,
+  toVolumeSpan,
+  getVolumeProfile,
+  getCapacityOverloads,
+  getCapacityViolation,
+};
@@ -0,0 +1,109 @@
+import {
+  getOrderVolume,
+  getVolumeProfile,
+  getCapacityOverloads,
+  getCapacityViolation,
+} from "./ArmCapacity";
+
+// Helper function that returns a date of Monday, September 20th 2021
+const at = (hour) => new Date(2021, 8, 20, hour);
+
+// Helper function that returns a span of volume running between the passed hours
+const span = (id, startHour, endHour, volume) => ({
+  id,
+  startDate: at(startHour),
+  endDate: at(endHour),
+  volume,
+});
+
+// Helper function that returns the ids of the spans running during each period
+const getSpanIds = (periods) =>
+  periods.map((period) => period.spans.map((running) => running.id));
+
+describe("getOrderVolume", () => {
+  it("reads the volume of the mold, or parses it from the load queue string", () => {
+    expect(getOrderVolume({ mold_volume: 12.5, volume: "30'" })).toBe(12.5);
+    expect(getOrderVolume({ volume: "32.46'" })).toBe(32.46);
+    expect(getOrderVolume({ volume: "" })).toBe(0);
+    expect(getOrderVolume({ type: "counter_weight", mold_volume: 5 })).toBe(0);
+  });
+});
+
+describe("getVolumeProfile", () => {
+  it("sums the volume of the spans running during each period", () => {
+    const profile = getVolumeProfile([
+      span(1, 8, 12, 10),
+      span(2, 10, 14, 20.005),
+      span(3, 16, 17, 5),
+    ]);
+
+    expect(profile.map((period) => period.startDate)).toEqual([
+      at(8),
+      at(10),
+      at(12),
+      at(16),
+    ]);
+    expect(profile.map((period) => period.endDate)).toEqual([
+      at(10),
+      at(12),
+      at(14),
+      at(17),
+    ]);
+    expect(profile.map((period) => period.volume)).toEqual([
+      10, 30.01, 20.01, 5,
+    ]);
+    expect(getSpanIds(profile)).toEqual([[1], [1, 2], [2], [3]]);
+  });
+
+  it("keeps the order of the spans and skips the spans without a duration", () => {
+    const profile = getVolumeProfile([
+      span(1, 10, 12, 1),
+      span(2, 8, 12, 1),
+      span(3, 9, 9, 100),
+    ]);
+
+    expect(getSpanIds(profile)).toEqual([[2], [1, 2]]);
+    expect(profile.map((period) => period.volume)).toEqual([1, 2]);
+  });
+
+  it("doesn't count a span that ends when another one starts", () => {
+    const profile = getVolumeProfile([span(1, 8, 10, 5), span(2, 10, 12, 5)]);
+
+    expect(getSpanIds(profile)).toEqual([[1], [2]]);
+  });
+});
+
+describe("getCapacityOverloads", () => {
+  it("merges the touching periods over the capacity and keeps their peak volume", () => {
+    const spans = [
+      span(1, 8, 14, 30),
+      span(2, 9, 12, 30),
+      span(3, 11, 13, 25),
+      span(4, 15, 16, 10),
+    ];
+
+    const overloads = getCapacityOverloads(spans, 50);
+
+    expect(overloads).toHaveLength(1);
+    expect(overloads[0]).toMatchObject({
+      startDate: at(9),
+      endDate: at(13),
+      peakVolume: 85,
+    });
+    expect(overloads[0].spans.map((running) => running.id)).toEqual([1, 2, 3]);
+  });
+});
+
+describe("getCapacityViolation", () => {
+  const spans = [span(1, 8, 12, 30), span(2, 14, 16, 60)];
+
+  it("describes the overload the candidates take part in", () => {
+    expect(getCapacityViolation(spans, [span(3, 10, 11, 30)], 50)).toBe(
+      `The arm would hold 60 of its 50 volume at ${at(10).toLocaleString()}`
+    );
+  });
+
+  it("ignores the overloads the candidates aren't part of", () => {
+    expect(getCapacityViolation(spans, [span(3, 12, 13, 30)], 50)).toBe(null);
+  });
+});
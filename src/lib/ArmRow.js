@@ -0,0 +1,16 @@
+import { ResourceModel } from "@bryntum/scheduler";
+
+// Row of the machine scheduler (see components/MachineScheduler.tsx). The rows of every arm of the
+// machine are shown together, grouped by arm.
+export default class ArmRow extends ResourceModel {
+  static get fields() {
+    return [
+      // Id of the arm the row belongs to
+      { name: "arm", type: "number" },
+
+      // Position of the arm in the machine. The rows are grouped by it, so the groups keep the order
+      // of the arms.
+      { name: "armIndex", type: "number" },
+    ];
+  }
+}
@@ -0,0 +1,272 @@
+// Automatic scheduling of the unassigned backlog of an arm. The backlog is placed at the end of the
+// rows of the arm, one order at a time, following the rules of AUTO_SCHEDULE_RULES (see
+// SchedulerConfig.tsx):
+//
+// {
+//   earliestShipDate: true,     orders with the earliest ship date are placed first. Orders without a
+//                               ship date go last. When false, the backlog keeps its order.
+//   ovenCompatibility: true,    orders aren't placed in the oven with incompatible orders
+//   armCapacity: true,          orders aren't placed where they would overload the arm
+//   minimizeChangeovers: true,  orders go after an order of the same item (no mold change) unless
+//                               another row can still finish them before their ship date
+//   maxRows: 4,                 most rows (molds running at the same time) the arm can use
+// }
+//
+// Orders start once the changeover after the last order of the row is done (see lib/Changeover.js)
+// and never run during a maintenance window of the row (see lib/Maintenance.js).
+//
+// Nothing is changed on the arm. The result is a proposal the planner can accept or discard.
+
+import { getOrderSpan } from "./Util";
+import {
+  getOrderVolume,
+  toVolumeSpan,
+  getCapacityViolation,
+} from "./ArmCapacity";
+import { getOvenViolation } from "./OvenCompatibility";
+import { getLateness, isLate } from "./Lateness";
+import { getChangeoverMs } from "./Changeover";
+import { CHANGEOVER_RULES } from "./SchedulerConfig";
+
+// How many times an order is pushed past the orders it conflicts with before it's left unplaced
+const MAX_PLACEMENT_ATTEMPTS = 50;
+
+// Helper function that sorts the backlog by ship date. Orders of the same item stay together so they
+// can share a mold.
+const sortByShipDate = (orders) =>
+  orders.slice().sort((a, b) => {
+    if (a.shipDate && b.shipDate && a.shipDate - b.shipDate !== 0) {
+      return a.shipDate - b.shipDate;
+    }
+    if (Boolean(a.shipDate) !== Boolean(b.shipDate)) {
+      return a.shipDate ? -1 : 1;
+    }
+    return `${a.item}`.localeCompare(`${b.item}`);
+  });
+
+// Helper function that returns the last span of a row
+const getLastSpan = (spans) =>
+  spans.reduce(
+    (last, span) => (!last || span.endDate > last.endDate ? span : last),
+    null
+  );
+
+// Helper function that returns the row number of a row id (IE: "62-r3" -> 3)
+const getRowNumber = (rowId) => +`${rowId}`.split("-r")[1] || 0;
+
+// Helper function that returns why the candidate span can't run next to the other spans of the arm,
+// or null if it can
+const getPlacementViolation = (spans, candidate, options) => {
+  const { rules, capacity, ovenRule } = options;
+  return (
+    (rules.armCapacity
+      ? getCapacityViolation(spans, [candidate], capacity)
+      : null) ||
+    (rules.ovenCompatibility && ovenRule
+      ? getOvenViolation(spans, [candidate], ovenRule)
+      : null)
+  );
+};
+
+// Helper function that finds the earliest span an order can run in at the end of a row. When the
+// order breaks a rule, it's pushed past the first order it runs next to until it fits. Returns the
+// span, or the reason the order doesn't fit.
+const findSpan = (order, row, spans, options) => {
+  const { calendar, hardBreakDates, startDate, changeoverRules } = options;
+  const blockedSpans = options.getBlockedSpans(row.id);
+  const rowEndDate = row.endDate
+    ? calendar.calculateEndDate(
+        row.endDate,
+        getChangeoverMs(row.lastOrder, order, changeoverRules)
+      )
+    : null;
+  let earliestStartDate =
+    rowEndDate && rowEndDate > startDate ? rowEndDate : startDate;
+  let reason = null;
+
+  for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+    const span = getOrderSpan(
+      earliestStartDate,
+      order.workingDuration,
+      calendar,
+      hardBreakDates
+    );
+    // Try again once the maintenance window it runs into is over
+    const blocked = blockedSpans.find(
+      (other) =>
+        other.startDate < span.endDate && other.endDate > span.startDate
+    );
+    if (blocked) {
+      reason = `Runs into ${blocked.label}`;
+      earliestStartDate = blocked.endDate;
+      continue;
+    }
+    const candidate = {
+      id: order.id,
+      startDate: span.startDate,
+      endDate: span.endDate,
+      volume: getOrderVolume(order),
+      order,
+      data: order,
+    };
+    reason = getPlacementViolation(spans, candidate, options);
+    if (!reason) {
+      return { span, candidate };
+    }
+    // Try again once the first order running next to it is done
+    const nextDate = spans
+      .filter(
+        (other) =>
+          other.startDate < candidate.endDate &&
+          other.endDate > candidate.startDate
+      )
+      .reduce(
+        (earliest, other) =>
+          !earliest || other.endDate < earliest ? other.endDate : earliest,
+        null
+      );
+    if (!nextDate || nextDate <= earliestStartDate) {
+      break;
+    }
+    earliestStartDate = nextDate;
+  }
+  return { reason };
+};
+
+// Helper function that compares two places an order could go. Orders are placed where they aren't
+// late first, then where they don't need a mold change (when minimizeChangeovers is on), then where
+// they end the earliest.
+const compareOptions = (a, b, rules) => {
+  if (a.late !== b.late) {
+    return a.late ? 1 : -1;
+  }
+  if (rules.minimizeChangeovers && a.changeover !== b.changeover) {
+    return a.changeover ? 1 : -1;
+  }
+  return a.span.endDate - b.span.endDate;
+};
+
+// Helper function that proposes where to place the backlog of an arm.
+//   backlog: orders mapped with mapToOrderModel (IE: the records of the UnassignedStore)
+//   rows: rows of the arm, as { id, orders } where orders are the order records in the row
+//   armId: id of the arm, used to name the new rows
+// Returns the placements (order, resourceId, startDate, endDate, hardBreakConflict, lateness,
+// changeover), the orders that couldn't be placed along with the reason, and totals for the proposal.
+const proposeSchedule = (
+  backlog,
+  {
+    rows,
+    armId,
+    rules,
+    calendar,
+    hardBreakDates = [],
+    capacity = Infinity,
+    ovenRule = null,
+    startDate = new Date(),
+    changeoverRules = CHANGEOVER_RULES,
+    getBlockedSpans = () => [],
+  }
+) => {
+  const options = {
+    rules,
+    calendar,
+    hardBreakDates,
+    capacity,
+    ovenRule,
+    startDate,
+    changeoverRules,
+    getBlockedSpans,
+  };
+  // Every span running on the arm, across all rows. Placed orders are added as we go.
+  const spans = [];
+  const rowStates = rows
+    .slice()
+    .sort((a, b) => getRowNumber(a.id) - getRowNumber(b.id))
+    .map((row) => {
+      const rowSpans = row.orders.map((order) => toVolumeSpan(order));
+      spans.push(...rowSpans);
+      const last = getLastSpan(rowSpans);
+      return {
+        id: row.id,
+        endDate: last ? last.endDate : null,
+        lastItem: last ? last.data.item : null,
+        lastOrder: last ? last.data : null,
+      };
+    });
+  let lastRowNumber = rowStates.reduce(
+    (max, row) => Math.max(max, getRowNumber(row.id)),
+    0
+  );
+
+  const placements = [];
+  const unplaced = [];
+  const orders = rules.earliestShipDate ? sortByShipDate(backlog) : backlog;
+
+  orders.forEach((order) => {
+    // Empty rows are the same as a new row, so only the first one is tried
+    const usedRows = rowStates.filter((row) => row.endDate);
+    const candidateRows = [...usedRows];
+    const emptyRow = rowStates.find((row) => !row.endDate);
+    if (usedRows.length < rules.maxRows) {
+      candidateRows.push(
+        emptyRow || { id: `${armId}-r${lastRowNumber + 1}`, isNew: true }
+      );
+    }
+
+    let best = null;
+    let reason = "There's no row left on the arm";
+    candidateRows.forEach((row) => {
+      const found = findSpan(order, row, spans, options);
+      if (!found.span) {
+        reason = found.reason;
+        return;
+      }
+      const lateness = getLateness(order.shipDate, found.span.endDate);
+      const option = {
+        row,
+        ...found,
+        lateness,
+        late: isLate(lateness),
+        changeover: Boolean(row.lastItem && row.lastItem !== order.item),
+      };
+      if (!best || compareOptions(option, best, rules) < 0) {
+        best = option;
+      }
+    });
+
+    if (!best) {
+      unplaced.push({ order, reason });
+      return;
+    }
+
+    const { row, span, candidate } = best;
+    if (row.isNew) {
+      delete row.isNew;
+      rowStates.push(row);
+      lastRowNumber = getRowNumber(row.id);
+    }
+    row.endDate = span.endDate;
+    row.lastItem = order.item;
+    row.lastOrder = order;
+    spans.push(candidate);
+    placements.push({
+      order,
+      resourceId: row.id,
+      startDate: span.startDate,
+      endDate: span.endDate,
+      hardBreakConflict: span.hardBreakConflict,
+      lateness: best.lateness,
+      changeover: best.changeover,
+    });
+  });
+
+  return {
+    placements,
+    unplaced,
+    changeovers: placements.filter((placement) => placement.changeover).length,
+    lateOrders: placements.filter((placement) => isLate(placement.lateness))
+      .length,
+  };
+};
+
+export { proposeSchedule };
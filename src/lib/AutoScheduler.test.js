@@ -0,0 +1,158 @@
+import { proposeSchedule } from "./AutoScheduler";
+import createWorkingCalendar from "./WorkingCalendar";
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+// Helper function that returns a date of Monday, September 20th 2021
+const at = (hour) => new Date(2021, 8, 20, hour);
+
+// Mold changes take 30 minutes, nothing else takes any time
+const CHANGEOVER_RULES = {
+  defaultMinutes: 0,
+  itemMinutes: 30,
+  items: {},
+  colourMinutes: 0,
+  tempMinutes: 0,
+  tempTolerance: 0,
+};
+
+const RULES = {
+  earliestShipDate: true,
+  ovenCompatibility: true,
+  armCapacity: true,
+  minimizeChangeovers: true,
+  maxRows: 2,
+};
+
+// Helper function that returns an order of the backlog taking the passed hours to mold
+const backlogOrder = (id, item, hours, fields = {}) => ({
+  id,
+  item,
+  workingDuration: hours * ONE_HOUR_MS,
+  shipDate: new Date(2021, 8, 30),
+  mold_volume: 10,
+  ...fields,
+});
+
+// Helper function that returns an order already scheduled between the passed hours
+const scheduledOrder = (id, item, startHour, endHour, fields = {}) => ({
+  id,
+  item,
+  startDate: at(startHour),
+  endDate: at(endHour),
+  mold_volume: 10,
+  ...fields,
+});
+
+// Helper function that proposes a schedule for arm 62, on an always working calendar starting at 8:00
+const propose = (backlog, options = {}) =>
+  proposeSchedule(backlog, {
+    rows: [],
+    armId: 62,
+    rules: RULES,
+    calendar: createWorkingCalendar(),
+    startDate: at(8),
+    changeoverRules: CHANGEOVER_RULES,
+    ...options,
+  });
+
+// Helper function that returns the time of a date, IE: "9:30"
+const formatTime = (date) =>
+  `${date.getHours()}:${`${date.getMinutes()}`.padStart(2, "0")}`;
+
+// Helper function that returns where each order was placed, IE: "1 62-r1 8:00"
+const describePlacements = (proposal) =>
+  proposal.placements.map(
+    ({ order, resourceId, startDate }) =>
+      `${order.id} ${resourceId} ${formatTime(startDate)}`
+  );
+
+describe("proposeSchedule", () => {
+  it("places the orders with the earliest ship date first, up to the row limit", () => {
+    const proposal = propose(
+      [
+        backlogOrder(1, "Y", 1, { shipDate: new Date(2021, 8, 25) }),
+        backlogOrder(2, "X", 1, { shipDate: new Date(2021, 8, 22) }),
+      ],
+      { rows: [{ id: "62-r1", orders: [scheduledOrder(10, "X", 8, 10)] }] }
+    );
+
+    // Order 2 starts right away in a new row. The arm has no row left for order 1, which waits for
+    // the mold change after order 2.
+    expect(describePlacements(proposal)).toEqual([
+      "2 62-r2 8:00",
+      "1 62-r2 9:30",
+    ]);
+    expect(
+      proposal.placements.map((placement) => placement.changeover)
+    ).toEqual([false, true]);
+    expect(proposal.changeovers).toBe(1);
+    expect(proposal.lateOrders).toBe(0);
+    expect(proposal.unplaced).toEqual([]);
+  });
+
+  it("avoids mold changes unless the order would be late", () => {
+    const rows = [
+      { id: "62-r1", orders: [scheduledOrder(10, "X", 8, 12)] },
+      { id: "62-r2", orders: [scheduledOrder(11, "Y", 8, 9)] },
+    ];
+
+    expect(
+      describePlacements(propose([backlogOrder(1, "X", 1)], { rows }))
+    ).toEqual(["1 62-r1 12:00"]);
+    expect(
+      describePlacements(
+        propose([backlogOrder(1, "X", 1, { shipDate: at(11) })], { rows })
+      )
+    ).toEqual(["1 62-r2 9:30"]);
+    expect(
+      describePlacements(
+        propose([backlogOrder(1, "X", 1)], {
+          rows,
+          rules: { ...RULES, minimizeChangeovers: false },
+        })
+      )
+    ).toEqual(["1 62-r2 9:30"]);
+  });
+
+  it("pushes the orders that would overload the arm past the orders they run with", () => {
+    const proposal = propose([backlogOrder(1, "X", 1, { mold_volume: 20 })], {
+      rows: [
+        {
+          id: "62-r1",
+          orders: [scheduledOrder(10, "X", 8, 12, { mold_volume: 40 })],
+        },
+      ],
+      capacity: 50,
+    });
+
+    expect(describePlacements(proposal)).toEqual(["1 62-r1 12:00"]);
+  });
+
+  it("starts the orders once the maintenance window of the row is over", () => {
+    const proposal = propose([backlogOrder(1, "X", 1)], {
+      getBlockedSpans: () => [
+        { startDate: at(7), endDate: at(10), label: "Mold inspection" },
+      ],
+    });
+
+    expect(describePlacements(proposal)).toEqual(["1 62-r1 10:00"]);
+  });
+
+  it("returns the orders it can't place along with the reason", () => {
+    const tooLarge = backlogOrder(1, "X", 1, { mold_volume: 60 });
+    const noRow = backlogOrder(2, "X", 1);
+
+    expect(propose([tooLarge], { capacity: 50 }).unplaced).toEqual([
+      {
+        order: tooLarge,
+        reason: `The arm would hold 60 of its 50 volume at ${at(
+          8
+        ).toLocaleString()}`,
+      },
+    ]);
+    expect(
+      propose([noRow], { rules: { ...RULES, maxRows: 0 } }).unplaced
+    ).toEqual([{ order: noRow, reason: "There's no row left on the arm" }]);
+  });
+});
@@ -0,0 +1,77 @@
+// Changeover (setup time) between two consecutive orders of a row. Swapping the mold, changing the
+// resin colour or changing the oven temperature takes working time before the next order can start.
+//
+// Rule shape (see CHANGEOVER_RULES in SchedulerConfig.tsx). All times are in minutes:
+// {
+//   defaultMinutes: 10,   between any two consecutive orders (unloading / loading the mold)
+//   itemMinutes: 30,      added when the next order is of another item (mold swap)
+//   items: {              replaces itemMinutes when swapping to the mold of these items
+//     "01-10626-001": 60,
+//   },
+//   colourMinutes: 20,    added when the resin colour changes
+//   tempMinutes: 15,      added when the oven temperature changes by more than tempTolerance
+//   tempTolerance: 10,
+// }
+//
+// Counter weights only fill a position of the arm, so placing or removing them takes no setup time.
+
+const NO_CHANGEOVER = { minutes: 0, reasons: [] };
+
+// Helper function that returns the resin colour of an order from the suffix of its description
+// (IE: "Fuel Tank-Diesel 14.4G- XL Yel" -> "XLYEL"). Returns null if the description has no colour.
+const getColour = (description) => {
+  const match = /-\s+([^-]+)$/.exec(description || "");
+  return match ? match[1].replace(/\s+/g, "").toUpperCase() : null;
+};
+
+// Helper function that returns true if two colours are the same. Descriptions are cut at 30
+// characters, so a colour can be the start of the same colour (IE: "XLGRE" and "XLGREE").
+const isSameColour = (a, b) => !a || !b || a.startsWith(b) || b.startsWith(a);
+
+// Helper function that returns the changeover needed between two consecutive orders (order data),
+// as the minutes of working time it takes and the reasons for it
+const getChangeover = (previous, next, rules) => {
+  if (
+    !previous ||
+    !next ||
+    previous.type === "counter_weight" ||
+    next.type === "counter_weight"
+  ) {
+    return NO_CHANGEOVER;
+  }
+
+  let minutes = rules.defaultMinutes;
+  const reasons = [];
+  if (previous.item !== next.item) {
+    minutes +=
+      rules.items[next.item] !== undefined
+        ? rules.items[next.item]
+        : rules.itemMinutes;
+    reasons.push("mold");
+  }
+  if (
+    !isSameColour(getColour(previous.description), getColour(next.description))
+  ) {
+    minutes += rules.colourMinutes;
+    reasons.push("colour");
+  }
+  if (
+    typeof previous.temp === "number" &&
+    typeof next.temp === "number" &&
+    Math.abs(previous.temp - next.temp) > rules.tempTolerance
+  ) {
+    minutes += rules.tempMinutes;
+    reasons.push("oven temperature");
+  }
+  return { minutes, reasons };
+};
+
+// Helper function that returns the changeover between two consecutive orders in ms
+const getChangeoverMs = (previous, next, rules) =>
+  getChangeover(previous, next, rules).minutes * 60000;
+
+// Helper function that describes a changeover for display. IE: "Changeover: mold, colour (60m)"
+const describeChangeover = ({ minutes, reasons }) =>
+  `Changeover${reasons.length ? `: ${reasons.join(", ")}` : ""} (${minutes}m)`;
+
+export { getColour, getChangeover, getChangeoverMs, describeChangeover };
@@ -5,6 +5,7 @@ import {
   ROW_MARGIN,
   // ONLY_WORKING_HOURS
 } from "./SchedulerConfig";
+import { showInsertionMarker, hideInsertionMarker } from "./InsertionMarker";
 import { mapToCounterWeightModel } from "./Util";
 
 export default class Drag extends DragHelper {
@@ -34,6 +35,7 @@ export default class Drag extends DragHelper {
       dragstart: me.onTaskDragStart,
       drag: me.onTaskDrag,
       drop: me.onTaskDrop,
+      abort: me.onTaskDragAbort,
       thisObj: me,
     });
   }
@@ -105,7 +107,7 @@ export default class Drag extends DragHelper {
     me.schedule.element.classList.add("b-dragging-event");
   }
 
-  onTaskDrag({ context }) {
+  onTaskDrag({ context, event }) {
     const me = this,
       { schedule } = me,
       { task } = context,
@@ -126,10 +128,24 @@ export default class Drag extends DragHelper {
       (schedule.allowOverlap ||
         schedule.isDateRangeAvailable(startDate, endDate, null, resource));
 
+    // When dragged over an order, the counter weight goes right before or after it in the queue
+    context.insertion = context.valid
+      ? schedule.eventStore.getInsertion(
+          schedule.resolveEventRecord(context.target),
+          schedule.getDateFromDomEvent(event)
+        )
+      : null;
+    showInsertionMarker(schedule, context.insertion);
+
     // Save reference to resource so we can use it in onTaskDrop
     context.resource = resource;
   }
 
+  onTaskDragAbort() {
+    hideInsertionMarker(this.schedule);
+    this.schedule.element.classList.remove("b-dragging-event");
+  }
+
   // Drop callback after a mouse up, take action and transfer the unplanned task to the real EventStore (if it's valid)
   onTaskDrop({ context }) {
     const me = this,
@@ -144,19 +160,19 @@ export default class Drag extends DragHelper {
         "round",
         false
       );
-      // Try resolving event record from target element, to determine if drop was on another event
-      // targetEventRecord = me.schedule.resolveEventRecord(context.target);
-
       if (date) {
         // me.unassignedStore.remove(task);
         // me.grid.store.remove(task);
 
         task.setStartDate(date, true);
         task.assign(context.resource);
+        // The order it was dropped over is resolved while dragging (see onTaskDrag)
+        me.schedule.eventStore.setInsertion([task], context.insertion);
         me.schedule.eventStore.add(task);
       }
     }
 
+    hideInsertionMarker(me.schedule);
     me.schedule.element.classList.remove("b-dragging-event");
     context.task = undefined;
   }
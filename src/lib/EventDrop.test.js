@@ -0,0 +1,82 @@
+import { getDropListeners } from "./EventDrop";
+
+// Helper function that returns the order store of an arm, with an undo history holding the passed
+// number of transactions
+const createStore = (transactions) => ({
+  records: [],
+  includes(record) {
+    return this.records.includes(record);
+  },
+  setInsertion: jest.fn(),
+  stm: { disabled: false, canUndo: transactions > 0, canRedo: false },
+});
+
+// Helper function that returns arm 62 and arm 63 of a machine, and the listeners of the scheduler of
+// arm 62. The planner answers the question asked before the history is cleared with `confirmed`.
+const createArms = ({ transactions, confirmed }) => {
+  const otherStore = createStore(0);
+  const arm = {
+    armId: 62,
+    scheduledStore: createStore(transactions),
+    unassignedStore: createStore(0),
+    scenarioManager: {
+      getArmStores: (armId) =>
+        armId === 63 ? { scheduledStore: otherStore } : null,
+    },
+    getScheduler: () => ({ element: document.createElement("div") }),
+    confirmHistoryReset: jest.fn(() => Promise.resolve(confirmed)),
+  };
+  return { arm, otherStore, listeners: getDropListeners(arm) };
+};
+
+// Helper function that returns the drag context of an order dropped on arm 62
+const dropContext = (order, fromRowId) => ({
+  valid: true,
+  eventRecords: [order],
+  resourceRecord: { id: fromRowId },
+  newResource: { id: "62-r1" },
+  finalize: jest.fn(),
+});
+
+describe("getDropListeners.beforeEventDropFinalize", () => {
+  it("asks before orders of another arm clear the undo history", async () => {
+    const { arm, listeners } = createArms({
+      transactions: 2,
+      confirmed: false,
+    });
+    const context = dropContext({ id: 1 }, "63-r1");
+
+    listeners.beforeEventDropFinalize({ context });
+    await Promise.resolve();
+
+    expect(arm.confirmHistoryReset).toHaveBeenCalled();
+    expect(context.async).toBe(true);
+    // The orders stay on their arm
+    expect(context.finalize).toHaveBeenCalledWith(false);
+  });
+
+  it("moves the orders once the planner confirms", async () => {
+    const { listeners } = createArms({ transactions: 2, confirmed: true });
+    const context = dropContext({ id: 1 }, "63-r1");
+
+    listeners.beforeEventDropFinalize({ context });
+    await Promise.resolve();
+
+    expect(context.finalize).toHaveBeenCalledWith(true);
+  });
+
+  it("doesn't ask when there's no history to clear or the orders stay on the arm", () => {
+    const { arm, listeners } = createArms({ transactions: 0, confirmed: true });
+    const order = { id: 1 };
+    arm.scheduledStore.records.push(order);
+
+    [dropContext({ id: 2 }, "63-r1"), dropContext(order, "62-r2")].forEach(
+      (context) => {
+        listeners.beforeEventDropFinalize({ context });
+
+        expect(context.async).toBeUndefined();
+      }
+    );
+    expect(arm.confirmHistoryReset).not.toHaveBeenCalled();
+  });
+});
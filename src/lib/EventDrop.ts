@@ -0,0 +1,171 @@
+// Dragging orders within the scheduler of an arm, to the other arms of the machine and back to the
+// list of unassigned orders (see eventDragFeature in components/Scheduler.tsx). Dragging orders from
+// the unassigned list onto the scheduler is handled by lib/CustomDragHelper.jsx.
+//
+// The handlers share the stores of the arm they're created for:
+// {
+//   armId,             id of the arm
+//   scheduledStore,    orders of the arm (see lib/OrderStore.js)
+//   unassignedStore,   unassigned orders of the arm
+//   scenarioManager,   what-if scenarios of the machine, to reach the other arms (optional)
+//   getScheduler,      returns the scheduler of the arm
+//   confirmHistoryReset,  asks the planner whether the undo history of the arms can be cleared.
+//                      Returns a promise of true when it can.
+// }
+
+import { cleanupResources } from "./Util";
+import ScheduleHistory from "./ScheduleHistory";
+import { showInsertionMarker, hideInsertionMarker } from "./InsertionMarker";
+
+// Helper function that returns the arm id of a row id (IE: "62-r3" -> 62)
+const getArmId = (rowId: any) => +`${rowId}`.split("-r")[0];
+
+// Helper function that returns the order store of the arm a row belongs to. Orders can be dragged to
+// the other arms of the machine, so it's null for rows of arms that aren't part of the machine.
+const getRowStore = (
+  row: any,
+  { armId, scheduledStore, scenarioManager }: any
+) => {
+  const rowArmId = getArmId(row.id);
+  if (rowArmId === armId) {
+    return scheduledStore;
+  }
+  const stores = scenarioManager && scenarioManager.getArmStores(rowArmId);
+  return stores ? stores.scheduledStore : null;
+};
+
+// Helper function that returns the stores of the arm dragged orders come from, when they're dropped on
+// this arm from another arm of the machine. Returns null for orders of this arm.
+const getSourceStores = (
+  { eventRecords, resourceRecord, externalDropTarget }: any,
+  { scheduledStore, scenarioManager }: any
+) =>
+  (!externalDropTarget &&
+    !scheduledStore.includes(eventRecords[0]) &&
+    scenarioManager &&
+    scenarioManager.getArmStores(getArmId(resourceRecord.id))) ||
+  null;
+
+// Helper function that returns the validator of the drag feature. Drops that break the rules of the
+// arm they land on (capacity, oven settings) aren't allowed.
+const getDropValidator =
+  (arm: any) =>
+  ({ eventRecords, startDate, newResource, externalDropTarget }: any) => {
+    const { scheduledStore } = arm;
+    // Orders dropped back on the unassigned list leave the arm
+    if (externalDropTarget) {
+      return { valid: true, message: "" };
+    }
+    // Orders dropped on another arm of the machine follow its rules
+    const targetStore = newResource
+      ? getRowStore(newResource, arm)
+      : scheduledStore;
+    if (!targetStore) {
+      return {
+        valid: false,
+        message: "Orders can only move to arms of this machine",
+      };
+    }
+    if (
+      targetStore !== scheduledStore &&
+      eventRecords.some((ev: any) => ev.data.type === "counter_weight")
+    ) {
+      return {
+        valid: false,
+        message: "Counter weights can't move to another arm",
+      };
+    }
+    const dropViolation =
+      startDate &&
+      targetStore.getDropViolation(eventRecords, startDate, newResource);
+    return {
+      valid: !dropViolation,
+      message: dropViolation || "",
+    };
+  };
+
+// Helper function that returns the listeners of the scheduler handling the drag and drop of orders
+const getDropListeners = (arm: any) => {
+  const { armId, scheduledStore, unassignedStore } = arm;
+  return {
+    eventDrag({ context, event }: any) {
+      // When dragged over another order of the row, the orders go right before or after it.
+      // The row can be on another arm of the machine, so the insertion is kept in the drag
+      // context the scheduler of that arm receives on drop (see beforeEventDropFinalize).
+      const scheduler = arm.getScheduler().features.eventDrag.currentOverClient;
+      const target = context.targetEventRecord;
+      const targetStore =
+        context.newResource && getRowStore(context.newResource, arm);
+      if (
+        context.insertionScheduler &&
+        context.insertionScheduler !== scheduler
+      ) {
+        hideInsertionMarker(context.insertionScheduler);
+      }
+      context.insertion =
+        target && targetStore && target.resource === context.newResource
+          ? targetStore.getInsertion(
+              target,
+              scheduler.getDateFromDomEvent(event)
+            )
+          : null;
+      context.insertionScheduler = scheduler;
+      showInsertionMarker(scheduler, context.insertion);
+    },
+    beforeEventDropFinalize({ context }: any) {
+      scheduledStore.setInsertion(
+        context.eventRecords,
+        context.valid && !context.externalDropTarget ? context.insertion : null
+      );
+      hideInsertionMarker(context.insertionScheduler || arm.getScheduler());
+      // Moving orders to another arm clears the undo history of both arms (see eventDrop), so the
+      // planner is asked first. The orders stay where they were unless it's confirmed.
+      const fromStores = context.valid && getSourceStores(context, arm);
+      if (
+        fromStores &&
+        (ScheduleHistory.hasTransactions(scheduledStore) ||
+          ScheduleHistory.hasTransactions(fromStores.scheduledStore))
+      ) {
+        context.async = true;
+        arm
+          .confirmHistoryReset()
+          .then((confirmed: boolean) => context.finalize(confirmed));
+      }
+    },
+    afterEventDrop({ eventRecords }: any) {
+      // Orders that didn't move keep no insertion for later updates
+      scheduledStore.setInsertion(eventRecords, null);
+    },
+    eventDragAbort({ context }: any) {
+      hideInsertionMarker(context.insertionScheduler || arm.getScheduler());
+    },
+    eventDrop(res: any) {
+      const { eventRecords } = res;
+      // Orders dropped on this arm from another arm of the machine were copied over by the
+      // drag. They're moved to this arm and the row they were dropped on ripples right.
+      // Neither arm can undo its side of the move on its own (see ScheduleHistory.resetStore). The
+      // planner agreed to clear their history before the drop (see beforeEventDropFinalize).
+      const fromStores = getSourceStores(res, arm);
+      if (fromStores) {
+        scheduledStore.receiveOrders(eventRecords, armId);
+        cleanupResources(fromStores.rowStore);
+        ScheduleHistory.resetStore(fromStores.scheduledStore);
+        ScheduleHistory.resetStore(scheduledStore);
+      }
+      //If this event was dropped on the custom drag container wrapper
+      if (res.externalDropTarget) {
+        // For multi-select, this list of events COULD include counter weights. We still want to remove them from the
+        // schedule store and cleanup the resources- but we don't want to add them to the unassignesd store.
+        const eventsToAddToUnassignedStore = eventRecords.filter(
+          (ev: any) => ev.data.type !== "counter_weight"
+        );
+
+        scheduledStore.remove(eventRecords);
+        cleanupResources(arm.getScheduler().resourceStore);
+        unassignedStore.add(eventsToAddToUnassignedStore);
+      }
+    },
+  };
+};
+
+export { getDropValidator, getDropListeners };
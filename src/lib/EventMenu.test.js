@@ -0,0 +1,68 @@
+import { getEventMenuConfig } from "./EventMenu";
+
+// Helper function that returns the items of the menu shown for the passed order
+const getItems = (isReadOnly, eventRecord) => {
+  const handlers = {
+    onUnassign: jest.fn(),
+    onToggleLock: jest.fn(),
+    onSplit: jest.fn(),
+    onShowDetails: jest.fn(),
+  };
+  const { items, processItems } = getEventMenuConfig({
+    isReadOnly,
+    ...handlers,
+  });
+  const shownItems = { ...items };
+  processItems({ eventRecord, items: shownItems });
+  return { items: shownItems, handlers };
+};
+
+// Helper function that returns an order of the scheduler
+const order = (fields = {}) => ({
+  type: "order",
+  data: { type: "order" },
+  draggable: true,
+  lockedStartDate: null,
+  balance: 4,
+  ...fields,
+});
+
+describe("getEventMenuConfig", () => {
+  it("only offers the order details while the arm can't be edited", () => {
+    const { items } = getItems(true, order());
+
+    expect(items.unassign).toBe(false);
+    expect(items.lock).toBe(false);
+    expect(items.split).toBe(false);
+    expect(items.orderDetails).toBeTruthy();
+  });
+
+  it("calls the handler of the picked action with the order", () => {
+    const eventRecord = order();
+    const { items, handlers } = getItems(false, eventRecord);
+
+    items.unassign.onItem({ eventRecord });
+    items.lock.onItem({ eventRecord });
+    items.split.onItem({ eventRecord });
+
+    expect(handlers.onUnassign).toHaveBeenCalledWith(eventRecord);
+    expect(handlers.onToggleLock).toHaveBeenCalledWith(eventRecord);
+    expect(handlers.onSplit).toHaveBeenCalledWith(eventRecord);
+  });
+
+  it("offers to unlock locked orders", () => {
+    const { items } = getItems(false, order({ lockedStartDate: new Date() }));
+
+    expect(items.lock.text).toBe("Unlock Start");
+  });
+
+  it("doesn't change the orders that are molding", () => {
+    const { items } = getItems(
+      false,
+      order({ data: { type: "order", item_currently_molding: true } })
+    );
+
+    expect(items.lock).toBe(false);
+    expect(items.split).toBe(false);
+  });
+});
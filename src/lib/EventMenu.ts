@@ -0,0 +1,75 @@
+// Context menu of the orders of the scheduler (see eventMenuFeature in components/Scheduler.tsx).
+// The actions that change the arm are only offered while the scheduler can be edited.
+
+// Helper function that returns the config of the event menu feature.
+//   isReadOnly: true while the arm can't be edited (see the isReadOnly flag of the scheduler)
+//   onUnassign, onToggleLock, onSplit and onShowDetails: called with the order the action is picked on
+const getEventMenuConfig = ({
+  isReadOnly,
+  onUnassign,
+  onToggleLock,
+  onSplit,
+  onShowDetails,
+}: any) => ({
+  items: {
+    copyEvent: false,
+    cutEvent: false,
+    unassignEvent: false,
+    deleteEvent: false,
+    unassign: !isReadOnly && {
+      icon: null,
+      text: "Unassign",
+      weight: 300,
+      onItem: (config: any) => {
+        onUnassign(config.eventRecord);
+      },
+    },
+    lock: !isReadOnly && {
+      icon: null,
+      text: "Lock Start",
+      weight: 350,
+      onItem: (config: any) => {
+        onToggleLock(config.eventRecord);
+      },
+    },
+    split: !isReadOnly && {
+      icon: null,
+      text: "Split Order",
+      weight: 375,
+      onItem: (config: any) => {
+        onSplit(config.eventRecord);
+      },
+    },
+    orderDetails: {
+      text: "See Order Details",
+      weight: 400, // Add the item to the bottom
+      onItem: (config: any) => {
+        onShowDetails(config.eventRecord);
+      },
+    },
+  },
+  processItems: (config: any) => {
+    const { eventRecord, items } = config;
+    if (!eventRecord.draggable) {
+      items.unassign = false;
+    }
+    if (eventRecord.data.item_currently_molding) {
+      items.lock = false;
+    } else if (items.lock && eventRecord.lockedStartDate) {
+      items.lock = { ...items.lock, text: "Unlock Start" };
+    }
+    // Orders that are molding already started and a single part can't be divided
+    if (
+      eventRecord.data.item_currently_molding ||
+      eventRecord.data.type === "counter_weight" ||
+      !(eventRecord.balance > 1)
+    ) {
+      items.split = false;
+    }
+    if (config.eventRecord.type === "counter_weight") {
+      items.orderDetails = false;
+    }
+  },
+});
+
+export { getEventMenuConfig };
@@ -0,0 +1,30 @@
+// Marker shown on the order a dragged order will be inserted before or after (see
+// OrderStore.getInsertion). The marker is a class on the element of the target order, so it doesn't
+// change the records while dragging.
+
+const MARKER_CLS = {
+  before: "scheduler-insert-before",
+  after: "scheduler-insert-after",
+};
+
+// Helper function that removes the marker from the scheduler
+const hideInsertionMarker = (schedule) => {
+  schedule.element
+    .querySelectorAll(`.${MARKER_CLS.before}, .${MARKER_CLS.after}`)
+    .forEach((element) =>
+      element.classList.remove(MARKER_CLS.before, MARKER_CLS.after)
+    );
+};
+
+// Helper function that shows the marker for the passed insertion, or hides it when there's none
+const showInsertionMarker = (schedule, insertion) => {
+  hideInsertionMarker(schedule);
+  if (insertion) {
+    const element = schedule.getElementFromEventRecord(insertion.target);
+    if (element) {
+      element.classList.add(MARKER_CLS[insertion.position]);
+    }
+  }
+};
+
+export { showInsertionMarker, hideInsertionMarker };
@@ -0,0 +1,74 @@
+// Ship-date lateness of the scheduled orders. An order has to be done molding when its ship date
+// starts. The lateness is the time between that deadline and the projected end date of the order:
+// positive when the order is late, negative when there's slack left.
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Helper function that parses a ship date returned by the API (IE: "Sep 20, 2021") as local time.
+// Returns null if the ship date is missing or can't be parsed.
+const parseShipDate = (shipDate) => {
+  if (!shipDate) {
+    return null;
+  }
+  const match = /^([A-Za-z]{3})[a-z]*\.? (\d{1,2}), (\d{4})$/.exec(
+    `${shipDate}`.trim()
+  );
+  if (match) {
+    const month = MONTHS.indexOf(
+      match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase()
+    );
+    return month === -1 ? null : new Date(+match[3], month, +match[2]);
+  }
+  // ISO dates ("2021-09-20")
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(`${shipDate}`);
+  return isoMatch
+    ? new Date(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3])
+    : null;
+};
+
+// Helper function that returns the lateness of an order ending at endDate in ms, or null if the
+// order has no ship date (IE: counter weights)
+const getLateness = (shipDate, endDate) =>
+  shipDate && endDate ? endDate.getTime() - shipDate.getTime() : null;
+
+// Helper function that returns true if the lateness is of a late order
+const isLate = (lateness) => lateness !== null && lateness > 0;
+
+// Helper function that counts the late orders of a list of orders (records or the orders returned by
+// getOrdersWithStartDates)
+const countLateOrders = (orders) =>
+  orders.filter((order) =>
+    isLate(
+      getLateness(
+        order.shipDate,
+        order.endDate || new Date(order.startDate.getTime() + order.duration)
+      )
+    )
+  ).length;
+
+// Helper function that formats a lateness for display. IE: "2d 4h", "5h 30m"
+const formatLateness = (lateness) => {
+  const totalMinutes = Math.round(Math.abs(lateness) / 60000);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days) {
+    return `${days}d ${hours}h`;
+  }
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+export { parseShipDate, getLateness, isLate, countLateOrders, formatLateness };
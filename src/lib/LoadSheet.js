@@ -0,0 +1,110 @@
+// Load sheet of an arm: what the operators load during a shift or a day, on which row, in what order
+// and with which oven settings. Printed from the scheduler of the arm (see components/LoadSheet.tsx).
+// The orders and counter weights that start in the period are listed in time order, along with the
+// hard breaks that fall in it.
+
+// Helper function that returns the date at the passed hour of the day of `day` (6.5 = 6:30 AM)
+const atHour = (day, hour) =>
+  new Date(
+    day.getFullYear(),
+    day.getMonth(),
+    day.getDate(),
+    0,
+    Math.round(hour * 60)
+  );
+
+// Helper function that returns the row number of a row id (IE: "62-r3" -> 3)
+const getRowNumber = (rowId) => +`${rowId}`.split("-r")[1] || null;
+
+// Helper function that returns the shifts of the working calendar that start on the passed day. The
+// working time ranges of a shift can be split (IE: at midnight), so touching ranges of the same shift
+// are merged. The day before is included so a shift running past midnight isn't taken as starting at
+// midnight.
+const getShifts = (day, calendar) =>
+  calendar
+    .getWorkingTimeRanges(atHour(day, -24), atHour(day, 48))
+    .reduce((shifts, range) => {
+      const previous = shifts[shifts.length - 1];
+      if (
+        previous &&
+        previous.name === range.name &&
+        previous.endDate.getTime() === range.startDate.getTime()
+      ) {
+        previous.endDate = range.endDate;
+      } else {
+        shifts.push({ ...range });
+      }
+      return shifts;
+    }, [])
+    .filter(
+      (shift) =>
+        shift.name &&
+        shift.startDate >= atHour(day, 0) &&
+        shift.startDate < atHour(day, 24)
+    );
+
+// Returns the periods a load sheet can be printed for on the passed day: the whole day, then every
+// shift of the working calendar that starts on it (see lib/WorkingCalendar.js). A shift running past
+// midnight ends on the next day. Days without shifts (IE: holidays) only have the whole day.
+const getLoadSheetPeriods = (day, calendar) => [
+  {
+    id: "day",
+    name: "Whole day",
+    startDate: atHour(day, 0),
+    endDate: atHour(day, 24),
+  },
+  ...(calendar ? getShifts(day, calendar) : []).map((shift, i) => ({
+    id: `shift-${i}`,
+    name: `${shift.name} shift`,
+    startDate: shift.startDate,
+    endDate: shift.endDate,
+  })),
+];
+
+// Returns the entries of the load sheet between startDate and endDate, sorted by time:
+// {
+//   type,        "order", "counter_weight" or "hard_break"
+//   sequence,    position in the loading order. Null for hard breaks.
+//   startDate, endDate,
+//   row,         row number. Null for hard breaks, which stop the whole arm.
+//   data,        data of the order as returned by the API (work order, item, description, balance,
+//                oven temp and time), or of the hard break
+// }
+// orders and hardBreaks are the records of the order store and hard break store of the arm
+const getLoadSheet = (orders, hardBreaks, { startDate, endDate }) => {
+  const inPeriod = (date) => date >= startDate && date < endDate;
+  const entries = [
+    ...orders
+      .filter((order) => order.startDate && inPeriod(order.startDate))
+      .map((order) => ({
+        type: order.data.type === "counter_weight" ? "counter_weight" : "order",
+        startDate: order.startDate,
+        endDate: order.endDate,
+        row: getRowNumber(order.resourceId),
+        data: order.data,
+      })),
+    ...hardBreaks
+      .filter((hardBreak) => inPeriod(hardBreak.startDate))
+      .map((hardBreak) => ({
+        type: "hard_break",
+        startDate: hardBreak.startDate,
+        endDate: null,
+        row: null,
+        data: hardBreak.data,
+      })),
+  ].sort(
+    (a, b) =>
+      a.startDate - b.startDate ||
+      // A hard break comes before the orders loaded right after it
+      (a.type === "hard_break" ? -1 : 0) - (b.type === "hard_break" ? -1 : 0) ||
+      (a.row || 0) - (b.row || 0)
+  );
+
+  let sequence = 0;
+  return entries.map((entry) => ({
+    ...entry,
+    sequence: entry.type === "hard_break" ? null : ++sequence,
+  }));
+};
+
+export { getLoadSheetPeriods, getLoadSheet };
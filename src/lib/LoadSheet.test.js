@@ -0,0 +1,114 @@
+import { getLoadSheetPeriods, getLoadSheet } from "./LoadSheet";
+import createWorkingCalendar from "./WorkingCalendar";
+
+// Day and night shifts on weekdays. The night shift runs past midnight.
+const CALENDAR_CONFIG = {
+  workingDays: [1, 2, 3, 4, 5],
+  shifts: [
+    { name: "Day", startHour: 6, endHour: 14 },
+    { name: "Night", startHour: 22, endHour: 6 },
+  ],
+  holidays: [{ name: "Christmas Day", date: "12-25" }],
+};
+
+// Helper function that returns a date of September 2021
+const at = (date, hour, minutes = 0) => new Date(2021, 8, date, hour, minutes);
+
+// Helper function that returns an order record of the scheduler running from start to end
+const orderRecord = (workOrder, row, startDate, endDate, data = {}) => ({
+  startDate,
+  endDate,
+  resourceId: `62-r${row}`,
+  data: { work_order_number: workOrder, balance: 10, ...data },
+});
+
+describe("getLoadSheetPeriods", () => {
+  it("returns the whole day and the shifts starting on the day", () => {
+    const periods = getLoadSheetPeriods(
+      at(21, 0),
+      createWorkingCalendar(CALENDAR_CONFIG)
+    );
+
+    expect(periods).toEqual([
+      {
+        id: "day",
+        name: "Whole day",
+        startDate: at(21, 0),
+        endDate: at(22, 0),
+      },
+      {
+        id: "shift-0",
+        name: "Day shift",
+        startDate: at(21, 6),
+        endDate: at(21, 14),
+      },
+      {
+        id: "shift-1",
+        name: "Night shift",
+        startDate: at(21, 22),
+        endDate: at(22, 6),
+      },
+    ]);
+  });
+
+  it("only returns the whole day on days without shifts", () => {
+    const calendar = createWorkingCalendar(CALENDAR_CONFIG);
+
+    // Sunday, and Christmas Day (a Monday in 2023)
+    expect(getLoadSheetPeriods(at(19, 0), calendar)).toHaveLength(1);
+    expect(
+      getLoadSheetPeriods(new Date(2023, 11, 25), calendar).map(
+        (period) => period.id
+      )
+    ).toEqual(["day"]);
+    expect(getLoadSheetPeriods(at(21, 0))).toHaveLength(1);
+  });
+});
+
+describe("getLoadSheet", () => {
+  const period = { startDate: at(21, 6), endDate: at(21, 14) };
+
+  it("lists the orders and hard breaks of the period in time order", () => {
+    const entries = getLoadSheet(
+      [
+        orderRecord("0003", 1, at(21, 10), at(21, 12)),
+        orderRecord("0001", 2, at(21, 7), at(21, 9)),
+        orderRecord("0002", 1, at(21, 7), at(21, 8)),
+        orderRecord("0004", 1, at(21, 14), at(21, 16)),
+        orderRecord("0005", 1, at(21, 5), at(21, 7)),
+      ],
+      [
+        { startDate: at(21, 10), data: { notes: "Oven service" } },
+        { startDate: at(21, 15), data: { notes: "Shift change" } },
+      ],
+      period
+    );
+
+    // The period includes its start but not its end
+    expect(
+      entries.map((entry) =>
+        entry.type === "hard_break"
+          ? entry.data.notes
+          : entry.data.work_order_number
+      )
+    ).toEqual(["0002", "0001", "Oven service", "0003"]);
+    expect(entries.map((entry) => entry.sequence)).toEqual([1, 2, null, 3]);
+    expect(entries.map((entry) => entry.row)).toEqual([1, 2, null, 1]);
+  });
+
+  it("lists counter weights apart from the orders", () => {
+    const entries = getLoadSheet(
+      [
+        orderRecord("0001", 1, at(21, 7), at(21, 9)),
+        orderRecord(null, 2, at(21, 8), at(21, 9), { type: "counter_weight" }),
+      ],
+      [],
+      period
+    );
+
+    expect(entries.map((entry) => entry.type)).toEqual([
+      "order",
+      "counter_weight",
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+// Maintenance windows of an arm. A window blocks one row of the arm, or every row when it has no
+// rowId, from its startDate to its endDate. Windows can repeat every day or week, until a date or
+// for as long as MAINTENANCE_HORIZON_DAYS (see SchedulerConfig.tsx). Orders never run during a
+// window: the rescheduling logic starts them once the window is over (see flowRow in Util.ts).
+//
+// Window shape (see mapToMaintenanceModel in Util.ts):
+// {
+//   id, name,
+//   startDate, endDate,   first occurrence
+//   rowId: "62-r2",       null for the whole arm
+//   recurrence: "weekly", null, "daily" or "weekly"
+//   until: Date,          last day it repeats. Null to repeat up to the horizon
+// }
+
+import { MAINTENANCE_HORIZON_DAYS } from "./SchedulerConfig";
+
+// Days between two occurrences of a recurring window
+const RECURRENCE_DAYS = {
+  daily: 1,
+  weekly: 7,
+};
+
+const RECURRENCE_LABELS = {
+  daily: "every day",
+  weekly: "every week",
+};
+
+// Helper function that adds days to a date. The time of day is kept across daylight saving changes.
+const addDays = (date, days) => {
+  const result = new Date(date.getTime());
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function that returns the date up to which recurring windows are repeated
+const getMaintenanceHorizon = (fromDate) =>
+  addDays(fromDate, MAINTENANCE_HORIZON_DAYS);
+
+// Helper function that returns true if the start and end of a window are valid dates. Windows with
+// a date that couldn't be parsed (IE: a typo in the API) are ignored.
+const hasValidDates = (window) =>
+  window.startDate instanceof Date &&
+  window.endDate instanceof Date &&
+  !isNaN(window.startDate.getTime()) &&
+  !isNaN(window.endDate.getTime());
+
+// Helper function that returns the occurrences of a window that end after fromDate and start before
+// toDate, as { startDate, endDate }
+const getOccurrences = (window, fromDate, toDate) => {
+  const step = RECURRENCE_DAYS[window.recurrence];
+  const lastDate =
+    step && window.until && window.until < toDate ? window.until : toDate;
+  // A window occurs at most once per step up to the last date. An extra occurrence is allowed for the
+  // days that are shorter across daylight saving changes. Invalid dates don't occur at all.
+  const maxOccurrences = step
+    ? Math.ceil((lastDate - window.startDate) / (step * ONE_DAY_MS)) + 1
+    : 1;
+  const occurrences = [];
+  for (let i = 0; i < maxOccurrences; i++) {
+    const startDate = step
+      ? addDays(window.startDate, i * step)
+      : window.startDate;
+    if (startDate >= lastDate || (i > 0 && !step)) {
+      break;
+    }
+    const endDate = step ? addDays(window.endDate, i * step) : window.endDate;
+    if (endDate > fromDate) {
+      occurrences.push({ startDate, endDate });
+    }
+  }
+  return occurrences;
+};
+
+// Helper function that returns true if a window applies to a row
+const appliesToRow = (window, rowId) => !window.rowId || window.rowId === rowId;
+
+// Helper function that returns the spans a row is blocked by maintenance between fromDate and
+// toDate, sorted by start, as { startDate, endDate, label }
+const getBlockedSpans = (windows, rowId, fromDate, toDate) => {
+  const spans = [];
+  windows
+    .filter((window) => hasValidDates(window) && appliesToRow(window, rowId))
+    .forEach((window) =>
+      getOccurrences(window, fromDate, toDate).forEach((occurrence) =>
+        spans.push({ ...occurrence, label: window.name || "Maintenance" })
+      )
+    );
+  return spans.sort((a, b) => a.startDate - b.startDate);
+};
+
+// Helper function that describes how often a window repeats. IE: "every week until 10/30"
+const describeRecurrence = (window) => {
+  if (!RECURRENCE_DAYS[window.recurrence]) {
+    return "once";
+  }
+  const until = window.until
+    ? ` until ${window.until.getMonth() + 1}/${window.until.getDate()}`
+    : "";
+  return `${RECURRENCE_LABELS[window.recurrence]}${until}`;
+};
+
+export {
+  hasValidDates,
+  getMaintenanceHorizon,
+  getOccurrences,
+  getBlockedSpans,
+  describeRecurrence,
+};
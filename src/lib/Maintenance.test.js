@@ -0,0 +1,138 @@
+import { getOccurrences, getBlockedSpans, hasValidDates } from "./Maintenance";
+
+// Helper function that returns a maintenance window (see the top of Maintenance.js) on a day of
+// September 2021, from 8:00 to 10:00 AM
+const maintenanceWindow = (date, fields = {}) => ({
+  id: 1,
+  name: "Mold cleaning",
+  startDate: new Date(2021, 8, date, 8),
+  endDate: new Date(2021, 8, date, 10),
+  rowId: null,
+  recurrence: null,
+  until: null,
+  ...fields,
+});
+
+// Helper function that returns the days of the month the occurrences start on
+const getDays = (occurrences) =>
+  occurrences.map((occurrence) => occurrence.startDate.getDate());
+
+describe("getOccurrences", () => {
+  it("returns a window that doesn't repeat once, if it's in the period", () => {
+    const window = maintenanceWindow(20);
+
+    expect(
+      getOccurrences(window, new Date(2021, 8, 20), new Date(2021, 8, 27))
+    ).toEqual([{ startDate: window.startDate, endDate: window.endDate }]);
+    expect(
+      getOccurrences(window, new Date(2021, 8, 21), new Date(2021, 8, 27))
+    ).toEqual([]);
+  });
+
+  it("repeats daily and weekly windows up to the end of the period", () => {
+    expect(
+      getDays(
+        getOccurrences(
+          maintenanceWindow(20, { recurrence: "daily" }),
+          new Date(2021, 8, 20),
+          new Date(2021, 8, 24)
+        )
+      )
+    ).toEqual([20, 21, 22, 23]);
+    expect(
+      getDays(
+        getOccurrences(
+          maintenanceWindow(1, { recurrence: "weekly" }),
+          new Date(2021, 8, 1),
+          new Date(2021, 8, 30)
+        )
+      )
+    ).toEqual([1, 8, 15, 22, 29]);
+  });
+
+  it("keeps the time of day of every occurrence", () => {
+    const occurrences = getOccurrences(
+      maintenanceWindow(20, { recurrence: "daily" }),
+      new Date(2021, 8, 20),
+      new Date(2021, 8, 23)
+    );
+
+    occurrences.forEach((occurrence) => {
+      expect(occurrence.startDate.getHours()).toBe(8);
+      expect(occurrence.endDate.getHours()).toBe(10);
+    });
+  });
+
+  it("stops repeating on the until date", () => {
+    expect(
+      getDays(
+        getOccurrences(
+          maintenanceWindow(1, {
+            recurrence: "weekly",
+            until: new Date(2021, 8, 15, 23),
+          }),
+          new Date(2021, 8, 1),
+          new Date(2021, 8, 30)
+        )
+      )
+    ).toEqual([1, 8, 15]);
+  });
+
+  it("leaves out the occurrences that are over before the start of the period", () => {
+    expect(
+      getDays(
+        getOccurrences(
+          maintenanceWindow(1, { recurrence: "daily" }),
+          new Date(2021, 8, 5, 9),
+          new Date(2021, 8, 7)
+        )
+      )
+    ).toEqual([5, 6]);
+  });
+
+  it("doesn't return occurrences of a window with invalid dates", () => {
+    expect(
+      getOccurrences(
+        maintenanceWindow(1, {
+          recurrence: "daily",
+          startDate: new Date("not a date"),
+        }),
+        new Date(2021, 8, 1),
+        new Date(2021, 8, 30)
+      )
+    ).toEqual([]);
+  });
+});
+
+describe("getBlockedSpans", () => {
+  it("returns the sorted occurrences of the windows of a row and of the whole arm", () => {
+    const spans = getBlockedSpans(
+      [
+        maintenanceWindow(22, { name: "Row 1 cleaning", rowId: "62-r1" }),
+        maintenanceWindow(21, { name: "Arm inspection" }),
+        maintenanceWindow(20, { name: "Row 2 cleaning", rowId: "62-r2" }),
+        maintenanceWindow(20, { startDate: new Date("not a date") }),
+      ],
+      "62-r1",
+      new Date(2021, 8, 20),
+      new Date(2021, 8, 27)
+    );
+
+    expect(spans.map((span) => span.label)).toEqual([
+      "Arm inspection",
+      "Row 1 cleaning",
+    ]);
+  });
+});
+
+describe("hasValidDates", () => {
+  it("returns false for windows with a date that couldn't be parsed", () => {
+    expect(hasValidDates(maintenanceWindow(20))).toBe(true);
+    expect(
+      hasValidDates(maintenanceWindow(20, { endDate: new Date("") }))
+    ).toBe(false);
+    expect(hasValidDates(maintenanceWindow(20, { startDate: null }))).toBe(
+      false
+    );
+  });
+});
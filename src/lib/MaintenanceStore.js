@@ -0,0 +1,10 @@
+import { Store } from "@bryntum/scheduler";
+import MaintenanceWindow from "./MaintenanceWindow";
+
+export default class MaintenanceStore extends Store {
+  static get defaultConfig() {
+    return {
+      modelClass: MaintenanceWindow,
+    };
+  }
+}
@@ -0,0 +1,21 @@
+import { Model } from "@bryntum/scheduler";
+
+// Maintenance window of an arm (see lib/Maintenance.js)
+export default class MaintenanceWindow extends Model {
+  static get fields() {
+    return [
+      { name: "name", type: "string" },
+      { name: "startDate", type: "date" },
+      { name: "endDate", type: "date" },
+
+      // Row the window blocks. Null when it blocks every row of the arm.
+      { name: "rowId", defaultValue: null },
+
+      // null, "daily" or "weekly"
+      { name: "recurrence", defaultValue: null },
+
+      // Last day a recurring window repeats. Null to repeat up to the horizon.
+      { name: "until", type: "date" },
+    ];
+  }
+}
@@ -10,12 +10,52 @@ export default class Order extends EventModel {
   }
 
   // Use this method to map fields in your data objects to the fields needed by the scheduler
-  // static get fields() {
-  //   return [
-  //     { name: "startDate", dataSource: "scheduled_start_date" },
-  //     { name: "duration", dataSource: "scheduled_duration_adjusted" },
-  //     { name: "resourceId", dataSource: "scheduled_resource_id" },
-  //     { name: "originalDuration", dataSource: "scheduled_duration" },
-  //   ];
-  // }
+  static get fields() {
+    return [
+      // { name: "startDate", dataSource: "scheduled_start_date" },
+      // { name: "duration", dataSource: "scheduled_duration_adjusted" },
+      // { name: "resourceId", dataSource: "scheduled_resource_id" },
+      // { name: "originalDuration", dataSource: "scheduled_duration" },
+
+      // Working time the order needs in ms. The duration is the time the bar spans, which includes
+      // the non-working time of the calendar.
+      { name: "workingDuration", type: "number" },
+
+      // Arm the order is scheduled on. Set when the order is dragged to another arm of the machine
+      // (see OrderStore.receiveOrders).
+      { name: "arm", type: "number" },
+
+      // Parts left to mold. The working duration is the balance times the takt of the item.
+      { name: "balance", type: "number" },
+
+      // Id of the order this order was split from (see OrderStore.splitOrder). Null for orders that
+      // weren't split off another order.
+      { name: "splitOf", dataSource: "split_of" },
+
+      // Which part of a split order this order is. The order that was split is part 1.
+      { name: "splitPart", type: "number", dataSource: "split_part" },
+
+      // Start the order is locked to. Locked orders aren't moved by the rescheduling logic.
+      { name: "lockedStartDate", type: "date", dataSource: "locked_start" },
+
+      // Why the locked order can't keep its start. Not sent to the API.
+      { name: "lockConflict", type: "string", persist: false },
+
+      // Set by the rescheduling logic when the order runs across a hard break. Not sent to the API.
+      { name: "hardBreakConflict", type: "boolean", persist: false },
+
+      // Set when the order runs while the arm holds more volume than its capacity. Not sent to the API.
+      { name: "capacityConflict", type: "boolean", persist: false },
+
+      // Why the order can't be in the oven with the orders running next to it. Not sent to the API.
+      { name: "ovenConflict", type: "string", persist: false },
+
+      // Parsed ship_date (see lib/Lateness.js)
+      { name: "shipDate", type: "date", persist: false },
+
+      // Time between the ship date and the projected end date in ms. Positive when the order is late,
+      // negative when there's slack left. Not sent to the API.
+      { name: "lateness", type: "number", persist: false },
+    ];
+  }
 }
@@ -1,6 +1,40 @@
-import { DateHelper, EventStore } from "@bryntum/scheduler";
+import { EventStore } from "@bryntum/scheduler";
 import Order from "./Order.js";
-import { getEventAdjustedDuration, cleanupResources } from "./Util";
+import createWorkingCalendar from "./WorkingCalendar";
+import {
+  cleanupResources,
+  getOrderSpan,
+  toRowEntry,
+  flowRow,
+  mapToSplitParts,
+  getOrderLabel,
+} from "./Util";
+import {
+  getOrderVolume,
+  toVolumeSpan,
+  getCapacityViolation,
+} from "./ArmCapacity";
+import { getOvenViolation } from "./OvenCompatibility";
+import { isLate } from "./Lateness";
+import { getOrderConflicts } from "./ScheduleEngine";
+import { proposeSchedule } from "./AutoScheduler";
+import { getBlockedSpans, getMaintenanceHorizon } from "./Maintenance";
+import { getChangeover, describeChangeover } from "./Changeover";
+import { CHANGEOVER_RULES } from "./SchedulerConfig";
+
+// Milliseconds the store has to stop changing before the conflicts of its orders are refreshed
+const CONFLICT_REFRESH_DELAY = 50;
+
+// Helper function that returns true if the order is currently molding. Those orders already started,
+// so they're pinned at the head of their row and never moved.
+const isPinned = (event) => Boolean(event.data.item_currently_molding);
+
+// Helper function that returns the event that ends last
+const getLastEvent = (events) =>
+  events.reduce(
+    (last, event) => (!last || event.endDate > last.endDate ? event : last),
+    null
+  );
 
 export default class OrderStore extends EventStore {
   static get defaultConfig() {
@@ -13,6 +47,459 @@ export default class OrderStore extends EventStore {
   // we can't use new Date() inline because it wont align with the data model.
   currentDate = new Date();
 
+  // Working calendar of the factory. Orders are only scheduled during its working time.
+  calendar = createWorkingCalendar();
+
+  // Sets the working calendar used by the rescheduling logic (see getFactoryCalendar in Util.ts)
+  setCalendar(calendar) {
+    this.calendar = calendar;
+  }
+
+  // Volume capacity of the arm (see lib/ArmCapacity.js)
+  capacity = Infinity;
+
+  // Oven rule of the machine (see lib/OvenCompatibility.js). Null when oven settings aren't checked.
+  ovenRule = null;
+
+  // Whether drops that load molds with incompatible oven settings at the same time are rejected
+  blockOvenConflicts = false;
+
+  // Sets the rules the orders of the arm are checked against. Orders that break them are flagged with
+  // capacityConflict / ovenConflict and the lateness of every order is projected whenever the store
+  // changes. Returns a function that removes the listener.
+  setArmRules({
+    capacity = Infinity,
+    ovenRule = null,
+    blockOvenConflicts = false,
+  }) {
+    this.capacity = capacity;
+    this.ovenRule = ovenRule;
+    this.blockOvenConflicts = blockOvenConflicts;
+    this.refreshConflicts();
+    const detach = this.on({
+      change: () => this.queueConflictRefresh(),
+      thisObj: this,
+    });
+    return () => {
+      detach();
+      clearTimeout(this.conflictRefreshTimer);
+    };
+  }
+
+  // Refreshes the conflicts once the store stops changing. Moving an order ripples every order after
+  // it, and each of them fires a change, so the conflicts are only computed once for all of them.
+  queueConflictRefresh() {
+    if (this.isRefreshingConflicts) {
+      return;
+    }
+    clearTimeout(this.conflictRefreshTimer);
+    this.conflictRefreshTimer = setTimeout(() => {
+      if (!this.isDestroyed) {
+        this.refreshConflicts();
+      }
+    }, CONFLICT_REFRESH_DELAY);
+  }
+
+  // Flags the orders that run while the volume in use goes over the capacity of the arm and the
+  // orders that are in the oven with orders of incompatible oven settings. Also projects the
+  // lateness of every order from its end date (see getOrderConflicts in lib/ScheduleEngine.js).
+  refreshConflicts() {
+    if (this.isRefreshingConflicts) {
+      return;
+    }
+    const conflicts = getOrderConflicts(this.records, {
+      capacity: this.capacity,
+      ovenRule: this.ovenRule,
+    });
+
+    // Flagging an order must not reschedule the row
+    const { isRescheduling } = this;
+    this.isRefreshingConflicts = true;
+    this.isRescheduling = true;
+    this.records.forEach((record) => {
+      const { capacityConflict, ovenConflict, lateness } = conflicts[record.id];
+      if (
+        Boolean(record.capacityConflict) !== capacityConflict ||
+        (record.ovenConflict || null) !== ovenConflict ||
+        record.lateness !== lateness
+      ) {
+        record.set({ capacityConflict, ovenConflict, lateness });
+      }
+    });
+    this.isRescheduling = isRescheduling;
+    this.isRefreshingConflicts = false;
+  }
+
+  // Returns the orders that are projected to end after their ship date
+  getLateOrders() {
+    return this.records.filter((record) => isLate(record.lateness));
+  }
+
+  // Returns the earliest date a queued order can start on the row: now, or once the orders that are
+  // currently molding on the row are done
+  getQueueStartDate(resource) {
+    const lastPinned = getLastEvent(
+      resource ? resource.events.filter(isPinned) : []
+    );
+    return lastPinned && lastPinned.endDate > this.currentDate
+      ? lastPinned.endDate
+      : this.currentDate;
+  }
+
+  // Returns why the passed records can't start at startDate, or null if they can. The records can't
+  // overload the arm and, when blockOvenConflicts is set, can't be in the oven with orders of
+  // incompatible oven settings. When several records are moved, they keep their offset from the
+  // first one. Records dropped on a row can't start before its queue does (see getQueueStartDate).
+  getDropViolation(records, startDate, resource) {
+    const queueStartDate = this.getQueueStartDate(resource);
+    if (startDate < queueStartDate) {
+      startDate = queueStartDate;
+    }
+    const firstStartDate = records[0].startDate;
+    const candidates = records.map((record) => {
+      const earliestStartDate =
+        firstStartDate && record.startDate
+          ? new Date(startDate.getTime() + (record.startDate - firstStartDate))
+          : startDate;
+      return {
+        id: record.id,
+        ...getOrderSpan(
+          earliestStartDate,
+          record.workingDuration,
+          this.calendar
+        ),
+        volume: getOrderVolume(record.data),
+        order: record,
+        data: record.data,
+      };
+    });
+    const spans = this.records
+      .filter((record) => !records.includes(record))
+      .map((record) => toVolumeSpan(record));
+    return (
+      getCapacityViolation(spans, candidates, this.capacity) ||
+      (this.blockOvenConflicts && this.ovenRule
+        ? getOvenViolation(spans, candidates, this.ovenRule)
+        : null)
+    );
+  }
+
+  // Returns where orders dropped over the target order go in the queue of its row: before it when the
+  // pointer is over the first half of the order, after it otherwise. Orders that are currently molding
+  // are loaded first, so orders can only go after them. Returns null when there's no target.
+  getInsertion(target, pointerDate) {
+    if (!target || !pointerDate || !this.includes(target)) {
+      return null;
+    }
+    const middle =
+      target.startDate.getTime() + (target.endDate - target.startDate) / 2;
+    return {
+      target,
+      position:
+        target.data.item_currently_molding || pointerDate.getTime() >= middle
+          ? "after"
+          : "before",
+    };
+  }
+
+  // Flags the dropped records with where they go in the queue. The flag is applied by
+  // rescheduleOverlappingTasks once the records are moved. When several records are dropped, the
+  // first one goes at the insertion and the others follow it in their current order.
+  setInsertion(records, insertion) {
+    records
+      .slice()
+      .sort((a, b) => (a.startDate > b.startDate ? 1 : -1))
+      .forEach((record, i, sorted) => {
+        record.insertion =
+          insertion && i > 0
+            ? { target: sorted[i - 1], position: "after" }
+            : insertion;
+      });
+  }
+
+  // Places orders dragged in from another arm of the machine. The drag removed the records from the
+  // store of their arm, which rippled their rows left, and added copies of them to this store at the
+  // row and start they were dropped at. The copies are moved to this arm and the row they were dropped
+  // on ripples right to make room for them, at the insertion of the dragged records if there's one
+  // (see setInsertion). The dragged records keep the arm they went to, so the arm they came from saves
+  // them as moved rather than unassigned. Returns the copies.
+  receiveOrders(records, armId) {
+    const copies = records
+      .map((record) => this.getById(record.id))
+      .filter((copy) => copy && !records.includes(copy));
+    const insertion = records
+      .map((record) => record.insertion)
+      .find((other) => other && this.includes(other.target));
+
+    this.isRescheduling = true;
+    records.forEach((record) => {
+      record.insertion = null;
+      record.set("arm", armId, true);
+    });
+    copies.forEach((copy) => copy.set("arm", armId));
+    this.isRescheduling = false;
+
+    this.setInsertion(copies, insertion || null);
+    copies
+      .slice()
+      .sort((a, b) => (a.startDate > b.startDate ? 1 : -1))
+      .forEach((copy) => {
+        this.beginBatch();
+        this.rescheduleOverlappingTasks(copy);
+        this.endBatch();
+      });
+    return copies;
+  }
+
+  // Returns a proposal to place the backlog (the data of the unassigned orders) on the rows of the
+  // arm, following the passed rules (see lib/AutoScheduler.js). The store isn't changed.
+  proposeSchedule(backlog, armId, rules) {
+    return proposeSchedule(backlog, {
+      rows: this.resourceStore.records.map((row) => ({
+        id: row.id,
+        orders: row.events,
+      })),
+      armId,
+      rules,
+      calendar: this.calendar,
+      hardBreakDates: this.getHardBreakDates(),
+      capacity: this.capacity,
+      ovenRule: this.ovenRule,
+      startDate: this.currentDate,
+      getBlockedSpans: (rowId) => this.getBlockedSpans(rowId),
+    });
+  }
+
+  // Links the store holding the hard breaks of the arm. Hard breaks are barriers for the rescheduling
+  // logic, so every row is rescheduled when a hard break is added, moved or removed. Returns a
+  // function that removes the listener.
+  setHardBreakStore(hardBreakStore) {
+    this.hardBreakStore = hardBreakStore;
+    return hardBreakStore.on({
+      change: () => this.rescheduleAllRows(),
+      thisObj: this,
+    });
+  }
+
+  getHardBreakDates() {
+    return this.hardBreakStore
+      ? this.hardBreakStore.records.map((hardBreak) => hardBreak.startDate)
+      : [];
+  }
+
+  // Links the store holding the maintenance windows of the arm (see lib/Maintenance.js). Orders
+  // ripple around the windows, so every row is rescheduled when a window is added, changed or
+  // removed. Returns a function that removes the listener.
+  setMaintenanceStore(maintenanceStore) {
+    this.maintenanceStore = maintenanceStore;
+    this.refreshMaintenanceRanges();
+    return maintenanceStore.on({
+      change: () => {
+        this.rescheduleAllRows();
+        this.refreshMaintenanceRanges();
+      },
+      thisObj: this,
+    });
+  }
+
+  // Returns the spans a row is blocked by maintenance from now up to the maintenance horizon
+  getBlockedSpans(rowId) {
+    return this.maintenanceStore
+      ? getBlockedSpans(
+          this.maintenanceStore.records,
+          rowId,
+          this.currentDate,
+          getMaintenanceHorizon(this.currentDate)
+        )
+      : [];
+  }
+
+  // Whether the arm is shut down. The rows of a shut down arm are drawn as blocked and its orders are
+  // flagged, since none of them will run until the arm is back up.
+  shutdown = false;
+
+  setShutdown(shutdown) {
+    this.shutdown = shutdown;
+    this.refreshMaintenanceRanges();
+  }
+
+  // Store of the time ranges drawn in the rows: the changeover gaps between consecutive orders and
+  // the ghost bars of the orders that moved since the baseline. Shown as resource time ranges.
+  rangeStore = null;
+
+  // Links the store the row ranges are shown with. The ranges are rebuilt whenever the orders change.
+  // Returns a function that removes the listener.
+  setRangeStore(rangeStore) {
+    this.rangeStore = rangeStore;
+    this.refreshRanges();
+    return this.on({
+      change: () => this.refreshRanges(),
+      thisObj: this,
+    });
+  }
+
+  refreshRanges() {
+    this.refreshChangeovers();
+    this.refreshBaselineRanges();
+    this.refreshMaintenanceRanges();
+  }
+
+  // Replaces the row ranges of a type. Ranges of other types (IE: added by the planner) are kept.
+  replaceRanges(type, ranges) {
+    const { rangeStore } = this;
+    if (!rangeStore) {
+      return;
+    }
+    rangeStore.remove(
+      rangeStore.records.filter((range) => range.data.type === type)
+    );
+    rangeStore.add(ranges.map((range) => ({ ...range, type })));
+  }
+
+  // Rebuilds the changeover gaps of every row (see lib/Changeover.js). A gap starts when an order ends
+  // and lasts until the changeover to the next order of the row is done.
+  refreshChangeovers() {
+    const ranges = [];
+    this.resourceStore.forEach((row) => {
+      const events = row.events
+        .slice()
+        .sort((a, b) => a.startDate - b.startDate);
+      events.slice(1).forEach((next, i) => {
+        const previous = events[i];
+        const changeover = getChangeover(
+          previous.data,
+          next.data,
+          CHANGEOVER_RULES
+        );
+        if (!changeover.minutes) {
+          return;
+        }
+        const endDate = this.calendar.calculateEndDate(
+          previous.endDate,
+          changeover.minutes * 60000
+        );
+        ranges.push({
+          id: `changeover-${previous.id}-${next.id}`,
+          resourceId: row.id,
+          startDate: previous.endDate,
+          endDate: endDate < next.startDate ? endDate : next.startDate,
+          name: describeChangeover(changeover),
+          cls: "scheduler-changeover",
+        });
+      });
+    });
+    this.replaceRanges("changeover", ranges);
+  }
+
+  // Rebuilds the blocked time of every row: the maintenance windows up to the maintenance horizon, or
+  // the whole time axis when the arm is shut down
+  refreshMaintenanceRanges() {
+    const ranges = [];
+    this.resourceStore.forEach((row) => {
+      if (this.shutdown) {
+        ranges.push({
+          id: `shutdown-${row.id}`,
+          resourceId: row.id,
+          startDate: new Date(this.currentDate.getFullYear() - 1, 0, 1),
+          endDate: new Date(this.currentDate.getFullYear() + 2, 0, 1),
+          name: "Arm shut down",
+          cls: "scheduler-shutdown",
+        });
+        return;
+      }
+      this.getBlockedSpans(row.id).forEach((span, i) =>
+        ranges.push({
+          id: `maintenance-${row.id}-${i}`,
+          resourceId: row.id,
+          startDate: span.startDate,
+          endDate: span.endDate,
+          name: span.label,
+          cls: "scheduler-maintenance",
+        })
+      );
+    });
+    this.replaceRanges("maintenance", ranges);
+  }
+
+  // Start, end and row of every order when the baseline was captured, as { id, label, resourceId,
+  // startDate, endDate }. Null until a baseline is captured.
+  baseline = null;
+
+  // Date the baseline was captured
+  baselineDate = null;
+
+  // Captures the start, end and row of every order as the baseline. The orders that move afterwards
+  // are listed by getDrift and their old position is shown as a ghost bar.
+  captureBaseline() {
+    this.baseline = this.records.map((event) => ({
+      id: event.id,
+      label: getOrderLabel(event.data),
+      resourceId: event.resourceId,
+      startDate: event.startDate,
+      endDate: event.endDate,
+    }));
+    this.baselineDate = new Date();
+    this.refreshBaselineRanges();
+  }
+
+  // Returns the orders that moved since the baseline, the most moved first, as { id, label, baseline,
+  // event, startDelta, rowChanged }. startDelta is in ms and positive when the order starts later.
+  // Orders that were unassigned since have no event, and orders that were scheduled since have no
+  // baseline.
+  getDrift() {
+    if (!this.baseline) {
+      return [];
+    }
+    const drift = [];
+    this.baseline.forEach((baseline) => {
+      const event = this.getById(baseline.id);
+      if (!event) {
+        drift.push({ id: baseline.id, label: baseline.label, baseline });
+        return;
+      }
+      const startDelta = event.startDate - baseline.startDate;
+      const rowChanged = event.resourceId !== baseline.resourceId;
+      if (startDelta || rowChanged) {
+        drift.push({
+          id: event.id,
+          label: baseline.label,
+          baseline,
+          event,
+          startDelta,
+          rowChanged,
+        });
+      }
+    });
+    this.records
+      .filter((event) => !this.baseline.some((b) => b.id === event.id))
+      .forEach((event) =>
+        drift.push({ id: event.id, label: getOrderLabel(event.data), event })
+      );
+    const moved = (item) =>
+      item.event && item.baseline ? Math.abs(item.startDelta) : Infinity;
+    return drift.sort((a, b) => moved(b) - moved(a));
+  }
+
+  // Rebuilds the ghost bars showing where the orders that moved were at the baseline
+  refreshBaselineRanges() {
+    this.replaceRanges(
+      "baseline",
+      this.getDrift()
+        .filter(
+          ({ baseline }) =>
+            baseline && this.resourceStore.getById(baseline.resourceId)
+        )
+        .map(({ baseline }) => ({
+          id: `baseline-${baseline.id}`,
+          resourceId: baseline.resourceId,
+          startDate: baseline.startDate,
+          endDate: baseline.endDate,
+          name: baseline.label,
+          cls: "scheduler-baseline",
+        }))
+    );
+  }
+
   // Override add to reschedule any overlapping events caused by the add
   add(records, silent = false) {
     const me = this;
@@ -31,11 +518,22 @@ export default class OrderStore extends EventStore {
     me.isRescheduling = false;
   }
 
+  // Whether an undo / redo is restoring the orders (see lib/ScheduleHistory.js). The rows are
+  // restored as they were, so nothing is rescheduled meanwhile.
+  get isRestoring() {
+    return Boolean(this.stm && this.stm.isRestoring);
+  }
+
   // Auto called when triggering the update event.
   // Reschedule if the update caused the event to overlap any others.
   onUpdate({ record, changes }) {
     // Only update if we aren't currently rescheduling and if we have vlaid data
-    if (!this.isRescheduling && record && record.resource !== undefined) {
+    if (
+      !this.isRescheduling &&
+      !this.isRestoring &&
+      record &&
+      record.resource !== undefined
+    ) {
       this.beginBatch();
       // If we find that an event has changed resources, we want to add a flag so that the rescheduling
       // process will reschedule both resources (to eliminate empty spaces in each row)
@@ -45,12 +543,23 @@ export default class OrderStore extends EventStore {
       } else {
         record.previousResource = null;
       }
+      // A resized counter weight needs the working time of its new span
+      if (changes.duration) {
+        record.set(
+          "workingDuration",
+          this.calendar.calculateDurationMs(record.startDate, record.endDate),
+          true
+        );
+      }
       this.rescheduleOverlappingTasks(record);
       this.endBatch();
     }
   }
 
   onRemove(obj) {
+    if (this.isRestoring) {
+      return;
+    }
     const resourceIds = obj.records.reduce((accum, removedEvent) => {
       if (!accum.includes(removedEvent.resourceId)) {
         accum.push(removedEvent.resourceId);
@@ -110,6 +619,33 @@ export default class OrderStore extends EventStore {
         this.shiftEventsLeft(previousResourceRow.events);
       }
 
+      // The order was dropped over another order of the row, so it goes right before or after it in
+      // the queue (see getInsertion)
+      const { insertion } = eventRecord;
+      eventRecord.insertion = null;
+      if (
+        insertion &&
+        insertion.target !== eventRecord &&
+        insertion.target.resource === eventRecord.resource
+      ) {
+        const rowEvents = eventRecord.resource.events
+          .filter((event) => event !== eventRecord)
+          .sort((a, b) => (a.startDate > b.startDate ? 1 : -1));
+        const index =
+          rowEvents.indexOf(insertion.target) +
+          (insertion.position === "after" ? 1 : 0);
+        this.shiftEventsLeft(
+          [
+            ...rowEvents.slice(0, index),
+            eventRecord,
+            ...rowEvents.slice(index),
+          ],
+          true
+        );
+        this.isRescheduling = false;
+        return;
+      }
+
       // Split events into future and earlier events
       eventRecord.resource.events.forEach((event) => {
         if (event.data.id !== eventRecord.data.id) {
@@ -121,24 +657,9 @@ export default class OrderStore extends EventStore {
         }
       });
 
-      // To-Do: If this event was dropped before the current date marker, we need to shift items right
-      if (eventRecord.startDate < this.currentDate) {
-        // const rootElement = futureEvents.find(
-        //   (ev) => ev.startDate < this.currentDate
-        // );
-        // if (rootElement) {
-        //   // eventRecord.startDate = this.currentDate;
-        //   const newEndDate = DateHelper.add(
-        //     rootElement.endDate,
-        //     eventRecord.duration,
-        //     "ms"
-        //   );
-        //   // Second param means that the event keeps it's duration
-        //   eventRecord.setEndDate(newEndDate, true);
-        //   // futureEvents = futureEvents.filter((ev) => ev.id !== rootElement.id);
-        //   // earlierEvents.push(rootElement);
-        // }
-      }
+      // An order dropped before now (or before the orders currently molding are done) starts earlier
+      // than every queued order of the row, so it goes first in the queue. shiftEventsLeft places it
+      // right after the orders currently molding.
 
       // Get all orders into one array and shift them left.
       const allEvents = [...earlierEvents, eventRecord, ...futureEvents];
@@ -150,55 +671,154 @@ export default class OrderStore extends EventStore {
   }
 
   revertChanges() {
-    const resourceIdMap = this.resourceStore.idMap;
-    Object.keys(resourceIdMap).forEach((resourceId) => {
-      const resourceDetail = resourceIdMap[resourceId];
-      const resourceEvents = resourceDetail.record.events;
-
-      // To-Do: There is a bug where multiple items are unassigned and when changes are reverted, strange behavior occurs.
-      // The order (like item 2 removed, then item 3 removed) of how items are removed is important. We might have to manually
-      // handle the revert changes process by using the modified items to reconstruct the priority queue and reinsert.
-      this.shiftEventsLeft(resourceEvents);
-    });
+    // Nothing to revert (IE: the changes were already undone, see lib/ScheduleHistory.js)
+    if (!this.changes) {
+      return;
+    }
+    // The orders left in a row are shifted left when an order is unassigned, and the store only
+    // reverts the records it still holds. An order unassigned after an earlier order of its row
+    // would come back with the start it was shifted to, so it gets its own start back first. The
+    // orders then all run where they did, which restores the queue of every row.
+    this.removed.forEach((record) => record.revertChanges(true));
     super.revertChanges();
   }
 
-  // Helper function that shifts items to the left.
-  shiftEventsLeft = (events) => {
+  // Adds orders to the end of a row, one after another. Used to plot orders whose load_after chain
+  // is broken (see getOrdersWithStartDates in Util.ts). The row must exist in the resource store.
+  appendToRow(orders, resourceId) {
+    const row = this.resourceStore.getById(resourceId);
+    let startDate = row.events.reduce(
+      (latest, ev) => (ev.endDate > latest ? ev.endDate : latest),
+      this.currentDate
+    );
+
+    const hardBreakDates = this.getHardBreakDates();
+    const records = orders.map((order) => {
+      const span = getOrderSpan(
+        startDate,
+        order.workingDuration,
+        this.calendar,
+        hardBreakDates
+      );
+      startDate = span.endDate;
+      return {
+        ...order,
+        resourceId,
+        startDate: span.startDate,
+        duration: span.endDate - span.startDate,
+        hardBreakConflict: span.hardBreakConflict,
+      };
+    });
+    this.add(records);
+  }
+
+  // Packs all the orders of a row one after another. Used when several orders of a row have no
+  // load_after and overlap.
+  repackRow(resourceId) {
+    const row = this.resourceStore.getById(resourceId);
+    if (row) {
+      this.isRescheduling = true;
+      this.beginBatch();
+      this.shiftEventsLeft(row.events);
+      this.endBatch();
+      this.isRescheduling = false;
+    }
+  }
+
+  // Splits the balance of an order into several parts. The order keeps the first balance and a new
+  // part is added right after it in its row for every other balance, so each part can then be moved
+  // on its own. Returns the new parts.
+  //   balances: balance of every part, starting with the one the order keeps
+  //   firstPart: part number of the first new part (see getNextSplitPart in Util.ts)
+  splitOrder(record, balances, firstPart) {
+    const row = record.resource;
+    const rowEvents = row.events
+      .filter((event) => event !== record)
+      .sort((a, b) => (a.startDate > b.startDate ? 1 : -1));
+    const [balance, ...partBalances] = balances;
+    const parts = mapToSplitParts(record.data, partBalances, firstPart).map(
+      (part) => ({
+        ...part,
+        resourceId: row.id,
+        startDate: record.endDate,
+      })
+    );
+
+    this.isRescheduling = true;
+    this.beginBatch();
+    record.set({
+      balance,
+      splitPart: record.splitPart || 1,
+      workingDuration: (record.workingDuration / record.balance) * balance,
+    });
+    record.set("name", `${getOrderLabel(record.data)} (${balance} Parts) `);
+    super.add(parts);
+    const partRecords = parts.map((part) => this.getById(part.id));
+    const index = rowEvents.findIndex(
+      (event) => event.startDate > record.startDate
+    );
+    const splitAt = index === -1 ? rowEvents.length : index;
+    this.shiftEventsLeft(
+      [
+        ...rowEvents.slice(0, splitAt),
+        record,
+        ...partRecords,
+        ...rowEvents.slice(splitAt),
+      ],
+      true
+    );
+    this.endBatch();
+    this.isRescheduling = false;
+    return partRecords;
+  }
+
+  // Shifts the orders of every row to the left. Used when something that affects every row changes
+  // (IE: a hard break was added, moved or removed).
+  rescheduleAllRows() {
+    if (this.resourceStore && !this.isRestoring) {
+      this.isRescheduling = true;
+      this.beginBatch();
+      this.resourceStore.forEach((row) => this.shiftEventsLeft(row.events));
+      this.endBatch();
+      this.isRescheduling = false;
+    }
+  }
+
+  // Helper function that shifts items to the left. The events are sorted by start date unless they're
+  // already in queue order (isSorted). Orders that are currently molding are pinned at the head of the
+  // row and locked orders keep their start (see flowRow in Util.ts). The other orders flow around
+  // them one after another and never start before now.
+  shiftEventsLeft = (events, isSorted = false) => {
     if (events.length) {
-      events.sort((a, b) => (a.startDate > b.startDate ? 1 : -1));
-
-      events.forEach((ev, i, all) => {
-        const prev = all[i - 1];
-        // if this is the first element and the startDate is before the current date.
-        if (!prev && ev.startDate > this.currentDate) {
-          const newEndDate = DateHelper.add(
-            this.currentDate,
-            ev.duration,
-            "ms"
-          );
-          ev.setEndDate(newEndDate, true);
-        } else {
-          // Normal shift
-          this.shiftEvents(prev, ev);
+      if (!isSorted) {
+        events.sort((a, b) => (a.startDate > b.startDate ? 1 : -1));
+      }
+
+      const spans = flowRow(
+        events.map(toRowEntry),
+        this.calendar,
+        this.getHardBreakDates(),
+        this.currentDate,
+        { blockedSpans: this.getBlockedSpans(events[0].resourceId) }
+      );
+      events.forEach((ev, i) => {
+        if (spans[i]) {
+          this.setEventSpan(ev, spans[i]);
         }
       });
     }
   };
 
-  shiftEvents(event1, event2) {
-    if (event1) {
-      const newStartDate = event1.endDate;
-      const newEndDate = DateHelper.add(newStartDate, event2.duration, "ms");
-      // Second param means that the event keeps it's duration
-      event2.setEndDate(newEndDate, true);
+  // Moves an event to the span found by the rescheduling logic. The event is stretched across the
+  // non-working time of the calendar. Hard breaks are barriers: an event that would run across one is
+  // pushed after it or flagged (see HARD_BREAK_BEHAVIOUR in SchedulerConfig.tsx).
+  setEventSpan(event, { startDate, endDate, hardBreakConflict, lockConflict }) {
+    if (
+      Boolean(event.hardBreakConflict) !== hardBreakConflict ||
+      (event.lockConflict || null) !== lockConflict
+    ) {
+      event.set({ hardBreakConflict, lockConflict });
     }
-  }
-
-  adjustTaskDuration(events) {
-    events.forEach((event) => {
-      const totalDaysFilledInMs = getEventAdjustedDuration(event);
-      event.duration += totalDaysFilledInMs;
-    });
+    event.setStartEndDate(startDate, endDate);
   }
 }
@@ -0,0 +1,136 @@
+import { ProjectModel, ResourceStore } from "@bryntum/scheduler";
+import OrderStore from "./OrderStore";
+import {
+  getOrdersWithStartDates,
+  mapToOrderModel,
+  normalizeOrder,
+} from "./Util";
+import createWorkingCalendar from "./WorkingCalendar";
+
+const ONE_MINUTE_MS = 60 * 1000;
+
+// Monday 8:00 AM
+const NOW = new Date(2021, 8, 20, 8);
+
+// Helper function that returns an order of the load queue (enhanced-loadqueue). Each part takes 10
+// minutes to mold.
+const queuedOrder = (id, order, loadAfter, fields = {}) => ({
+  id,
+  order,
+  load_after: loadAfter,
+  item: "01-10625-001",
+  description: "Hotsy Tank 8.757-693.0 - XLBLA",
+  balance: 6,
+  takt: 10,
+  scheduled_resource_id: "62-r1",
+  ...fields,
+});
+
+// Helper function that returns an order store holding the passed load queue, placed from NOW on an
+// always working calendar
+const createOrderStore = async (loadQueue) => {
+  const { orders } = getOrdersWithStartDates(
+    mapToOrderModel(loadQueue.map((order) => normalizeOrder(order))),
+    [],
+    createWorkingCalendar(),
+    [],
+    NOW
+  );
+  const store = new OrderStore({ data: orders });
+  store.currentDate = NOW;
+  const project = new ProjectModel({
+    eventStore: store,
+    resourceStore: new ResourceStore({
+      data: [{ id: "62-r1" }, { id: "62-r2" }],
+    }),
+  });
+  await project.commitAsync();
+  return store;
+};
+
+// Helper function that returns the ids of the orders of a row, in the order they run
+const getRowIds = (store, rowId) =>
+  store.records
+    .filter((record) => record.resourceId === rowId)
+    .sort((a, b) => a.startDate - b.startDate)
+    .map((record) => record.id);
+
+describe("OrderStore.splitOrder", () => {
+  it("keeps the first balance and runs the new parts right after the order", async () => {
+    const store = await createOrderStore([
+      queuedOrder(1, "0001", null),
+      queuedOrder(2, "0002", "0001; 01-10625-001"),
+    ]);
+    const record = store.getById(1);
+
+    const parts = store.splitOrder(record, [2, 3, 1], 2);
+
+    expect(record.balance).toBe(2);
+    expect(record.splitPart).toBe(1);
+    expect(record.workingDuration).toBe(20 * ONE_MINUTE_MS);
+    expect(
+      parts.map((part) => [part.id, part.splitOf, part.splitPart, part.balance])
+    ).toEqual([
+      ["1-2", 1, 2, 3],
+      ["1-3", 1, 3, 1],
+    ]);
+    expect(parts[0].workingDuration).toBe(30 * ONE_MINUTE_MS);
+    expect(getRowIds(store, "62-r1")).toEqual([1, "1-2", "1-3", 2]);
+    // The order doesn't move, the orders after it ripple right
+    expect(record.startDate).toEqual(NOW);
+    expect(parts[0].startDate >= record.endDate).toBe(true);
+    expect(store.getById(2).startDate >= parts[1].endDate).toBe(true);
+  });
+
+  it("numbers the parts of an order split again after its existing parts", async () => {
+    const store = await createOrderStore([queuedOrder(1, "0001", null)]);
+    const [part] = store.splitOrder(store.getById(1), [3, 3], 2);
+
+    const [newPart] = store.splitOrder(part, [1, 2], 3);
+
+    // Parts of parts are still parts of the order that was split first
+    expect([newPart.id, newPart.splitOf, newPart.splitPart]).toEqual([
+      "1-3",
+      1,
+      3,
+    ]);
+    expect(getRowIds(store, "62-r1")).toEqual([1, "1-2", "1-3"]);
+    expect(part.balance).toBe(1);
+  });
+});
+
+describe("OrderStore.revertChanges", () => {
+  // The order the orders are unassigned in matters: the orders after the first one are shifted left
+  // before they're unassigned
+  [
+    [2, 3],
+    [3, 2],
+  ].forEach((unassignedIds) => {
+    it(`restores the queue of a row after orders ${unassignedIds} were unassigned`, async () => {
+      const store = await createOrderStore([
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "0001; 01-10625-001"),
+        queuedOrder(3, "0003", "0002; 01-10625-001"),
+        queuedOrder(4, "0004", "0003; 01-10625-001"),
+      ]);
+      // Helper function that returns the start of every order, by id
+      const getStartDates = () =>
+        [1, 2, 3, 4].map((id) => store.getById(id).startDate);
+      const startDates = getStartDates();
+      store.commit();
+
+      for (const id of unassignedIds) {
+        store.remove(store.getById(id));
+        await store.project.commitAsync();
+      }
+      expect(getRowIds(store, "62-r1")).toEqual([1, 4]);
+      expect(store.getById(4).startDate).not.toEqual(startDates[3]);
+
+      store.revertChanges();
+      await store.project.commitAsync();
+
+      expect(getRowIds(store, "62-r1")).toEqual([1, 2, 3, 4]);
+      expect(getStartDates()).toEqual(startDates);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// Oven compatibility of the molds loaded on an arm. Every mold on an arm goes through the same oven
+// cycle, so the orders running on an arm at the same time need the same oven temperature (`temp`)
+// and oven time (`time`), within the tolerances of the oven rule of the machine.
+//
+// Rule shape (see OVEN_RULES in SchedulerConfig.tsx):
+// {
+//   name: "Single oven time",
+//   tempTolerance: 10,   largest difference between the oven temperatures of concurrent molds
+//   timeTolerance: 2,    largest difference between oven times that still count as the same time
+//   maxOvenTimes: 1,     how many different oven times the arm can run at once. Machines with
+// }                      dual_oven_times can pull molds out of the oven at two different times.
+//
+// Like lib/ArmCapacity.js, the helpers work on spans with startDate, endDate and the order data.
+// Orders without a temp or time aren't checked for that setting.
+
+import { getVolumeProfile } from "./ArmCapacity";
+
+// Helper function that groups oven times that are within the tolerance of the first time of the group
+const groupOvenTimes = (times, tolerance) =>
+  times
+    .slice()
+    .sort((a, b) => a - b)
+    .reduce((groups, time) => {
+      const last = groups[groups.length - 1];
+      if (last && time - last[0] <= tolerance) {
+        last.push(time);
+      } else {
+        groups.push([time]);
+      }
+      return groups;
+    }, []);
+
+// Helper function that returns why the orders can't be in the oven together, or null if they can
+const getOvenIncompatibility = (orders, rule) => {
+  const temps = orders
+    .map((order) => order.temp)
+    .filter((temp) => typeof temp === "number");
+  if (
+    temps.length &&
+    Math.max(...temps) - Math.min(...temps) > rule.tempTolerance
+  ) {
+    return `Oven temperatures ${Math.min(...temps)}° and ${Math.max(
+      ...temps
+    )}° are loaded at the same time`;
+  }
+
+  const times = orders
+    .map((order) => order.time)
+    .filter((time) => typeof time === "number");
+  const timeGroups = groupOvenTimes(times, rule.timeTolerance);
+  if (timeGroups.length > rule.maxOvenTimes) {
+    return `${timeGroups.length} oven times (${timeGroups
+      .map((group) => group[0])
+      .join(", ")} min) are loaded at the same time, the machine allows ${
+      rule.maxOvenTimes
+    }`;
+  }
+  return null;
+};
+
+// Helper function that returns the periods where the orders running on the arm can't be in the oven
+// together, along with the reason
+const getOvenConflicts = (spans, rule) =>
+  getVolumeProfile(spans)
+    .map((period) => ({
+      ...period,
+      reason: getOvenIncompatibility(
+        period.spans.map((span) => span.data),
+        rule
+      ),
+    }))
+    .filter((period) => period.reason);
+
+// Helper function that returns why the candidate spans can't be added next to the other spans of
+// the arm, or null if their oven settings are compatible
+const getOvenViolation = (spans, candidates, rule) => {
+  const conflict = getOvenConflicts([...spans, ...candidates], rule).find(
+    (period) => period.spans.some((span) => candidates.includes(span))
+  );
+  return conflict ? conflict.reason : null;
+};
+
+export { getOvenIncompatibility, getOvenConflicts, getOvenViolation };
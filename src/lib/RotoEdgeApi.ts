@@ -0,0 +1,243 @@
+import { mapToOrderModel, getFactoryCalendar, getOvenRule } from "./Util";
+import { scheduleArm } from "./ScheduleEngine";
+
+/****** Global Variables *******/
+
+// Base URL of the RotoEdge API. Defaults to the same origin so requests go through the dev server
+// proxy. Set REACT_APP_ROTOEDGE_API_URL in a .env.local file to point at another server
+// (IE: http://experimental.rotoedgepro.com or a local stand-in server).
+const API_BASE_URL: string = process.env.REACT_APP_ROTOEDGE_API_URL || "";
+
+// Error thrown when a request fails. Holds the status code so the UI can tell a missing
+// resource apart from a server or network error (status is 0 when the server couldn't be reached).
+class ApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+// Helper function that sends a request to the API and parses the JSON response
+const request = async (path: string, options: RequestInit = {}) => {
+  let response: Response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+    });
+  } catch (e) {
+    throw new ApiError(`Unable to reach the RotoEdge API (${path})`, 0);
+  }
+
+  if (!response.ok) {
+    throw new ApiError(
+      `Request to ${path} failed (${response.status} ${response.statusText})`,
+      response.status
+    );
+  }
+
+  // Some endpoints (IE: saving) may not return a body
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+// http://experimental.rotoedgepro.com/api/orders/machine-scheduling/?machines=true
+// Grabs all machines and their arms
+const getMachines = async () => {
+  const response = await request(
+    "/api/orders/machine-scheduling/?machines=true"
+  );
+  return response?.machines || [];
+};
+
+// http://experimental.rotoedgepro.com/api/inventory/machine-display/?machineId=19
+// Contains information about the arms and orders that are currently molding on a machine
+const getMachineDisplay = async (machineId: number) => {
+  const response = await request(
+    `/api/inventory/machine-display/?machineId=${machineId}`
+  );
+  return {
+    arms: response?.arms || [],
+    orders: response?.orders || [],
+  };
+};
+
+// http://experimental.rotoedgepro.com/api/orders/enhanced-loadqueue/?armId=62
+// Orders that have been scheduled to an arm but aren't currently molding
+const getArmLoadQueue = async (armId: number) => {
+  const response = await request(
+    `/api/orders/enhanced-loadqueue/?armId=${armId}`
+  );
+  return response?.objects || [];
+};
+
+// Proposed endpoint: orders that are assigned to the arm but not placed on the scheduler
+const getArmUnscheduledOrders = async (armId: number) => {
+  const response = await request(
+    `/api/orders/unscheduled-orders/?armId=${armId}`
+  );
+  return response?.unscheduled_orders || [];
+};
+
+// Proposed endpoint: counter weights placed in the load queue of an arm
+const getArmCounterWeights = async (armId: number) => {
+  const response = await request(`/api/orders/counter-weights/?armId=${armId}`);
+  return response?.counter_weights || [];
+};
+
+// Proposed endpoint: hard breaks of an arm
+const getArmHardBreaks = async (armId: number) => {
+  const response = await request(`/api/orders/hard-breaks/?armId=${armId}`);
+  return response?.hard_breaks || [];
+};
+
+// Proposed endpoint: maintenance windows of an arm (see lib/Maintenance.js)
+const getArmMaintenanceWindows = async (armId: number) => {
+  const response = await request(
+    `/api/orders/maintenance-windows/?armId=${armId}`
+  );
+  return response?.maintenance_windows || [];
+};
+
+// Saves the modifications built by the scheduler's "Save Changes" button for an arm (see
+// lib/SaveChanges.ts).
+//
+// Proposed API change: the parts of a split order share its work order number, so a `load_after`
+// of "{order}; {item}" can't tell which part an entry loads after. The planner keys every part after
+// the first one with its part number, "{order}/{split_part}; {item}" (IE: "0013420/2; 01-10118-002"),
+// and sends the id of the part in `load_after_id`. The enhanced-loadqueue has to accept and return
+// that format before split orders can be saved (see getLoadKey in lib/Util.ts).
+const saveArmLoadQueue = (armId: number, modifications: any) =>
+  request(`/api/orders/enhanced-loadqueue/?armId=${armId}`, {
+    method: "POST",
+    body: JSON.stringify(modifications),
+  });
+
+// Helper function that splits the machine-display response into its arms and nests the orders that
+// are currently molding under their arm. We add a flag to each order to tell the scheduler the
+// order is currently molding.
+const getMachineArms = async (machine: any) => {
+  const { arms, orders } = await getMachineDisplay(machine.id);
+  return arms.map((arm: any) => ({
+    ...arm,
+    // The arm is scheduled with the working calendar of the machine's factory and the oven rule
+    // of the machine
+    factory_id: machine.factory_id,
+    dual_oven_times: machine.dual_oven_times,
+    orders: orders
+      .map((order: any) => ({ ...order, item_currently_molding: true }))
+      .filter((order: any) => order.arm === arm.id),
+  }));
+};
+
+// Helper function that waits for the list returned by a proposed endpoint. The proposed endpoints
+// may not exist on the server yet, so a 404 resolves to null instead of failing the whole schedule.
+// Other errors are still thrown.
+const orNullIfMissing = (promise: Promise<any[]>) =>
+  promise.catch((e: any) => {
+    if (e instanceof ApiError && e.status === 404) {
+      return null;
+    }
+    throw e;
+  });
+
+// Helper function that describes the data the API couldn't return for one or more arm schedules
+// (see `unavailable` in getArmSchedule). Returns null when nothing is missing.
+const describeUnavailable = (unavailable: string[]) => {
+  const names = unavailable.filter(
+    (name: string, i: number) => unavailable.indexOf(name) === i
+  );
+  if (!names.length) {
+    return null;
+  }
+  const list =
+    names.length > 1
+      ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+      : names[0];
+  return `The API doesn't provide the ${list} yet. The schedule is shown without them.`;
+};
+
+// Loads everything the scheduler needs for one arm and maps it to the models used by the Scheduler
+// component. The unscheduled orders are only loaded when the arm can be edited. The data of the
+// proposed endpoints that aren't available is listed in `unavailable` (see describeUnavailable).
+const getArmSchedule = async (arm: any, { editable = false } = {}) => {
+  const [
+    loadQueue,
+    counterWeights,
+    hardBreaks,
+    maintenanceWindows,
+    unscheduledOrders,
+  ] = await Promise.all([
+    getArmLoadQueue(arm.id),
+    orNullIfMissing(getArmCounterWeights(arm.id)),
+    orNullIfMissing(getArmHardBreaks(arm.id)),
+    orNullIfMissing(getArmMaintenanceWindows(arm.id)),
+    editable
+      ? orNullIfMissing(getArmUnscheduledOrders(arm.id))
+      : Promise.resolve([]),
+  ]);
+  // Data of the proposed endpoints that are missing, by name
+  const proposed: any = {
+    "counter weights": counterWeights,
+    "hard breaks": hardBreaks,
+    "maintenance windows": maintenanceWindows,
+    "unscheduled orders": unscheduledOrders,
+  };
+  const unavailable = Object.keys(proposed).filter(
+    (name: string) => proposed[name] === null
+  );
+  const calendar = getFactoryCalendar(arm.factory_id);
+  const ovenRule = getOvenRule(arm);
+
+  // The orders are placed by the scheduling engine, along with the problems found in the priority
+  // queue (diagnostics)
+  const schedule = scheduleArm(
+    {
+      orders: arm.orders,
+      loadQueue,
+      counterWeights: counterWeights || [],
+      hardBreaks: hardBreaks || [],
+      maintenanceWindows: maintenanceWindows || [],
+    },
+    {
+      calendar,
+      capacity: arm.capacity,
+      ovenRule,
+    }
+  );
+
+  return {
+    orders: schedule.orders,
+    diagnostics: schedule.diagnostics,
+    violations: schedule.violations,
+    hardBreaks: schedule.hardBreaks,
+    maintenanceWindows: schedule.maintenanceWindows,
+    calendar,
+    ovenRule,
+    unscheduledOrders: mapToOrderModel(unscheduledOrders || []),
+    unavailable,
+  };
+};
+
+export {
+  API_BASE_URL,
+  ApiError,
+  getMachines,
+  getMachineDisplay,
+  getMachineArms,
+  getArmLoadQueue,
+  getArmUnscheduledOrders,
+  getArmCounterWeights,
+  getArmHardBreaks,
+  getArmMaintenanceWindows,
+  getArmSchedule,
+  describeUnavailable,
+  saveArmLoadQueue,
+};
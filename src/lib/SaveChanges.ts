@@ -0,0 +1,138 @@
+// Changes of an arm sent by the "Save Changes" button (see saveArmLoadQueue in lib/RotoEdgeApi.ts).
+//
+// The stores of the arm:
+// {
+//   scheduler,         scheduler of the arm. Its event store holds the orders and its time range store
+//                      the hard breaks.
+//   scheduledStore,    orders of the arm (see lib/OrderStore.js)
+//   unassignedStore,   unassigned orders of the arm
+//   maintenanceStore,  maintenance windows of the arm (see lib/MaintenanceStore.js)
+// }
+
+import { getLoadQueueChanges } from "./Util";
+
+// Helper function that sorts ids
+const byId = (a: any, b: any) => `${a}`.localeCompare(`${b}`);
+
+// Helper function that maps a hard break record to what's saved
+const mapHardBreak = (hardBreak: any) => ({
+  id: hardBreak.id,
+  start: hardBreak.startDate,
+  notes: hardBreak.data.notes || null,
+});
+
+// Helper function that maps a maintenance window record to what's saved
+const mapMaintenanceWindow = (maintenanceWindow: any) => ({
+  id: maintenanceWindow.id,
+  name: maintenanceWindow.name,
+  start: maintenanceWindow.startDate,
+  end: maintenanceWindow.endDate,
+  row: maintenanceWindow.rowId,
+  recurrence: maintenanceWindow.recurrence,
+  until: maintenanceWindow.until,
+});
+
+// Helper function that rebuilds the priority queue from the rows and collects everything that needs
+// to be persisted for the arm
+const getArmModifications = (
+  armId: any,
+  { scheduler, scheduledStore, unassignedStore, maintenanceStore }: any
+) => {
+  // Orders dragged to another arm of the machine are saved by that arm. Those dragged back are
+  // still part of this arm.
+  const isTransferred = (ev: any) =>
+    Boolean(ev.arm) && ev.arm !== armId && !scheduledStore.getById(ev.id);
+  const removedEvents = scheduler.eventStore.removed.items.filter(
+    (ev: any) => !isTransferred(ev)
+  );
+
+  return {
+    arm: armId,
+    // Orders and counter weights whose load_after or row changed
+    loadQueue: getLoadQueueChanges(scheduler.eventStore),
+    // Orders that were moved from the scheduler back to the list of unscheduled orders
+    unscheduledOrders: removedEvents
+      .filter((ev: any) => ev.data.type !== "counter_weight")
+      .map((ev: any) => ev.id)
+      .sort(byId),
+    // Counter weights that were removed from the scheduler
+    removedCounterWeights: removedEvents
+      .filter((ev: any) => ev.data.type === "counter_weight")
+      .map((ev: any) => ev.id)
+      .sort(byId),
+    // Orders that were dragged to another arm of the machine
+    transferredOrders: scheduler.eventStore.removed.items
+      .filter(isTransferred)
+      .map((ev: any) => ({ id: ev.id, arm: ev.arm }))
+      .sort((a: any, b: any) => byId(a.id, b.id)),
+    // Orders and counter weights that were locked to a start or unlocked
+    locks: scheduler.eventStore.records
+      .filter((ev: any) => ev.isFieldModified("lockedStartDate"))
+      .map((ev: any) => ({
+        id: ev.id,
+        type: ev.data.type === "counter_weight" ? "counter_weight" : "order",
+        locked_start: ev.lockedStartDate,
+      })),
+    // Orders whose balance was split, and the parts that were split off them. New parts are saved
+    // as new load queue entries of the order they were split from.
+    splits: [...scheduledStore.records, ...unassignedStore.records]
+      .filter(
+        (record: any) =>
+          record.isFieldModified("balance") ||
+          (record.splitOf &&
+            (scheduledStore.added.includes(record) ||
+              unassignedStore.added.includes(record)))
+      )
+      .map((record: any) => ({
+        id: record.id,
+        split_of: record.splitOf || null,
+        split_part: record.splitPart,
+        balance: record.balance,
+      })),
+    maintenanceWindows: {
+      added: maintenanceStore.added.items.map(mapMaintenanceWindow),
+      removed: maintenanceStore.removed.items.map(
+        (maintenanceWindow: any) => maintenanceWindow.id
+      ),
+      modified: maintenanceStore.modified.items.map(mapMaintenanceWindow),
+    },
+    hardBreaks: {
+      added: scheduler.timeRangeStore.added.items.map(mapHardBreak),
+      removed: scheduler.timeRangeStore.removed.items.map(
+        (hardBreak: any) => hardBreak.id
+      ),
+      modified: scheduler.timeRangeStore.modified.items.map(mapHardBreak),
+    },
+  };
+};
+
+// Helper function that syncs the records with what was saved so the next save only includes new
+// changes
+const commitArmModifications = (
+  modifications: any,
+  { scheduler, scheduledStore, unassignedStore, maintenanceStore }: any
+) => {
+  scheduledStore.isRescheduling = true;
+  modifications.loadQueue.forEach((change: any) => {
+    const record = scheduledStore.getById(change.id);
+    if (record) {
+      record.set(
+        {
+          load_after: change.load_after,
+          load_after_id: change.load_after_id,
+          scheduled_resource_id: change.scheduled_resource_id,
+        },
+        null,
+        true
+      );
+    }
+  });
+  scheduledStore.isRescheduling = false;
+  scheduledStore.commit();
+  scheduledStore.resourceStore.commit();
+  unassignedStore.commit();
+  scheduler.timeRangeStore.commit();
+  maintenanceStore.commit();
+};
+
+export { getArmModifications, commitArmModifications };
@@ -0,0 +1,333 @@
+// What-if scenarios of a machine schedule. A scenario is a named copy of the schedule of every arm
+// of the machine (the rows, scheduled orders, unassigned orders, hard breaks and maintenance
+// windows) that planners can edit freely without touching the working schedule. One of them can
+// then be promoted to become the working schedule, which is what "Save Changes" persists.
+//
+// Only one schedule is shown at a time. The stores of each arm always hold the schedule that is shown
+// and every other schedule is kept as a snapshot. Switching to another scenario snapshots the stores
+// and restores the snapshot of that scenario into them. Restoring changes the records in place, so
+// the change tracking of the stores (what "Save Changes" sends) is always relative to the saved
+// schedule.
+
+import { countLateOrders } from "./Lateness";
+import { getChangeover } from "./Changeover";
+import { CHANGEOVER_RULES } from "./SchedulerConfig";
+
+// Id of the working schedule. It's always there and can't be deleted.
+const WORKING_SCENARIO = "working";
+
+// Helper function that returns the data needed to restore an event record
+const toSnapshotRecord = (record) => ({
+  ...record.data,
+  id: record.id,
+  resourceId: record.resourceId,
+  startDate: record.startDate,
+  duration: record.duration,
+});
+
+// Helper function that copies the schedule held by the stores of an arm
+const takeSnapshot = ({
+  scheduledStore,
+  unassignedStore,
+  hardBreakStore,
+  maintenanceStore,
+  rowStore,
+}) => ({
+  rows: rowStore.records.map((row) => row.id),
+  orders: scheduledStore.records.map(toSnapshotRecord),
+  unassigned: unassignedStore.records.map(toSnapshotRecord),
+  hardBreaks: hardBreakStore.records.map((hardBreak) => ({
+    ...hardBreak.data,
+    id: hardBreak.id,
+    startDate: hardBreak.startDate,
+  })),
+  maintenanceWindows: maintenanceStore.records.map((maintenanceWindow) => ({
+    ...maintenanceWindow.data,
+    id: maintenanceWindow.id,
+  })),
+});
+
+// Helper function that makes a store hold the records of a snapshot. Records that are still there
+// are updated in place.
+const restoreRecords = (store, snapshotRecords) => {
+  const ids = snapshotRecords.map((data) => data.id);
+  store.remove(store.records.filter((record) => !ids.includes(record.id)));
+  snapshotRecords.forEach(({ id, ...data }) => {
+    const record = store.getById(id);
+    if (record) {
+      record.set(data);
+    } else {
+      store.add({ id, ...data });
+    }
+  });
+};
+
+// Helper function that makes a store hold the records of a snapshot. Records that are in the other
+// store are moved over, so an order keeps its record when it's scheduled in one scenario and
+// unassigned in another. Records of orders that only exist in other scenarios (IE: split parts) are
+// removed.
+const moveRecords = (
+  store,
+  otherStore,
+  snapshotRecords,
+  otherSnapshotRecords
+) => {
+  const ids = snapshotRecords.map((data) => data.id);
+  const otherIds = otherSnapshotRecords.map((data) => data.id);
+  store.remove(
+    store.records.filter(
+      (record) => !ids.includes(record.id) && !otherIds.includes(record.id)
+    )
+  );
+  const moved = otherStore.records.filter((record) => ids.includes(record.id));
+  otherStore.remove(moved);
+  const missing = snapshotRecords.filter(
+    (data) =>
+      !store.getById(data.id) && !moved.some((record) => record.id === data.id)
+  );
+  store.add([...moved, ...missing]);
+};
+
+// Helper function that restores a snapshot into the stores of an arm
+const restoreSnapshot = (stores, snapshot) => {
+  const {
+    scheduledStore,
+    unassignedStore,
+    hardBreakStore,
+    maintenanceStore,
+    rowStore,
+  } = stores;
+
+  // Hard breaks and maintenance windows go first. Changing them reflows the rows, which the orders
+  // below override.
+  restoreRecords(hardBreakStore, snapshot.hardBreaks);
+  restoreRecords(maintenanceStore, snapshot.maintenanceWindows);
+
+  rowStore.add(
+    snapshot.rows
+      .filter((rowId) => !rowStore.getById(rowId))
+      .map((rowId) => ({ id: rowId }))
+  );
+
+  moveRecords(
+    unassignedStore,
+    scheduledStore,
+    snapshot.unassigned,
+    snapshot.orders
+  );
+  moveRecords(
+    scheduledStore,
+    unassignedStore,
+    snapshot.orders,
+    snapshot.unassigned
+  );
+
+  // The records are set to their snapshot without rescheduling, since the snapshot was already
+  // scheduled
+  scheduledStore.isRescheduling = true;
+  scheduledStore.beginBatch();
+  snapshot.orders.forEach(({ id, ...data }) =>
+    scheduledStore.getById(id).set(data)
+  );
+  scheduledStore.endBatch();
+  scheduledStore.isRescheduling = false;
+  snapshot.unassigned.forEach(({ id, ...data }) =>
+    unassignedStore.getById(id).set(data)
+  );
+
+  rowStore.remove(
+    rowStore.records.filter((row) => !snapshot.rows.includes(row.id))
+  );
+};
+
+// Helper function that returns the KPIs of the schedule of an arm:
+//   lateOrders: orders that end after their ship date
+//   idleHours: working hours the rows sit empty between now and the end of their last order. The
+//              changeover between two orders isn't idle time.
+//   changeovers: consecutive orders of a row that need a changeover (mold, colour or temperature)
+const getScheduleKpis = (snapshot, calendar, currentDate) => {
+  const orders = snapshot.orders.map((order) => ({
+    ...order,
+    endDate: new Date(order.startDate.getTime() + order.duration),
+  }));
+  let idleMs = 0;
+  let changeovers = 0;
+  snapshot.rows.forEach((rowId) => {
+    let previous = null;
+    orders
+      .filter((order) => order.resourceId === rowId)
+      .sort((a, b) => a.startDate - b.startDate)
+      .forEach((order) => {
+        const changeover = getChangeover(previous, order, CHANGEOVER_RULES);
+        if (changeover.reasons.length) {
+          changeovers++;
+        }
+        const idleStart = previous ? previous.endDate : currentDate;
+        if (order.startDate > idleStart) {
+          idleMs += Math.max(
+            0,
+            calendar.calculateDurationMs(idleStart, order.startDate) -
+              changeover.minutes * 60000
+          );
+        }
+        if (!previous || order.endDate > previous.endDate) {
+          previous = order;
+        }
+      });
+  });
+  return {
+    lateOrders: countLateOrders(
+      orders.filter((order) => order.type !== "counter_weight")
+    ),
+    idleHours: idleMs / 3600000,
+    changeovers,
+  };
+};
+
+// Scenarios of a machine. The scheduler of every arm registers its stores when it's rendered. Arms
+// that register while scenarios exist start with a copy of their schedule in every scenario.
+export default class ScenarioManager {
+  // Scenarios as { id, name }. The working schedule isn't part of the list.
+  scenarios = [];
+
+  // Id of the schedule the stores hold
+  activeScenarioId = WORKING_SCENARIO;
+
+  // Registered arms by id, as { stores, snapshots } where snapshots are by scenario id
+  arms = {};
+
+  listeners = [];
+
+  scenarioCount = 0;
+
+  // KPIs by scenario id (see getKpis). They're only computed again once their schedule changes.
+  kpis = {};
+
+  // Registers the stores of an arm (scheduledStore, unassignedStore, hardBreakStore, maintenanceStore
+  // and rowStore). Returns a function that unregisters them.
+  register(armId, stores) {
+    const snapshots = {};
+    [WORKING_SCENARIO, ...this.scenarios.map((scenario) => scenario.id)]
+      .filter((id) => id !== this.activeScenarioId)
+      .forEach((id) => (snapshots[id] = takeSnapshot(stores)));
+    this.arms[armId] = { stores, snapshots };
+    // The KPIs of the schedule that is shown change with it. The other scenarios keep theirs.
+    const detach = stores.scheduledStore.on({
+      change: () => {
+        delete this.kpis[this.activeScenarioId];
+        this.callListeners();
+      },
+    });
+    this.notify();
+    return () => {
+      detach();
+      delete this.arms[armId];
+      this.notify();
+    };
+  }
+
+  // Returns a function that removes the listener. Listeners are called every time the scenarios or
+  // the schedule that is shown change.
+  on(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+    };
+  }
+
+  // Called when the scenarios change. The KPIs of every scenario are computed again.
+  notify() {
+    this.kpis = {};
+    this.callListeners();
+  }
+
+  callListeners() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  // Returns the stores an arm registered, or null when the arm isn't part of the machine. Orders can
+  // be dragged between the arms of the machine (see Scheduler.tsx).
+  getArmStores(armId) {
+    const arm = this.arms[armId];
+    return arm ? arm.stores : null;
+  }
+
+  forEachArm(fn) {
+    Object.keys(this.arms).forEach((armId) => fn(this.arms[armId]));
+  }
+
+  // Creates a scenario from the schedule that is shown and switches to it. Returns its id.
+  branch(name) {
+    this.scenarioCount++;
+    const id = `scenario-${this.scenarioCount}`;
+    this.forEachArm(({ stores, snapshots }) => {
+      snapshots[id] = takeSnapshot(stores);
+    });
+    this.scenarios = [
+      ...this.scenarios,
+      { id, name: name || `Scenario ${this.scenarioCount}` },
+    ];
+    this.switchTo(id);
+    return id;
+  }
+
+  // Shows another scenario (or the working schedule)
+  switchTo(id) {
+    if (id === this.activeScenarioId) {
+      return;
+    }
+    this.forEachArm(({ stores, snapshots }) => {
+      snapshots[this.activeScenarioId] = takeSnapshot(stores);
+      restoreSnapshot(stores, snapshots[id]);
+      delete snapshots[id];
+    });
+    this.activeScenarioId = id;
+    this.notify();
+  }
+
+  // Makes a scenario the working schedule. The previous working schedule is discarded.
+  promote(id) {
+    this.switchTo(id);
+    this.forEachArm(({ snapshots }) => delete snapshots[WORKING_SCENARIO]);
+    this.scenarios = this.scenarios.filter((scenario) => scenario.id !== id);
+    this.activeScenarioId = WORKING_SCENARIO;
+    this.notify();
+  }
+
+  // Deletes a scenario. The working schedule is shown if it was the scenario shown.
+  remove(id) {
+    if (id === WORKING_SCENARIO) {
+      return;
+    }
+    this.switchTo(
+      id === this.activeScenarioId ? WORKING_SCENARIO : this.activeScenarioId
+    );
+    this.forEachArm(({ snapshots }) => delete snapshots[id]);
+    this.scenarios = this.scenarios.filter((scenario) => scenario.id !== id);
+    this.notify();
+  }
+
+  // Returns the KPIs of a scenario, summed across the registered arms (see getScheduleKpis)
+  getKpis(id) {
+    if (!this.kpis[id]) {
+      this.kpis[id] = this.computeKpis(id);
+    }
+    return this.kpis[id];
+  }
+
+  computeKpis(id) {
+    const kpis = { lateOrders: 0, idleHours: 0, changeovers: 0 };
+    this.forEachArm(({ stores, snapshots }) => {
+      const { scheduledStore } = stores;
+      const armKpis = getScheduleKpis(
+        id === this.activeScenarioId ? takeSnapshot(stores) : snapshots[id],
+        scheduledStore.calendar,
+        scheduledStore.currentDate
+      );
+      Object.keys(kpis).forEach((key) => (kpis[key] += armKpis[key]));
+    });
+    return kpis;
+  }
+}
+
+export { WORKING_SCENARIO, takeSnapshot, restoreSnapshot, getScheduleKpis };
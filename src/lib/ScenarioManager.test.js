@@ -0,0 +1,148 @@
+import { ProjectModel, ResourceStore } from "@bryntum/scheduler";
+import ScenarioManager, { WORKING_SCENARIO } from "./ScenarioManager";
+import OrderStore from "./OrderStore";
+import UnassignedStore from "./UnassignedStore";
+import HardBreakStore from "./HardBreakStore";
+import MaintenanceStore from "./MaintenanceStore";
+import {
+  getOrdersWithStartDates,
+  mapToOrderModel,
+  normalizeOrder,
+} from "./Util";
+import createWorkingCalendar from "./WorkingCalendar";
+
+// Monday 8:00 AM
+const NOW = new Date(2021, 8, 20, 8);
+
+// Helper function that returns the date the passed hours after NOW
+const hoursAfterNow = (hours) => new Date(NOW.getTime() + hours * 3600000);
+
+// Helper function that returns an order of the load queue (enhanced-loadqueue) taking an hour to mold
+const queuedOrder = (id, order, loadAfter, fields = {}) => ({
+  id,
+  order,
+  load_after: loadAfter,
+  item: "01-10625-001",
+  description: "Hotsy Tank 8.757-693.0 - XLBLA",
+  balance: 6,
+  takt: 10,
+  ship_date: "Sep 30, 2021",
+  scheduled_resource_id: "62-r1",
+  ...fields,
+});
+
+// Helper function that returns the stores of arm 62, as registered by its scheduler
+const createArmStores = async () => {
+  const { orders } = getOrdersWithStartDates(
+    mapToOrderModel(
+      [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "0001; 01-10625-001"),
+      ].map((order) => normalizeOrder(order))
+    ),
+    [],
+    createWorkingCalendar(),
+    [],
+    NOW
+  );
+  const scheduledStore = new OrderStore({ data: orders });
+  scheduledStore.currentDate = NOW;
+  const rowStore = new ResourceStore({ data: [{ id: "62-r1" }] });
+  const project = new ProjectModel({
+    eventStore: scheduledStore,
+    resourceStore: rowStore,
+  });
+  await project.commitAsync();
+  return {
+    scheduledStore,
+    unassignedStore: new UnassignedStore({
+      data: mapToOrderModel([normalizeOrder(queuedOrder(3, "0003", null))]),
+    }),
+    hardBreakStore: new HardBreakStore({
+      data: [{ id: 123, startDate: hoursAfterNow(24), name: "Hard Break" }],
+    }),
+    maintenanceStore: new MaintenanceStore({
+      data: [
+        {
+          id: 1,
+          name: "Mold inspection",
+          startDate: hoursAfterNow(48),
+          endDate: hoursAfterNow(50),
+        },
+      ],
+    }),
+    rowStore,
+  };
+};
+
+// Helper function that returns the ids of the records of a store
+const getIds = (store) => store.records.map((record) => record.id);
+
+describe("ScenarioManager", () => {
+  it("keeps the working schedule while a scenario is edited", async () => {
+    const stores = await createArmStores();
+    const manager = new ScenarioManager();
+    manager.register(62, stores);
+
+    manager.branch("Rush");
+    stores.unassignedStore.add(stores.scheduledStore.getById(2));
+    stores.scheduledStore.remove(stores.scheduledStore.getById(2));
+    stores.hardBreakStore.remove(stores.hardBreakStore.getById(123));
+    stores.maintenanceStore.getById(1).set({ name: "Mold cleaning" });
+    stores.maintenanceStore.add({
+      id: 2,
+      name: "Belt change",
+      startDate: hoursAfterNow(72),
+      endDate: hoursAfterNow(73),
+    });
+
+    manager.switchTo(WORKING_SCENARIO);
+
+    expect(getIds(stores.scheduledStore)).toEqual([1, 2]);
+    expect(getIds(stores.unassignedStore)).toEqual([3]);
+    expect(getIds(stores.hardBreakStore)).toEqual([123]);
+    expect(getIds(stores.maintenanceStore)).toEqual([1]);
+    expect(stores.maintenanceStore.getById(1).name).toBe("Mold inspection");
+
+    manager.switchTo(manager.scenarios[0].id);
+
+    expect(getIds(stores.scheduledStore)).toEqual([1]);
+    expect(getIds(stores.hardBreakStore)).toEqual([]);
+    expect(getIds(stores.maintenanceStore)).toEqual([1, 2]);
+    expect(stores.maintenanceStore.getById(1).name).toBe("Mold cleaning");
+  });
+
+  it("makes a promoted scenario the working schedule", async () => {
+    const stores = await createArmStores();
+    const manager = new ScenarioManager();
+    manager.register(62, stores);
+    const id = manager.branch("Rush");
+    stores.maintenanceStore.removeAll();
+
+    manager.promote(id);
+
+    expect(manager.activeScenarioId).toBe(WORKING_SCENARIO);
+    expect(manager.scenarios).toEqual([]);
+    expect(getIds(stores.maintenanceStore)).toEqual([]);
+  });
+
+  it("only computes the KPIs of a scenario again once its schedule changes", async () => {
+    const stores = await createArmStores();
+    const manager = new ScenarioManager();
+    manager.register(62, stores);
+    const id = manager.branch("Rush");
+    const workingKpis = manager.getKpis(WORKING_SCENARIO);
+    const kpis = manager.getKpis(id);
+
+    expect(manager.getKpis(id)).toBe(kpis);
+    expect(kpis).toEqual({ lateOrders: 0, idleHours: 0, changeovers: 0 });
+
+    // The stores of a project fire their changes once the project propagated them
+    stores.scheduledStore.getById(2).set({ item: "01-10440-001" });
+    await stores.scheduledStore.project.commitAsync();
+
+    expect(manager.getKpis(id)).not.toBe(kpis);
+    expect(manager.getKpis(id).changeovers).toBe(1);
+    expect(manager.getKpis(WORKING_SCENARIO)).toBe(workingKpis);
+  });
+});
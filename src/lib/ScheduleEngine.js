@@ -0,0 +1,205 @@
+// Scheduling engine of an arm, independent of the Bryntum Scheduler widgets and React. Given the load
+// queue of an arm, its hard breaks and the working calendar of its factory, it returns when every order
+// runs and what is wrong with the schedule. The Scheduler component loads arms through it (see
+// getArmSchedule in RotoEdgeApi.ts) and the OrderStore checks the orders being edited with it, so
+// the rules are the same everywhere. It only works on plain objects, so it can also be run in Node to
+// validate schedules in batch.
+//
+// scheduleArm(input, options) takes the data as returned by the RotoEdge API:
+// {
+//   orders: [],              orders that are currently molding on the arm (machine-display)
+//   loadQueue: [],           orders queued on the arm (enhanced-loadqueue)
+//   counterWeights: [],      counter weights queued on the arm
+//   hardBreaks: [],          hard breaks of the arm
+//   maintenanceWindows: [],  maintenance windows of the arm (see lib/Maintenance.js)
+// }
+// and the rules of the arm:
+// {
+//   calendar,                working calendar of the factory (see getFactoryCalendar in Util.ts)
+//   capacity: Infinity,      volume capacity of the arm (see lib/ArmCapacity.js)
+//   ovenRule: null,          oven rule of the machine (see lib/OvenCompatibility.js)
+//   now: new Date(),         date the queue starts at
+// }
+//
+// It returns the placed orders (mapped with mapToOrderModel, see Util.ts), the problems found in the
+// load_after chains (diagnostics, see getOrdersWithStartDates), the mapped hard breaks and
+// maintenance windows, and the violations of the schedule:
+// {
+//   type: "late" | "capacity" | "oven" | "lock" | "hardBreak",
+//   orderIds: [],            orders breaking the rule
+//   resourceId,              row of the order, when the violation is about a single order
+//   startDate, endDate,      when the rule is broken
+//   message,
+// }
+
+import {
+  mapToOrderModel,
+  normalizeOrder,
+  mapToCounterWeightModel,
+  mapToHardBreakModel,
+  mapToMaintenanceModel,
+  getOrdersWithStartDates,
+  getOrderLabel,
+} from "./Util";
+import { toVolumeSpan, getCapacityOverloads } from "./ArmCapacity";
+import { getOvenConflicts } from "./OvenCompatibility";
+import { getLateness, isLate, formatLateness } from "./Lateness";
+import createWorkingCalendar from "./WorkingCalendar";
+import { hasValidDates } from "./Maintenance";
+
+// Helper function that returns the conflicts of every order of an arm, keyed by order id, as
+// { capacityConflict, ovenConflict, lateness }. Orders conflict on capacity when they run while the
+// volume in use goes over the capacity of the arm and on oven settings when they're in the oven with
+// orders of incompatible oven settings (the reason is returned). Works with order records as well.
+const getOrderConflicts = (
+  orders,
+  { capacity = Infinity, ovenRule = null } = {}
+) => {
+  const spans = orders.map((order) => toVolumeSpan(order));
+  const conflicts = {};
+  spans.forEach((span) => {
+    conflicts[span.id] = {
+      capacityConflict: false,
+      ovenConflict: null,
+      lateness: getLateness(span.order.shipDate, span.endDate),
+    };
+  });
+  getCapacityOverloads(spans, capacity).forEach((overload) =>
+    overload.spans.forEach((span) => {
+      conflicts[span.id].capacityConflict = true;
+    })
+  );
+  if (ovenRule) {
+    getOvenConflicts(spans, ovenRule).forEach((conflict) =>
+      conflict.spans.forEach((span) => {
+        conflicts[span.id].ovenConflict =
+          conflicts[span.id].ovenConflict || conflict.reason;
+      })
+    );
+  }
+  return conflicts;
+};
+
+// Helper function that lists everything wrong with the placed orders of an arm (see the top of the
+// file for the shape of a violation)
+const getScheduleViolations = (orders, rules = {}) => {
+  const spans = orders.map((order) => toVolumeSpan(order));
+  const violations = [];
+
+  spans.forEach(({ order, data, startDate, endDate }) => {
+    const label = getOrderLabel(data);
+    const single = {
+      orderIds: [order.id],
+      resourceId: order.resourceId,
+      startDate,
+      endDate,
+    };
+    const lateness = getLateness(order.shipDate, endDate);
+    if (isLate(lateness)) {
+      violations.push({
+        type: "late",
+        ...single,
+        lateness,
+        message: `${label} ends ${formatLateness(
+          lateness
+        )} after its ship date`,
+      });
+    }
+    if (order.lockConflict) {
+      violations.push({
+        type: "lock",
+        ...single,
+        message: `${label}: ${order.lockConflict}`,
+      });
+    }
+    if (order.hardBreakConflict) {
+      violations.push({
+        type: "hardBreak",
+        ...single,
+        message: `${label} runs across a hard break`,
+      });
+    }
+  });
+
+  if (rules.capacity !== undefined && rules.capacity !== Infinity) {
+    getCapacityOverloads(spans, rules.capacity).forEach((overload) =>
+      violations.push({
+        type: "capacity",
+        orderIds: overload.spans.map((span) => span.id),
+        startDate: overload.startDate,
+        endDate: overload.endDate,
+        peakVolume: overload.peakVolume,
+        message: `The arm holds ${overload.peakVolume} of its ${rules.capacity} volume`,
+      })
+    );
+  }
+  if (rules.ovenRule) {
+    getOvenConflicts(spans, rules.ovenRule).forEach((conflict) =>
+      violations.push({
+        type: "oven",
+        orderIds: conflict.spans.map((span) => span.id),
+        startDate: conflict.startDate,
+        endDate: conflict.endDate,
+        message: conflict.reason,
+      })
+    );
+  }
+  return violations;
+};
+
+// Places the load queue of an arm and checks the result against the rules of the arm (see the top of
+// the file for the input and the result)
+const scheduleArm = (
+  {
+    orders = [],
+    loadQueue = [],
+    counterWeights = [],
+    hardBreaks = [],
+    maintenanceWindows = [],
+  },
+  {
+    calendar = createWorkingCalendar(),
+    capacity = Infinity,
+    ovenRule = null,
+    now = new Date(),
+  } = {}
+) => {
+  // The schema for orders that are molding vs those that are scheduled is different so we
+  // normalize them before mapping them to the model required by the Scheduler component
+  const allOrders = mapToOrderModel([
+    ...orders.map((order) => ({ ...order, item_currently_molding: true })),
+    ...loadQueue.map((order) => normalizeOrder(order)),
+  ]);
+  const armHardBreaks = hardBreaks.map((hardBreak) =>
+    mapToHardBreakModel(hardBreak)
+  );
+  // Windows with dates that can't be parsed are left out
+  const armMaintenanceWindows = maintenanceWindows
+    .map((maintenanceWindow) => mapToMaintenanceModel(maintenanceWindow))
+    .filter(hasValidDates);
+
+  // We grab their start dates based off the priority queue of "load-after" fields. Problems found in
+  // the priority queue are returned as diagnostics.
+  const placed = getOrdersWithStartDates(
+    [
+      ...allOrders,
+      ...counterWeights.map((counterWeight) =>
+        mapToCounterWeightModel(counterWeight)
+      ),
+    ],
+    armHardBreaks.map((hardBreak) => hardBreak.startDate),
+    calendar,
+    armMaintenanceWindows,
+    now
+  );
+
+  return {
+    orders: placed.orders,
+    diagnostics: placed.diagnostics,
+    hardBreaks: armHardBreaks,
+    maintenanceWindows: armMaintenanceWindows,
+    violations: getScheduleViolations(placed.orders, { capacity, ovenRule }),
+  };
+};
+
+export { scheduleArm, getScheduleViolations, getOrderConflicts };
@@ -0,0 +1,174 @@
+import { scheduleArm } from "./ScheduleEngine";
+import createWorkingCalendar from "./WorkingCalendar";
+import { OVEN_RULES } from "./SchedulerConfig";
+
+const ONE_MINUTE_MS = 60 * 1000;
+
+// Monday 8:00 AM
+const NOW = new Date(2021, 8, 20, 8);
+
+// Helper function that returns the date the passed minutes after NOW
+const minutesAfterNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * ONE_MINUTE_MS);
+
+// Helper function that returns an order of the load queue (enhanced-loadqueue) taking an hour to mold
+const queuedOrder = (id, order, loadAfter, fields = {}) => ({
+  id,
+  order,
+  load_after: loadAfter,
+  item: "01-10625-001",
+  description: "Hotsy Tank 8.757-693.0 - XLBLA",
+  balance: 6,
+  takt: 10,
+  ship_date: "Dec 31, 2021",
+  volume: "20'",
+  temp: 550,
+  time: 21,
+  scheduled_resource_id: "62-r1",
+  ...fields,
+});
+
+// Helper function that returns the placed order of an id
+const findOrder = (result, id) =>
+  result.orders.find((order) => order.id === id);
+
+const schedule = (input, options = {}) =>
+  scheduleArm(input, {
+    calendar: createWorkingCalendar(),
+    now: NOW,
+    ...options,
+  });
+
+describe("scheduleArm", () => {
+  it("starts every order when the order it loads after ends and the changeover is done", () => {
+    const result = schedule({
+      loadQueue: [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "0001; 01-10625-001"),
+        queuedOrder(3, "0003", "0002; 01-10625-001"),
+      ],
+    });
+
+    // The orders are of the same item, colour and oven temperature, so only the default
+    // changeover (10 minutes) is needed between them
+    expect(findOrder(result, 1).startDate).toEqual(NOW);
+    expect(findOrder(result, 2).startDate).toEqual(minutesAfterNow(70));
+    expect(findOrder(result, 3).startDate).toEqual(minutesAfterNow(140));
+    expect(findOrder(result, 3).duration).toBe(60 * ONE_MINUTE_MS);
+    expect(result.diagnostics).toEqual([]);
+    expect(result.violations).toEqual([]);
+  });
+
+  it("stretches orders across the non-working time of the calendar", () => {
+    const calendar = createWorkingCalendar({
+      workingDays: [1, 2, 3, 4, 5],
+      shifts: [{ name: "Day", startHour: 6, endHour: 14 }],
+    });
+    const result = schedule(
+      { loadQueue: [queuedOrder(1, "0001", null, { balance: 42 })] },
+      { calendar, now: new Date(2021, 8, 20, 12) }
+    );
+
+    // 7 hours of working time: 2 hours on Monday and 5 on Tuesday
+    const order = findOrder(result, 1);
+    expect(order.startDate).toEqual(new Date(2021, 8, 20, 12));
+    expect(new Date(order.startDate.getTime() + order.duration)).toEqual(
+      new Date(2021, 8, 21, 11)
+    );
+  });
+
+  it("starts orders after the hard breaks they would run across", () => {
+    const result = schedule({
+      loadQueue: [queuedOrder(1, "0001", null)],
+      hardBreaks: [{ id: 1, start: minutesAfterNow(30).toISOString() }],
+    });
+
+    expect(findOrder(result, 1).startDate).toEqual(minutesAfterNow(30));
+    expect(findOrder(result, 1).hardBreakConflict).toBe(false);
+    expect(result.hardBreaks[0].startDate).toEqual(minutesAfterNow(30));
+  });
+
+  it("starts orders once the maintenance windows of their row are over", () => {
+    const result = schedule({
+      loadQueue: [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", null, { scheduled_resource_id: "62-r2" }),
+      ],
+      maintenanceWindows: [
+        {
+          id: 1,
+          name: "Mold cleaning",
+          row: "62-r1",
+          start: NOW.toISOString(),
+          end: minutesAfterNow(120).toISOString(),
+        },
+        // Windows with dates that can't be parsed are left out
+        { id: 2, name: "Typo", start: "not a date", end: "not a date" },
+      ],
+    });
+
+    expect(findOrder(result, 1).startDate).toEqual(minutesAfterNow(120));
+    expect(findOrder(result, 2).startDate).toEqual(NOW);
+    expect(result.maintenanceWindows.map((window) => window.id)).toEqual([1]);
+  });
+
+  it("keeps locked orders at their start and flows the rest of the row around them", () => {
+    const result = schedule({
+      loadQueue: [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "0001; 01-10625-001", {
+          locked_start: minutesAfterNow(30).toISOString(),
+        }),
+      ],
+    });
+
+    expect(findOrder(result, 2).startDate).toEqual(minutesAfterNow(30));
+    expect(findOrder(result, 2).lockConflict).toBe(null);
+    expect(findOrder(result, 1).startDate).toEqual(minutesAfterNow(100));
+  });
+
+  it("reports late, lock, capacity and oven violations", () => {
+    const result = schedule(
+      {
+        loadQueue: [
+          queuedOrder(1, "0001", null, { ship_date: "Sep 19, 2021" }),
+          queuedOrder(2, "0002", null, {
+            scheduled_resource_id: "62-r2",
+            locked_start: minutesAfterNow(-30).toISOString(),
+          }),
+          queuedOrder(3, "0003", null, {
+            scheduled_resource_id: "62-r3",
+            temp: 600,
+          }),
+        ],
+      },
+      { capacity: 50, ovenRule: OVEN_RULES.default }
+    );
+
+    const getViolations = (type) =>
+      result.violations.filter((violation) => violation.type === type);
+    expect(getViolations("late").map((v) => v.orderIds)).toEqual([[1]]);
+    expect(getViolations("lock")).toHaveLength(1);
+    expect(getViolations("lock")[0].message).toBe(
+      "WO: 0002: Locked to start before now"
+    );
+    expect(getViolations("capacity")[0].peakVolume).toBe(60);
+    expect(getViolations("oven")[0].orderIds).toEqual(
+      expect.arrayContaining([1, 3])
+    );
+  });
+
+  it("doesn't plot the orders of broken load_after chains and reports them", () => {
+    const result = schedule({
+      loadQueue: [
+        queuedOrder(1, "0001", null),
+        queuedOrder(2, "0002", "9999; 01-10625-001"),
+      ],
+    });
+
+    expect(result.orders.map((order) => order.id)).toEqual([1]);
+    expect(result.diagnostics.map((diagnostic) => diagnostic.type)).toEqual([
+      "danglingLoadAfter",
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+// Undo / redo history of an arm, built on the StateTrackingManager of the scheduler project (see
+// bryntumLib/Core/data/stm). It tracks the scheduled orders, the unassigned orders, the rows, the hard
+// breaks and the maintenance windows of the arm, so undoing a drag, an unassign or a hard break edit
+// puts every order back where it was and the queue of every row is restored exactly.
+//
+// Every action of the planner is one transaction. Actions of the scheduler itself (dragging orders,
+// dragging orders in from the unassigned list) are recorded automatically and end once the stores
+// are quiet. Other actions are recorded with record(), so everything they change (including the
+// rows rippling) is undone at once.
+//
+// The order store doesn't reschedule while a transaction is undone or redone, since the rows are
+// restored along with the orders (see OrderStore.isRestoring). Moving orders to another arm of the
+// machine clears the history of both arms (see resetStore), once the planner agreed to it (see
+// beforeEventDropFinalize in lib/EventDrop.ts).
+
+// Helper function that returns the store an action of a transaction changed
+const getActionStore = (action) =>
+  action.store || (action.model && action.model.firstStore);
+
+export default class ScheduleHistory {
+  listeners = [];
+
+  // Whether the function of an action is running (see record)
+  isRecordingAction = false;
+
+  // schedulerInstance: the Bryntum Scheduler of the arm. Its project holds the manager.
+  // stores: { scheduledStore, unassignedStore, hardBreakStore, maintenanceStore, rangeStore }
+  constructor(schedulerInstance, stores) {
+    const { stm } = schedulerInstance.project;
+    this.project = schedulerInstance.project;
+    this.stm = stm;
+    this.stores = stores;
+
+    // The unassigned orders and the maintenance windows aren't part of the project. The row ranges
+    // (changeovers, ghost bars) are rebuilt by the order store, so they aren't tracked.
+    [stores.unassignedStore, stores.maintenanceStore].forEach((store) => {
+      if (store && !stm.hasStore(store)) {
+        stm.addStore(store);
+      }
+    });
+    if (stores.rangeStore && stm.hasStore(stores.rangeStore)) {
+      stm.removeStore(stores.rangeStore);
+    }
+    // Records loaded before their store was tracked don't know the manager, so their changes
+    // wouldn't be recorded
+    stm.forEachStore((store) =>
+      store.forEach((record) => {
+        if (!record.stm) {
+          record.stm = stm;
+        }
+      })
+    );
+
+    stm.autoRecord = true;
+    stm.getTransactionTitle = (transaction) =>
+      this.getTransactionTitle(transaction);
+    this.detachers = [
+      stm.on({
+        recordingStop: () => this.notify(),
+        queueReset: () => this.notify(),
+      }),
+      // The project propagates the restored changes before the manager is enabled again
+      this.project.on({ stateRestoringDone: () => this.notify() }),
+    ];
+    stm.enable();
+    stm.resetQueue();
+  }
+
+  // Names a transaction recorded automatically, from the stores it changed
+  getTransactionTitle(transaction) {
+    const { unassignedStore, hardBreakStore, maintenanceStore } = this.stores;
+    const actions = transaction.queue;
+    const changed = (store, types) =>
+      actions.some(
+        (action) =>
+          getActionStore(action) === store &&
+          (!types || types.includes(action.type))
+      );
+    if (changed(unassignedStore, ["AddAction", "InsertAction"])) {
+      return "Unassign orders";
+    }
+    if (changed(unassignedStore, ["RemoveAction", "RemoveAllAction"])) {
+      return "Schedule orders";
+    }
+    if (changed(hardBreakStore)) {
+      return "Edit hard breaks";
+    }
+    if (changed(maintenanceStore)) {
+      return "Edit maintenance windows";
+    }
+    return "Move orders";
+  }
+
+  // Records everything fn changes as one transaction, named title. The transaction ends once the
+  // project is done propagating the changes. State kept outside of the stores (IE: the list of queue
+  // problems) can be restored along with the transaction by an action ({ undo, redo }).
+  async record(title, fn, action = null) {
+    const { stm } = this;
+    // Actions done as part of another action (IE: unassigning the duplicates of a queue problem) are
+    // part of its transaction
+    if (stm.disabled || this.isRecordingAction) {
+      fn();
+      return;
+    }
+    // Changes still being recorded belong to the previous action
+    if (stm.isRecording) {
+      stm.stopTransaction();
+    }
+    stm.startTransaction(title);
+    const { transaction } = stm;
+    this.isRecordingAction = true;
+    try {
+      fn();
+      if (action) {
+        transaction.addAction(action);
+      }
+    } finally {
+      this.isRecordingAction = false;
+      await this.project.commitAsync();
+      if (stm.transaction === transaction) {
+        stm.stopTransaction(title);
+      }
+    }
+  }
+
+  async undo() {
+    this.stopRecording();
+    if (this.stm.canUndo) {
+      await this.restore(() => this.stm.undo());
+    }
+  }
+
+  async redo() {
+    this.stopRecording();
+    if (this.stm.canRedo) {
+      await this.restore(() => this.stm.redo());
+    }
+  }
+
+  // Undoes every transaction, back to the schedule as it was loaded or last saved
+  async undoAll() {
+    this.stopRecording();
+    if (this.stm.canUndo) {
+      await this.restore(() => this.stm.undoAll());
+    }
+  }
+
+  // Helper function that undoes or redoes transactions and waits for the project to propagate them.
+  // The manager is disabled until then.
+  restore(fn) {
+    const restored = new Promise((resolve) =>
+      this.project.on({ stateRestoringDone: resolve, once: true })
+    );
+    fn();
+    return restored;
+  }
+
+  // Forgets every transaction. Called once the changes are saved or the stores are swapped (IE: when
+  // switching scenarios), since they can't be undone past that point.
+  reset() {
+    this.stopRecording();
+    this.stm.resetQueue();
+  }
+
+  // Forgets every transaction of the arm an order store belongs to, once its project is done
+  // propagating. Used when orders are dragged to another arm (see OrderStore.receiveOrders): the
+  // orders are removed from one arm and added to the other, and each arm only tracks its own side of
+  // the move, so undoing either side alone would lose the orders or put them on both arms.
+  static async resetStore(store) {
+    const { stm, project } = store;
+    if (!stm || stm.disabled) {
+      return;
+    }
+    await project.commitAsync();
+    if (stm.isRecording) {
+      stm.stopTransaction();
+    }
+    stm.resetQueue();
+  }
+
+  // Whether the history of the arm an order store belongs to holds anything resetStore would clear
+  static hasTransactions(store) {
+    const { stm } = store;
+    return Boolean(
+      stm && !stm.disabled && (stm.canUndo || stm.canRedo || stm.isRecording)
+    );
+  }
+
+  stopRecording() {
+    if (this.stm.isRecording) {
+      this.stm.stopTransaction();
+    }
+  }
+
+  get canUndo() {
+    return this.stm.enabled && this.stm.canUndo;
+  }
+
+  get canRedo() {
+    return this.stm.enabled && this.stm.canRedo;
+  }
+
+  // Title of the transaction undo() reverts, or null when there's none
+  get undoTitle() {
+    return this.canUndo ? this.stm.queue[this.stm.position - 1] : null;
+  }
+
+  // Title of the transaction redo() reapplies, or null when there's none
+  get redoTitle() {
+    return this.canRedo ? this.stm.queue[this.stm.position] : null;
+  }
+
+  // Returns a function that removes the listener. Listeners are called every time a transaction is
+  // recorded, undone or redone, or the history is reset.
+  on(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+    };
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  // Stops tracking the stores. The project keeps its manager, disabled.
+  destroy() {
+    const { stm, stores } = this;
+    this.detachers.forEach((detach) => detach());
+    stm.disable();
+    [stores.unassignedStore, stores.maintenanceStore].forEach((store) => {
+      if (store && stm.hasStore(store)) {
+        stm.removeStore(store);
+      }
+    });
+    this.listeners = [];
+  }
+}
@@ -1,4 +1,6 @@
-import { SchedulerConfig } from "@bryntum/scheduler";
+// Only the type is imported so the rules below can be used outside the browser (see
+// lib/ScheduleEngine.js)
+import type { SchedulerConfig } from "@bryntum/scheduler";
 // import { DateHelper } from "@bryntum/scheduler";
 
 /****** Global Variables *******/
@@ -11,26 +13,94 @@ const ROW_MARGIN: number = 5;
 const START_DATE = new Date();
 // const END_DATE = DateHelper.add(START_DATE, 5, "days");
 
-// if we should only include working hours (configured with vars below). Note:
-// this should always be true- but can be useful to turn off for debugging
-const ONLY_WORKING_HOURS = false;
+// if we should only schedule orders during the working time of the factory calendars (configured
+// below). Note: this should always be true- but can be useful to turn off for debugging
+const ONLY_WORKING_HOURS = true;
 
-// variables configuring the boundaries for the work week
+// variables configuring the boundaries for the work week of factories that don't have a calendar
+// in FACTORY_CALENDARS. The end day and hour are exclusive.
 const WORKING_START_DAY = 1; // Monday
 const WORKING_END_DAY = 6; // Saturday
 const WORKING_START_HOUR = 8; // 8:00 AM
 const WORKING_END_HOUR = 17; // 5:00 PM
 
+// Working calendar of each factory, keyed by factory_id. See lib/WorkingCalendar.js for the format.
+const FACTORY_CALENDARS: any = {
+  1: {
+    id: "VAN",
+    name: "Vancouver, WA",
+    workingDays: [1, 2, 3, 4, 5],
+    shifts: [
+      { name: "Day", startHour: 6, endHour: 14.5 },
+      { name: "Swing", startHour: 14.5, endHour: 23 },
+    ],
+    holidays: [
+      { name: "New Year's Day", date: "01-01" },
+      { name: "Independence Day", date: "07-04" },
+      { name: "Christmas Eve", date: "12-24" },
+      { name: "Christmas Day", date: "12-25" },
+    ],
+  },
+};
+
+// What happens to an order that would run across a hard break. "push" starts the order after the
+// hard break, "flag" leaves it in place and highlights it.
+const HARD_BREAK_BEHAVIOUR: "push" | "flag" = "push";
+
+// Oven rules, keyed by the kind of machine. Every mold on an arm goes through the same oven cycle, so
+// molds loaded at the same time need oven temperatures (°F) and oven times (minutes) within these
+// tolerances. Machines with dual_oven_times can pull molds out at two different oven times.
+// See lib/OvenCompatibility.js for the format.
+const OVEN_RULES: any = {
+  default: {
+    name: "Single oven time",
+    tempTolerance: 10,
+    timeTolerance: 2,
+    maxOvenTimes: 1,
+  },
+  dualOvenTimes: {
+    name: "Dual oven times",
+    tempTolerance: 10,
+    timeTolerance: 2,
+    maxOvenTimes: 2,
+  },
+};
+
+// if drops that load molds with incompatible oven settings at the same time are rejected by default.
+// When false, those orders are only highlighted. Each arm's scheduler has a toggle to change it.
+const BLOCK_INCOMPATIBLE_OVEN_DROPS = false;
+
+// Setup time between two consecutive orders of a row, in minutes of working time. A default gap plus
+// the time to swap the mold, change the resin colour or change the oven temperature.
+// See lib/Changeover.js for the format.
+const CHANGEOVER_RULES: any = {
+  defaultMinutes: 10,
+  itemMinutes: 30,
+  items: {},
+  colourMinutes: 20,
+  tempMinutes: 15,
+  tempTolerance: 10,
+};
+
+// How many days ahead recurring maintenance windows are repeated (see lib/Maintenance.js). Orders
+// scheduled further out than this don't ripple around them.
+const MAINTENANCE_HORIZON_DAYS = 90;
+
+// Rules the "Auto-schedule" action follows to place the unassigned backlog on the rows of an arm.
+// See lib/AutoScheduler.js for what each rule does.
+const AUTO_SCHEDULE_RULES: any = {
+  earliestShipDate: true,
+  ovenCompatibility: true,
+  armCapacity: true,
+  minimizeChangeovers: true,
+  maxRows: 4,
+};
+
 const schedulerConfig: Partial<SchedulerConfig> = {
   startDate: START_DATE,
   // endDate: END_DATE,
-  // https://www.bryntum.com/docs/scheduler/api/Scheduler/view/TimelineBase#config-workingTime
-  // workingTime: {
-  //   fromDay: ONLY_WORKING_HOURS ? WORKING_START_DAY : undefined,
-  //   toDay: ONLY_WORKING_HOURS ? WORKING_END_DAY : undefined,
-  //   fromHour: ONLY_WORKING_HOURS ? WORKING_START_HOUR : undefined,
-  //   toHour: ONLY_WORKING_HOURS ? WORKING_END_HOUR : undefined,
-  // },
+  // Non-working time isn't hidden with the workingTime config. Orders stretch across it and it's
+  // shaded by the NonWorkingTime feature (see the factory calendars above).
   rowHeight: ROW_HEIGHT,
   barMargin: ROW_MARGIN,
   multiEventSelect: true,
@@ -46,5 +116,12 @@ export {
   WORKING_END_DAY,
   WORKING_START_HOUR,
   WORKING_END_HOUR,
+  FACTORY_CALENDARS,
   START_DATE,
+  HARD_BREAK_BEHAVIOUR,
+  OVEN_RULES,
+  BLOCK_INCOMPATIBLE_OVEN_DROPS,
+  CHANGEOVER_RULES,
+  MAINTENANCE_HORIZON_DAYS,
+  AUTO_SCHEDULE_RULES,
 };
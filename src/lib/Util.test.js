@@ -0,0 +1,446 @@
+import {
+  flowRow,
+  getLoadAfter,
+  getLoadQueueChanges,
+  getOrdersWithStartDates,
+  mapToOrderModel,
+  normalizeOrder,
+} from "./Util";
+import createWorkingCalendar from "./WorkingCalendar";
+
+// Monday 8:00 AM
+const NOW = new Date(2021, 8, 20, 8);
+
+// Helper function that returns the date the passed hours after NOW
+const hoursAfterNow = (hours) => new Date(NOW.getTime() + hours * 3600000);
+
+// Helper function that returns the data of a queued order, as returned by the API
+const orderData = (id, workOrder, loadAfter, row, fields = {}) => ({
+  id,
+  work_order_number: workOrder,
+  item: `01-${workOrder}-001`,
+  load_after: loadAfter,
+  scheduled_resource_id: row,
+  ...fields,
+});
+
+// Helper function that returns an event record of the scheduler holding the passed data
+const eventRecord = (data, startDate, fields = {}) => ({
+  id: data.id,
+  data,
+  startDate,
+  lockedStartDate: null,
+  workingDuration: 0,
+  isFieldModified: () => false,
+  ...fields,
+});
+
+// Helper function that returns an event store with the passed events on each row, keyed by row id
+const eventStoreOf = (rows) => ({
+  resourceStore: {
+    records: Object.keys(rows).map((id) => ({ id, events: rows[id] })),
+  },
+});
+
+describe("getLoadQueueChanges", () => {
+  it("doesn't return entries whose row and load_after didn't change", () => {
+    const eventStore = eventStoreOf({
+      "62-r1": [
+        eventRecord(orderData(1, "0001", null, "62-r1"), NOW),
+        eventRecord(
+          orderData(2, "0002", "0001; 01-0001-001", "62-r1"),
+          hoursAfterNow(1)
+        ),
+      ],
+    });
+
+    expect(getLoadQueueChanges(eventStore)).toEqual([]);
+  });
+
+  it("links every entry to the entry plotted before it on its row", () => {
+    // The second order was moved in front of the first one
+    const eventStore = eventStoreOf({
+      "62-r1": [
+        eventRecord(orderData(1, "0001", null, "62-r1"), hoursAfterNow(1)),
+        eventRecord(orderData(2, "0002", "0001; 01-0001-001", "62-r1"), NOW),
+      ],
+    });
+
+    expect(getLoadQueueChanges(eventStore)).toEqual([
+      {
+        id: 2,
+        type: "order",
+        scheduled_resource_id: "62-r1",
+        load_after: null,
+        load_after_id: null,
+        locked_start: null,
+      },
+      {
+        id: 1,
+        type: "order",
+        scheduled_resource_id: "62-r1",
+        load_after: "0002; 01-0002-001",
+        load_after_id: 2,
+        locked_start: null,
+      },
+    ]);
+  });
+
+  it("moves entries to the row they're plotted on, after the order currently molding", () => {
+    const eventStore = eventStoreOf({
+      "62-r2": [
+        eventRecord(
+          orderData(3, "0003", null, "62-r2", { item_currently_molding: true }),
+          hoursAfterNow(-1)
+        ),
+        eventRecord(orderData(1, "0001", null, "62-r1"), NOW),
+      ],
+      "62-r1": [],
+    });
+
+    expect(getLoadQueueChanges(eventStore)).toEqual([
+      expect.objectContaining({
+        id: 1,
+        scheduled_resource_id: "62-r2",
+        load_after: "0003; 01-0003-001",
+        load_after_id: 3,
+      }),
+    ]);
+  });
+
+  it("references counter weights by their key and saves their duration", () => {
+    const counterWeight = {
+      id: 7,
+      type: "counter_weight",
+      load_after: null,
+      scheduled_resource_id: "62-r1",
+    };
+    const eventStore = eventStoreOf({
+      "62-r1": [
+        eventRecord(orderData(1, "0001", null, "62-r1"), NOW),
+        eventRecord(counterWeight, hoursAfterNow(1), {
+          workingDuration: 90 * 60000,
+        }),
+        eventRecord(
+          orderData(2, "0002", "0001; 01-0001-001", "62-r1"),
+          hoursAfterNow(3)
+        ),
+      ],
+    });
+
+    expect(getLoadQueueChanges(eventStore)).toEqual([
+      {
+        id: 7,
+        type: "counter_weight",
+        scheduled_resource_id: "62-r1",
+        load_after: "0001; 01-0001-001",
+        load_after_id: 1,
+        locked_start: null,
+        duration: 90,
+        duration_unit: "minute",
+      },
+      expect.objectContaining({
+        id: 2,
+        load_after: "c-7",
+        load_after_id: null,
+      }),
+    ]);
+  });
+
+  it("saves the lock and the arm of the entries that changed", () => {
+    const eventStore = eventStoreOf({
+      "63-r1": [
+        eventRecord(orderData(1, "0001", null, "62-r1"), NOW, {
+          lockedStartDate: NOW,
+          arm: 63,
+          isFieldModified: (field) => field === "arm",
+        }),
+      ],
+    });
+
+    expect(getLoadQueueChanges(eventStore)).toEqual([
+      expect.objectContaining({
+        id: 1,
+        scheduled_resource_id: "63-r1",
+        locked_start: NOW,
+        arm: 63,
+      }),
+    ]);
+  });
+});
+
+describe("getLoadAfter", () => {
+  it("references split parts after the first one by their part number", () => {
+    const order = orderData(1, "0013420", null, "62-r1");
+
+    expect(getLoadAfter(order)).toBe("0013420; 01-0013420-001");
+    expect(getLoadAfter({ ...order, split_part: 1 })).toBe(
+      "0013420; 01-0013420-001"
+    );
+    expect(getLoadAfter({ ...order, id: "1-2", split_part: 2 })).toBe(
+      "0013420/2; 01-0013420-001"
+    );
+    expect(getLoadAfter({ id: 7, type: "counter_weight" })).toBe("c-7");
+  });
+});
+
+// Helper function that returns an order of the load queue (enhanced-loadqueue) taking an hour to mold
+const queuedOrder = (id, order, loadAfter, fields = {}) => ({
+  id,
+  order,
+  load_after: loadAfter,
+  item: "01-10625-001",
+  balance: 6,
+  takt: 10,
+  scheduled_resource_id: "62-r1",
+  ...fields,
+});
+
+// Helper function that places the passed load queue, returning the placed orders and the diagnostics
+const placeLoadQueue = (loadQueue) =>
+  getOrdersWithStartDates(
+    mapToOrderModel(loadQueue.map((order) => normalizeOrder(order))),
+    [],
+    createWorkingCalendar(),
+    [],
+    NOW
+  );
+
+describe("getOrdersWithStartDates diagnostics", () => {
+  const findDiagnostic = (result, type) =>
+    result.diagnostics.find((diagnostic) => diagnostic.type === type);
+
+  it("doesn't report anything for a single chain per row", () => {
+    const result = placeLoadQueue([
+      queuedOrder(1, "0001", null),
+      queuedOrder(2, "0002", "0001; 01-10625-001"),
+      queuedOrder(3, "0003", null, { scheduled_resource_id: "62-r2" }),
+    ]);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.orders).toHaveLength(3);
+  });
+
+  it("reports rows with several orders without load_after, which are still plotted", () => {
+    const result = placeLoadQueue([
+      queuedOrder(1, "0001", null),
+      queuedOrder(2, "0002", null),
+    ]);
+
+    const diagnostic = findDiagnostic(result, "multipleRoots");
+    expect(diagnostic.resourceId).toBe("62-r1");
+    expect(diagnostic.plotted).toBe(true);
+    expect(diagnostic.orders.map((order) => order.id)).toEqual([1, 2]);
+    expect(result.orders).toHaveLength(2);
+  });
+
+  it("reports orders loading after an order that doesn't exist, with the orders loading after them", () => {
+    const result = placeLoadQueue([
+      queuedOrder(1, "0001", null),
+      queuedOrder(3, "0003", "0002; 01-10625-001"),
+      queuedOrder(2, "0002", "9999; 01-10625-001"),
+    ]);
+
+    const diagnostic = findDiagnostic(result, "danglingLoadAfter");
+    expect(diagnostic.plotted).toBe(false);
+    // Listed in load order
+    expect(diagnostic.orders.map((order) => order.id)).toEqual([2, 3]);
+    expect(diagnostic.message).toBe(
+      "In row 62-r1, WO: 0002 loads after 9999, which doesn't exist. It can't be plotted along with 1 order(s) loading after it."
+    );
+    expect(result.orders.map((order) => order.id)).toEqual([1]);
+  });
+
+  it("reports rows without a first order and the orders loading after each other in a loop", () => {
+    const result = placeLoadQueue([
+      queuedOrder(1, "0001", "0002; 01-10625-001"),
+      queuedOrder(2, "0002", "0001; 01-10625-001"),
+    ]);
+
+    expect(findDiagnostic(result, "noRoot").plotted).toBe(false);
+    const cycle = findDiagnostic(result, "cycle");
+    expect(cycle.plotted).toBe(false);
+    expect(cycle.orders.map((order) => order.id).sort()).toEqual([1, 2]);
+    expect(result.orders).toEqual([]);
+  });
+
+  it("reports work orders that are in a row more than once", () => {
+    const result = placeLoadQueue([
+      queuedOrder(1, "0001", null),
+      queuedOrder(2, "0001", "0001; 01-10625-001"),
+    ]);
+
+    const diagnostic = findDiagnostic(result, "duplicateWorkOrder");
+    expect(diagnostic.plotted).toBe(true);
+    expect(diagnostic.orders.map((order) => order.id)).toEqual([1, 2]);
+  });
+});
+
+// Helper function that returns the date the passed minutes after NOW
+const minutesAfterNow = (minutes) => new Date(NOW.getTime() + minutes * 60000);
+
+// Only swapping the mold takes time, so the changeovers are easy to follow
+const CHANGEOVER_RULES = {
+  defaultMinutes: 0,
+  itemMinutes: 30,
+  items: {},
+  colourMinutes: 0,
+  tempMinutes: 0,
+  tempTolerance: 0,
+};
+
+// Helper function that returns an entry of a row (see flowRow) taking the passed minutes to mold
+const rowEntry = (workOrder, minutes, fields = {}) => ({
+  label: `WO: ${workOrder}`,
+  data: { work_order_number: workOrder, item: "01-10625-001" },
+  pinned: false,
+  lockedStartDate: null,
+  workingDuration: minutes * 60000,
+  ...fields,
+});
+
+// Helper function that flows the passed entries on an always working calendar, starting at NOW
+const flow = (entries, { hardBreakDates = [], ...options } = {}) =>
+  flowRow(entries, createWorkingCalendar(), hardBreakDates, NOW, {
+    changeoverRules: CHANGEOVER_RULES,
+    ...options,
+  });
+
+describe("flowRow", () => {
+  it("places the entries one after another in queue order", () => {
+    const spans = flow([rowEntry("0001", 60), rowEntry("0002", 30)]);
+
+    expect(spans.map((span) => span.startDate)).toEqual([
+      NOW,
+      minutesAfterNow(60),
+    ]);
+    expect(spans[1].endDate).toEqual(minutesAfterNow(90));
+  });
+
+  it("waits for the changeover between two entries", () => {
+    const spans = flow([
+      rowEntry("0001", 60),
+      rowEntry("0002", 60, {
+        data: { work_order_number: "0002", item: "01-10440-001" },
+      }),
+    ]);
+
+    expect(spans[1].startDate).toEqual(minutesAfterNow(90));
+  });
+
+  it("starts entries early enough for the changeover to the locked entry after them", () => {
+    const spans = flow([
+      rowEntry("0001", 60, {
+        data: { work_order_number: "0001", item: "01-10440-001" },
+      }),
+      rowEntry("0002", 60, { lockedStartDate: minutesAfterNow(75) }),
+    ]);
+
+    // The first entry would end at 9:00 and its changeover to the locked entry at 9:30, after
+    // the locked entry starts. It runs after the locked entry and its changeover instead.
+    expect(spans[1].startDate).toEqual(minutesAfterNow(75));
+    expect(spans[0].startDate).toEqual(minutesAfterNow(165));
+  });
+
+  it("leaves pinned entries where they are and starts the next entries after them", () => {
+    const spans = flow([
+      rowEntry("0001", 60, {
+        pinned: true,
+        startDate: minutesAfterNow(-30),
+        endDate: minutesAfterNow(45),
+      }),
+      rowEntry("0002", 60),
+    ]);
+
+    expect(spans[0]).toBe(null);
+    expect(spans[1].startDate).toEqual(minutesAfterNow(45));
+  });
+
+  it("keeps locked entries at their start and flows the other entries around them", () => {
+    const spans = flow([
+      rowEntry("0001", 60),
+      rowEntry("0002", 60, { lockedStartDate: minutesAfterNow(30) }),
+      rowEntry("0003", 60),
+    ]);
+
+    expect(spans[1].startDate).toEqual(minutesAfterNow(30));
+    expect(spans[1].lockConflict).toBe(null);
+    // The first entry would run into the locked entry, so it starts after it
+    expect(spans[0].startDate).toEqual(minutesAfterNow(90));
+    expect(spans[2].startDate).toEqual(minutesAfterNow(150));
+  });
+
+  it("flags locked entries that can't keep their start", () => {
+    const spans = flow([
+      rowEntry("0001", 60, { lockedStartDate: minutesAfterNow(-30) }),
+      rowEntry("0002", 60, { lockedStartDate: minutesAfterNow(60) }),
+      rowEntry("0003", 60, { lockedStartDate: minutesAfterNow(90) }),
+    ]);
+
+    expect(spans.map((span) => span.lockConflict)).toEqual([
+      "Locked to start before now",
+      null,
+      "Locked to run at the same time as WO: 0002",
+    ]);
+  });
+
+  it("starts entries once the maintenance windows they would run into are over", () => {
+    const spans = flow([rowEntry("0001", 60), rowEntry("0002", 60)], {
+      blockedSpans: [
+        {
+          startDate: minutesAfterNow(90),
+          endDate: minutesAfterNow(120),
+          label: "Mold cleaning",
+        },
+      ],
+    });
+
+    expect(spans[0].startDate).toEqual(NOW);
+    expect(spans[1].startDate).toEqual(minutesAfterNow(120));
+  });
+
+  it("flags locked entries that run during a maintenance window", () => {
+    const spans = flow(
+      [rowEntry("0001", 60, { lockedStartDate: minutesAfterNow(240) })],
+      {
+        blockedSpans: [
+          {
+            startDate: minutesAfterNow(270),
+            endDate: minutesAfterNow(330),
+            label: "Mold cleaning",
+          },
+        ],
+      }
+    );
+
+    expect(spans[0].lockConflict).toBe("Locked to run during Mold cleaning");
+  });
+
+  it("starts entries at the hard breaks they would run across", () => {
+    const spans = flow([rowEntry("0001", 60), rowEntry("0002", 60)], {
+      hardBreakDates: [minutesAfterNow(90)],
+    });
+
+    expect(spans[1].startDate).toEqual(minutesAfterNow(90));
+    expect(spans[1].hardBreakConflict).toBe(false);
+  });
+
+  it("only runs entries during the working time of the calendar", () => {
+    const calendar = createWorkingCalendar({
+      workingDays: [1, 2, 3, 4, 5],
+      shifts: [{ name: "Day", startHour: 6, endHour: 14 }],
+    });
+    const spans = flowRow(
+      [rowEntry("0001", 300), rowEntry("0002", 120)],
+      calendar,
+      [],
+      NOW,
+      { changeoverRules: CHANGEOVER_RULES }
+    );
+
+    expect(spans[0].endDate).toEqual(new Date(2021, 8, 20, 13));
+    // The second entry runs the last hour of Monday's shift and the first hour of Tuesday's
+    expect(spans[1].startDate).toEqual(new Date(2021, 8, 20, 13));
+    expect(spans[1].endDate).toEqual(new Date(2021, 8, 21, 7));
+  });
+});
@@ -1,13 +1,48 @@
-import { DateHelper } from "@bryntum/scheduler";
-import { start } from "repl";
+// Nothing here depends on the Bryntum Scheduler widgets or React, so the helpers can also be run
+// outside the browser (see lib/ScheduleEngine.js). Working calendars are Engine calendars, which
+// don't need a Scheduler (see lib/WorkingCalendar.js).
 import {
-  // ONLY_WORKING_HOURS,
-  // WORKING_START_DAY,
-  // WORKING_END_DAY,
+  ONLY_WORKING_HOURS,
+  WORKING_START_DAY,
+  WORKING_END_DAY,
   // START_DATE,
   WORKING_START_HOUR,
   WORKING_END_HOUR,
+  FACTORY_CALENDARS,
+  HARD_BREAK_BEHAVIOUR,
+  OVEN_RULES,
+  CHANGEOVER_RULES,
 } from "./SchedulerConfig";
+import createWorkingCalendar from "./WorkingCalendar";
+import { parseShipDate } from "./Lateness";
+import { getChangeoverMs } from "./Changeover";
+import { getBlockedSpans, getMaintenanceHorizon } from "./Maintenance";
+
+// Length of a unit of time in ms. Counter weight durations come with one of these units.
+const UNIT_MS: any = {
+  ms: 1,
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Helper function that converts a duration in the passed unit to ms (IE: (2, "hour") -> 7200000).
+// Plural units ("hours") are accepted as well. Unknown units are read as minutes.
+const toMilliseconds = (value: number, unit: string = "minute") => {
+  const key = `${unit}`.toLowerCase();
+  return (
+    value * (UNIT_MS[key] || UNIT_MS[key.replace(/s$/, "")] || UNIT_MS.minute)
+  );
+};
+
+// Helper function that returns the date the passed duration (in ms) after a date
+const addMilliseconds = (date: Date, duration: number) =>
+  new Date(date.getTime() + duration);
 
 // The orders that are CURRENTLY MOLDING have a different structure returned than the
 // the enhanced-loadqueue
@@ -22,13 +57,17 @@ const normalizeOrder = (order: any) => ({
 const mapToOrderModel = (orders: any) => {
   return orders.map((order: any) => ({
     ...order,
-    duration: DateHelper.asMilliseconds(
-      order.balance * order.item_takt,
-      "minute"
-    ),
+    // Working time needed to mold the balance. The duration is stretched across non-working time
+    // once the order is plotted (see getOrderSpan)
+    workingDuration: toMilliseconds(order.balance * order.item_takt),
+    duration: toMilliseconds(order.balance * order.item_takt),
     resourceId: order.scheduled_resource_id,
-    name: `WO: ${order.work_order_number} (${order.balance} Parts) `,
-    draggable: order.item_currently_molding ? false : true,
+    shipDate: parseShipDate(order.ship_date),
+    // Orders locked to a fixed start (IE: a customer-witnessed run) aren't moved by the rescheduling
+    lockedStartDate: order.locked_start ? new Date(order.locked_start) : null,
+    name: `${getOrderLabel(order)} (${order.balance} Parts) `,
+    draggable:
+      order.item_currently_molding || order.locked_start ? false : true,
     previousLoadOrder: order.load_after ? order.load_after.split(";")[0] : null,
     resizable: false,
     cls: `scheduler-bar ${
@@ -37,20 +76,61 @@ const mapToOrderModel = (orders: any) => {
   }));
 };
 
+// Helper function that maps the parts of a split order to the model needed by the scheduler. Every
+// part copies the order it was split from with its own balance, so its duration is recomputed. The
+// parts are new load queue entries, so they aren't linked to a row or another entry yet.
+//   order: data of the order being split
+//   balances: balance of every new part
+//   firstPart: part number of the first new part
+const mapToSplitParts = (order: any, balances: number[], firstPart: number) => {
+  const splitOf = order.split_of || order.id;
+  return mapToOrderModel(
+    balances.map((balance: number, i: number) => ({
+      ...order,
+      id: `${splitOf}-${firstPart + i}`,
+      balance,
+      split_of: splitOf,
+      split_part: firstPart + i,
+      load_after: null,
+      load_after_id: null,
+      scheduled_resource_id: null,
+      locked_start: null,
+      item_currently_molding: false,
+    }))
+  );
+};
+
+// Helper function that returns the next free part number of a work order, given every order that
+// could be one of its parts
+const getNextSplitPart = (orders: any[], workOrderNumber: string) =>
+  orders
+    .filter((order: any) => order.work_order_number === workOrderNumber)
+    .reduce(
+      (max: number, order: any) => Math.max(max, order.split_part || 1),
+      1
+    ) + 1;
+
 // Helper function the maps counter_weights to the model needed by the scheduler
 const mapToCounterWeightModel = (counterWeight: any) => {
   return {
     ...counterWeight,
-    duration: DateHelper.asMilliseconds(
+    workingDuration: toMilliseconds(
+      counterWeight.duration,
+      counterWeight.duration_unit
+    ),
+    duration: toMilliseconds(
       counterWeight.duration,
       counterWeight.duration_unit
     ),
     resourceId: counterWeight.scheduled_resource_id,
+    lockedStartDate: counterWeight.locked_start
+      ? new Date(counterWeight.locked_start)
+      : null,
     name: "Counter Weight",
     previousLoadOrder: counterWeight.load_after
       ? counterWeight.load_after.split(";")[0]
       : null,
-    draggable: true,
+    draggable: !counterWeight.locked_start,
     resizable: true,
     type: "counter_weight",
     cls: "scheduler-bar scheduler-bar-counter-weight",
@@ -61,22 +141,349 @@ const mapToCounterWeightModel = (counterWeight: any) => {
 const mapToHardBreakModel = (hardBreak: any) => {
   return {
     ...hardBreak,
-    startDate: hardBreak.start,
+    startDate: new Date(hardBreak.start),
     name: "Hard Break",
     cls: "hard-break-scheduler",
   };
 };
 
+// Helper function to map a maintenance window to the model needed by the scheduler (see
+// lib/Maintenance.js)
+const mapToMaintenanceModel = (maintenanceWindow: any) => ({
+  ...maintenanceWindow,
+  startDate: new Date(maintenanceWindow.start),
+  endDate: new Date(maintenanceWindow.end),
+  rowId: maintenanceWindow.row || null,
+  recurrence: maintenanceWindow.recurrence || null,
+  until: maintenanceWindow.until ? new Date(maintenanceWindow.until) : null,
+});
+
+// Helper function that returns the key other entries use to reference this one in their load_after
+// field. Orders are referenced by their work order number, counter weights by their id prefixed with
+// "c-" (see CounterWeightModel in data/models.ts)
+// Parts of a split order share the work order number, so every part after the first one is keyed
+// with its part number (IE: "0013420/2"). The API doesn't know this format yet, it's a proposed
+// change (see saveArmLoadQueue in lib/RotoEdgeApi.ts).
+const getLoadKey = (order: any) => {
+  if (order.type === "counter_weight") {
+    return `c-${order.id}`;
+  }
+  return order.split_part > 1
+    ? `${order.work_order_number}/${order.split_part}`
+    : order.work_order_number;
+};
+
+// Helper function that builds the load_after string for the entry that follows the passed order.
+// Orders use the `{order}; {item}` format returned by the enhanced-loadqueue.
+const getLoadAfter = (order: any) =>
+  order.type === "counter_weight"
+    ? getLoadKey(order)
+    : `${getLoadKey(order)}; ${order.item}`;
+
+// Working calendars already built, keyed by factory. Building a calendar and computing its
+// availability are done once, and every arm of a factory shares its calendar.
+const factoryCalendars: any = {};
+
+// Helper function that returns the working calendar of a factory (see FACTORY_CALENDARS in
+// SchedulerConfig.tsx). Factories without a calendar use the default work week. With
+// ONLY_WORKING_HOURS turned off, the calendar is always working.
+const getFactoryCalendar = (factoryId?: number) => {
+  const config =
+    (factoryId !== undefined && FACTORY_CALENDARS[factoryId]) || null;
+  const key: string = !ONLY_WORKING_HOURS
+    ? "none"
+    : config
+    ? `${factoryId}`
+    : "default";
+  if (!factoryCalendars[key]) {
+    const workingDays = [];
+    for (let day = WORKING_START_DAY; day < WORKING_END_DAY; day++) {
+      workingDays.push(day);
+    }
+    factoryCalendars[key] = createWorkingCalendar(
+      !ONLY_WORKING_HOURS
+        ? undefined
+        : config || {
+            id: "default",
+            name: "Default work week",
+            workingDays,
+            shifts: [
+              {
+                name: "Day",
+                startHour: WORKING_START_HOUR,
+                endHour: WORKING_END_HOUR,
+              },
+            ],
+          }
+    );
+  }
+  return factoryCalendars[key];
+};
+
+// Helper function that returns the oven rule of a machine (see OVEN_RULES in SchedulerConfig.tsx)
+const getOvenRule = (machine: any) =>
+  machine.dual_oven_times ? OVEN_RULES.dualOvenTimes : OVEN_RULES.default;
+
+// Helper function that returns true if an order running from startDate to endDate runs across a
+// hard break
+const crossesHardBreak = (
+  startDate: Date,
+  endDate: Date,
+  hardBreakDates: Date[]
+) =>
+  hardBreakDates.some(
+    (hardBreak: Date) => hardBreak > startDate && hardBreak < endDate
+  );
+
+// Helper function that returns when an order runs given the earliest date it could start. The order
+// starts at the next working time of the calendar and its end date is stretched across the
+// non-working time it runs into. Hard breaks act as barriers: an order that would run across one
+// starts at the hard break instead. With HARD_BREAK_BEHAVIOUR set to "flag", orders keep their
+// start and are flagged with hardBreakConflict.
+const getOrderSpan = (
+  earliestStartDate: Date,
+  workingDuration: number,
+  calendar: any,
+  hardBreakDates: Date[] = []
+) => {
+  const getSpan = (date: Date) => {
+    const startDate = calendar.skipNonWorkingTime(date);
+    return {
+      startDate,
+      endDate: calendar.calculateEndDate(startDate, workingDuration),
+    };
+  };
+
+  let span = getSpan(earliestStartDate);
+  if (HARD_BREAK_BEHAVIOUR === "push") {
+    hardBreakDates
+      .slice()
+      .sort((a: Date, b: Date) => a.getTime() - b.getTime())
+      .forEach((hardBreak: Date) => {
+        if (crossesHardBreak(span.startDate, span.endDate, [hardBreak])) {
+          span = getSpan(hardBreak);
+        }
+      });
+  }
+
+  return {
+    ...span,
+    hardBreakConflict: crossesHardBreak(
+      span.startDate,
+      span.endDate,
+      hardBreakDates
+    ),
+  };
+};
+
+// Helper function that maps an order (or an order record) to the entry flowRow places
+const toRowEntry = (order: any) => {
+  const data = order.isModel ? order.data : order;
+  return {
+    label: getOrderLabel(data),
+    data,
+    pinned: Boolean(data.item_currently_molding),
+    lockedStartDate: order.lockedStartDate,
+    workingDuration: order.workingDuration,
+    startDate: order.startDate,
+    endDate: order.endDate || addMilliseconds(order.startDate, order.duration),
+  };
+};
+
+// Helper function that places the entries of a row one after another, in the passed queue order.
+// Entries are { label, data, pinned, lockedStartDate, workingDuration, startDate, endDate }:
+//   - pinned entries (orders that are currently molding) stay where they are
+//   - locked entries stay at their lockedStartDate
+//   - every other entry starts when the previous one ends plus the changeover between them (see
+//     lib/Changeover.js), never before queueStartDate (now). An entry that would run into a locked
+//     entry or a maintenance window (blockedSpans, see lib/Maintenance.js) starts after it instead,
+//     so the queue flows around it. Entries after a locked entry in the queue start once it's done.
+// Returns the span of every entry in the same order (null for pinned entries). A locked entry that
+// can't keep its start without running into another entry or a window is flagged with lockConflict.
+const flowRow = (
+  entries: any[],
+  calendar: any,
+  hardBreakDates: Date[],
+  queueStartDate: Date,
+  { changeoverRules = CHANGEOVER_RULES, blockedSpans = [] as any[] } = {}
+) => {
+  const overlaps = (a: any, b: any) =>
+    a.startDate < b.endDate && a.endDate > b.startDate;
+  // Date the next entry can start at once the changeover after the previous one is done
+  const afterChangeover = (previous: any, next: any) =>
+    calendar.calculateEndDate(
+      previous.endDate,
+      getChangeoverMs(previous.entry.data, next.data, changeoverRules)
+    );
+
+  const pinned = entries
+    .filter((entry: any) => entry.pinned)
+    .map((entry: any) => ({
+      entry,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+    }));
+
+  // Locked entries keep their start. They conflict when they start before the row is free or run
+  // into another locked entry.
+  const lockedSpans: any[] = [];
+  entries
+    .filter((entry: any) => !entry.pinned && entry.lockedStartDate)
+    .sort((a: any, b: any) => a.lockedStartDate - b.lockedStartDate)
+    .forEach((entry: any) => {
+      const startDate = entry.lockedStartDate;
+      const endDate = calendar.calculateEndDate(
+        startDate,
+        entry.workingDuration
+      );
+      const span: any = { entry, startDate, endDate, lockConflict: null };
+      const overlapping = lockedSpans.find((other: any) =>
+        overlaps(span, other)
+      );
+      const blocked = blockedSpans.find((other: any) => overlaps(span, other));
+      if (startDate < queueStartDate) {
+        span.lockConflict = "Locked to start before now";
+      } else if (pinned.some((other: any) => overlaps(span, other))) {
+        span.lockConflict =
+          "Locked to start before the orders currently molding are done";
+      } else if (overlapping) {
+        span.lockConflict = `Locked to run at the same time as ${overlapping.entry.label}`;
+      } else if (blocked) {
+        span.lockConflict = `Locked to run during ${blocked.label}`;
+      }
+      span.hardBreakConflict = crossesHardBreak(
+        startDate,
+        endDate,
+        hardBreakDates
+      );
+      lockedSpans.push(span);
+    });
+
+  // The entry that ends last so far. The next entry starts after it.
+  let previous = pinned.reduce(
+    (last: any, span: any) =>
+      !last || span.endDate > last.endDate ? span : last,
+    null
+  );
+  const getEarliestStartDate = (entry: any) => {
+    const date = previous ? afterChangeover(previous, entry) : queueStartDate;
+    return date > queueStartDate ? date : queueStartDate;
+  };
+
+  // Locked entry the span of an entry runs into, or starts too soon after for the changeover
+  const findLockedBlocker = (entry: any, span: any) =>
+    lockedSpans.find(
+      (other: any) =>
+        overlaps(span, other) ||
+        (span.startDate < other.startDate &&
+          afterChangeover({ entry, endDate: span.endDate }, other.entry) >
+            other.startDate)
+    );
+  // Maintenance window a span runs into
+  const findBlockedSpan = (span: any) =>
+    blockedSpans.find((other: any) => overlaps(span, other));
+
+  return entries.map((entry: any) => {
+    if (entry.pinned) {
+      return null;
+    }
+    const locked = lockedSpans.find((span: any) => span.entry === entry);
+    if (locked) {
+      // Entries after it in the queue start once it's done
+      if (!previous || locked.endDate > previous.endDate) {
+        previous = locked;
+      }
+      const { startDate, endDate, hardBreakConflict, lockConflict } = locked;
+      return { startDate, endDate, hardBreakConflict, lockConflict };
+    }
+    let span = getOrderSpan(
+      getEarliestStartDate(entry),
+      entry.workingDuration,
+      calendar,
+      hardBreakDates
+    );
+    // Each pass moves past a locked entry or a window, so this ends once all of them were skipped.
+    // The entry also needs the changeover to the locked entry before it starts.
+    for (let i = 0; i <= lockedSpans.length + blockedSpans.length; i++) {
+      const blocker = findLockedBlocker(entry, span);
+      const maintenance = blocker ? null : findBlockedSpan(span);
+      if (!blocker && !maintenance) {
+        break;
+      }
+      span = getOrderSpan(
+        blocker ? afterChangeover(blocker, entry) : maintenance.endDate,
+        entry.workingDuration,
+        calendar,
+        hardBreakDates
+      );
+    }
+    previous = { entry, endDate: span.endDate };
+    return { ...span, lockConflict: null };
+  });
+};
+
+// Helper function that returns a readable label for an order or counter weight
+const getOrderLabel = (order: any) => {
+  if (order.type === "counter_weight") {
+    return `Counter Weight (ID: ${order.id})`;
+  }
+  return order.split_part
+    ? `WO: ${order.work_order_number} Part ${order.split_part}`
+    : `WO: ${order.work_order_number}`;
+};
+
+// Helper function that orders a group of entries by following their load_after links, starting from
+// the passed head. Entries that can't be reached from the head are appended in their original order.
+const sortByLoadChain = (head: any, group: any[]) => {
+  const sorted: any[] = [];
+  const queue = [head];
+  while (queue.length) {
+    const current = queue.shift();
+    if (!sorted.includes(current)) {
+      sorted.push(current);
+      queue.push(
+        ...group.filter(
+          (order: any) => order.previousLoadOrder === getLoadKey(current)
+        )
+      );
+    }
+  }
+  return [...sorted, ...group.filter((order: any) => !sorted.includes(order))];
+};
+
 // Helper function that will return a flat array of orders with their start dates. We use the
-// priority queue to sync orders to start when their parent order ends
-const getOrdersWithStartDates = (allOrders: any) => {
+// priority queue to sync orders to start when their parent order ends.
+//
+// Problems found in the priority queue are returned as diagnostics instead of being logged:
+// - multipleRoots: several orders in a row have load_after = null. They're plotted but overlap.
+// - noRoot: no order in a row has load_after = null, so nothing in the row can be plotted.
+// - danglingLoadAfter: the order loads after an order that doesn't exist in the row. The order and
+//   every order that loads after it can't be plotted.
+// - cycle: orders load after each other in a loop and can't be plotted.
+// - duplicateWorkOrder: the same work order is in a row more than once.
+// Orders of the unplotted diagnostics are listed in load order with `plotted: false`.
+//
+// Orders are scheduled against the working time of the passed calendar. Orders that would run across
+// one of the passed hard break dates are pushed after it, or flagged with `hardBreakConflict` (see
+// HARD_BREAK_BEHAVIOUR in SchedulerConfig.tsx). Orders that would run during one of the passed
+// maintenance windows start once it's over (see lib/Maintenance.js).
+//
+// The queue starts at now, which can be passed to compute the schedule as it was or will be at
+// another date (IE: when validating an export of the load queue).
+const getOrdersWithStartDates = (
+  allOrders: any,
+  hardBreakDates: Date[] = [],
+  calendar: any = createWorkingCalendar(),
+  maintenanceWindows: any[] = [],
+  now: Date = new Date()
+) => {
   /**
    * @Description Get all orders into a temp dictionary based off their respective resource groups.
    * @Key ResourceGroupId
    * @Value Order[]
    */
   const ordersByResourceGroups = allOrders.reduce(
-    (resourceDict: any, order: any, index: number) => {
+    (resourceDict: any, order: any) => {
       if (!resourceDict[order.scheduled_resource_id]) {
         resourceDict[order.scheduled_resource_id] = [];
       }
@@ -86,70 +493,286 @@ const getOrdersWithStartDates = (allOrders: any) => {
     {}
   );
 
-  // Our return array
+  // Our return arrays
   const tempOrdersArr: any[] = [];
+  const diagnostics: any[] = [];
 
   // Iterate over each respective resource group
   Object.keys(ordersByResourceGroups).forEach((key: string) => {
     const resourceArray = ordersByResourceGroups[key];
+    const findByLoadKey = (loadKey: string) =>
+      resourceArray.filter((order: any) => getLoadKey(order) === loadKey);
 
-    // Sort each array of orders by their parentIds
-    const sortedArray = resourceArray.reduce(
-      (accumulator: any, currentValue: any) => {
-        let item = accumulator.find(
-          (x: any) => x.work_order_number === currentValue.previousLoadOrder
-        );
-        let index = accumulator.indexOf(item);
-        index = index !== -1 ? index + 1 : accumulator.length;
-        accumulator.splice(index, 0, currentValue);
-        return accumulator;
-      },
-      []
-    );
+    // Sanity check: the same work order should only be in a row once
+    const checkedKeys: string[] = [];
+    resourceArray.forEach((order: any) => {
+      const loadKey = getLoadKey(order);
+      const duplicates = findByLoadKey(loadKey);
+      if (duplicates.length > 1 && !checkedKeys.includes(loadKey)) {
+        diagnostics.push({
+          type: "duplicateWorkOrder",
+          resourceId: key,
+          message: `Row ${key} contains ${getOrderLabel(order)} ${
+            duplicates.length
+          } times. Orders that load after it follow the first one.`,
+          plotted: true,
+          orders: duplicates,
+        });
+      }
+      checkedKeys.push(loadKey);
+    });
 
-    // Sanity check:
-    const allItemsWithNullLoadAfter = sortedArray.filter(
+    const roots = resourceArray.filter(
       (item: any) => item.previousLoadOrder === null
     );
-    if (allItemsWithNullLoadAfter.length > 1) {
-      // There are multiple items with load-after = null. We still plot these items on the scheduler but they will overlap.
-      console.error(
-        `Util.ts - There are multiple items in row: ${key} that have a null load_after property. Each row should only have one item with load_after = null`
-      );
-    } else if (allItemsWithNullLoadAfter.length === 0) {
+    if (roots.length > 1) {
+      // We still plot these items on the scheduler but they will overlap.
+      diagnostics.push({
+        type: "multipleRoots",
+        resourceId: key,
+        message: `Row ${key} has ${roots.length} orders with no load_after. Each row should only have one, so these orders overlap.`,
+        plotted: true,
+        orders: roots,
+      });
+    } else if (roots.length === 0) {
       // There are no elements that can act as the root. This case is bad because it won't plot the items on the scheduler.
-      console.error(
-        `Util.ts - In row: ${key}, there are items in the list but none of them have property load_after = null. Each row should have one item with load_after = null`
+      diagnostics.push({
+        type: "noRoot",
+        resourceId: key,
+        message: `Row ${key} has no order with load_after = null, so none of its orders can be plotted.`,
+        plotted: false,
+        orders: resourceArray,
+      });
+    }
+
+    // Apply start dates. The root items start at the current date and every other order starts when
+    // the order it loads after ends and the changeover between them is done. Orders that are currently molding already started, so neither
+    // non-working time nor hard breaks move them.
+    const placeOrder = (order: any, earliestStart: Date) => {
+      const span = order.item_currently_molding
+        ? {
+            startDate: earliestStart,
+            endDate: calendar.calculateEndDate(
+              earliestStart,
+              order.workingDuration
+            ),
+          }
+        : getOrderSpan(
+            earliestStart,
+            order.workingDuration,
+            calendar,
+            hardBreakDates
+          );
+      return {
+        ...order,
+        startDate: span.startDate,
+        duration: span.endDate.getTime() - span.startDate.getTime(),
+        hardBreakConflict: crossesHardBreak(
+          span.startDate,
+          span.endDate,
+          hardBreakDates
+        ),
+      };
+    };
+    const plotted: any[] = [];
+    const queue = roots.map((root: any) => placeOrder(root, now));
+    while (queue.length) {
+      const order = queue.shift();
+      plotted.push(order);
+      resourceArray
+        .filter(
+          (next: any) =>
+            next.previousLoadOrder === getLoadKey(order) &&
+            !plotted.some((ord: any) => ord.id === next.id) &&
+            !queue.some((ord: any) => ord.id === next.id) &&
+            // With duplicate work orders, the next order follows the first plotted one
+            !plotted.some(
+              (ord: any) =>
+                ord !== order && getLoadKey(ord) === getLoadKey(order)
+            )
+        )
+        .forEach((next: any) =>
+          queue.push(
+            placeOrder(
+              next,
+              calendar.calculateEndDate(
+                addMilliseconds(order.startDate, order.duration),
+                getChangeoverMs(order, next, CHANGEOVER_RULES)
+              )
+            )
+          )
+        );
+    }
+    // Locked orders keep their start and the rest of the row flows around them and around the
+    // maintenance windows of the row
+    const blockedSpans = getBlockedSpans(
+      maintenanceWindows,
+      key,
+      now,
+      getMaintenanceHorizon(now)
+    );
+    if (
+      plotted.some((order: any) => order.lockedStartDate) ||
+      blockedSpans.length
+    ) {
+      const spans = flowRow(
+        plotted.map(toRowEntry),
+        calendar,
+        hardBreakDates,
+        now,
+        { blockedSpans }
       );
+      spans.forEach((span: any, i: number) => {
+        if (span) {
+          plotted[i] = {
+            ...plotted[i],
+            startDate: span.startDate,
+            duration: span.endDate.getTime() - span.startDate.getTime(),
+            hardBreakConflict: span.hardBreakConflict,
+            lockConflict: span.lockConflict,
+          };
+        }
+      });
     }
+    tempOrdersArr.push(...plotted);
 
-    // Apply start dates. If the order is the root item, set it's start to the current date
-    sortedArray.forEach((sortedOrder: any, i: number) => {
-      // if (i === 0) {
-      if (sortedOrder.previousLoadOrder === null) {
-        // If the element doesn't have an item to load after, we assume it's the root element
-        tempOrdersArr.push({ ...sortedOrder, startDate: new Date() });
-      } else {
-        // We have to find the previous order because we need it's created startTime. Won't
-        // be accessible through sortedArray[i-1]
-        const previousOrder = tempOrdersArr.find(
-          (ord: any) => ord.work_order_number === sortedOrder.previousLoadOrder
+    // Group the orders that couldn't be plotted by the reason they couldn't be plotted. We walk up
+    // the load_after links of each order until we find an order whose previous order doesn't exist
+    // (dangling) or we visit the same order twice (cycle).
+    const isPlotted = (order: any) =>
+      plotted.some((ord: any) => ord.id === order.id);
+    const unplotted = resourceArray.filter((order: any) => !isPlotted(order));
+    const groups: any[] = [];
+    unplotted.forEach((order: any) => {
+      if (groups.some((group: any) => group.orders.includes(order))) {
+        return;
+      }
+      const path: any[] = [];
+      let current = order;
+      let isCycle = false;
+      while (current && !isPlotted(current)) {
+        if (path.includes(current)) {
+          isCycle = true;
+          break;
+        }
+        path.push(current);
+        current = findByLoadKey(current.previousLoadOrder)[0];
+      }
+
+      const head = isCycle ? current : path[path.length - 1];
+      const existingGroup = groups.find((group: any) =>
+        group.orders.includes(head)
+      );
+      if (existingGroup) {
+        existingGroup.orders.push(
+          ...path.filter((ord: any) => !existingGroup.orders.includes(ord))
         );
-        if (previousOrder) {
-          const startDate = DateHelper.add(
-            previousOrder.startDate,
-            previousOrder.duration
-          );
-          tempOrdersArr.push({ ...sortedOrder, startDate });
-        } else {
-          console.error(
-            `Util.ts - In row: ${key}, The scheduler was unable to plot an order (ID: ${sortedOrder.id}) because the previous loaded order (load_after: ${sortedOrder.previousLoadOrder}) doesn't exist. `
-          );
+      } else {
+        groups.push({
+          type: isCycle ? "cycle" : "danglingLoadAfter",
+          head,
+          orders: path,
+        });
+      }
+    });
+
+    groups.forEach((group: any) => {
+      const orders = sortByLoadChain(group.head, group.orders);
+      diagnostics.push({
+        type: group.type,
+        resourceId: key,
+        message:
+          group.type === "cycle"
+            ? `In row ${key}, ${orders
+                .map(getOrderLabel)
+                .join(
+                  ", "
+                )} load after each other in a loop and can't be plotted.`
+            : `In row ${key}, ${getOrderLabel(group.head)} loads after ${
+                group.head.previousLoadOrder
+              }, which doesn't exist. It can't be plotted${
+                orders.length > 1
+                  ? ` along with ${orders.length - 1} order(s) loading after it`
+                  : ""
+              }.`,
+        plotted: false,
+        orders,
+      });
+    });
+  });
+  return { orders: tempOrdersArr, diagnostics };
+};
+
+// Helper function that rebuilds the priority queue from what is currently plotted on the scheduler.
+// Each row is walked left to right and every order / counter weight is linked to the entry before it.
+// Only the entries whose load_after or row changed are returned so the save payload stays minimal.
+// Rows and entries are sorted so the same schedule always produces the same payload.
+//
+// Note: load_after_id is set to the id of the previous entry. Counter weights don't share the id
+// space of orders so an entry that follows a counter weight gets load_after_id = null and the
+// counter weight is referenced through its "c-" key in load_after.
+const getLoadQueueChanges = (eventStore: any) => {
+  const rows = eventStore.resourceStore.records
+    .slice()
+    .sort(
+      (a: any, b: any) => +`${a.id}`.split("-r")[1] - +`${b.id}`.split("-r")[1]
+    );
+
+  const changes: any[] = [];
+
+  rows.forEach((resource: any) => {
+    const rowEvents = resource.events
+      .slice()
+      .sort((a: any, b: any) =>
+        a.startDate - b.startDate !== 0
+          ? a.startDate - b.startDate
+          : `${a.id}`.localeCompare(`${b.id}`)
+      );
+
+    rowEvents.forEach((record: any, i: number) => {
+      const { data } = record;
+      // Orders that are currently molding aren't part of the load queue. They're only used as the
+      // entry that the first queued order loads after.
+      if (data.item_currently_molding) {
+        return;
+      }
+
+      const previous = rowEvents[i - 1];
+      const loadAfter = previous ? getLoadAfter(previous.data) : null;
+      const loadAfterId =
+        previous && previous.data.type !== "counter_weight"
+          ? previous.data.id
+          : null;
+      const originalLoadAfter =
+        data.load_after && data.load_after !== "None" ? data.load_after : null;
+
+      if (
+        originalLoadAfter !== loadAfter ||
+        data.scheduled_resource_id !== resource.id
+      ) {
+        const change: any = {
+          id: data.id,
+          type: data.type === "counter_weight" ? "counter_weight" : "order",
+          scheduled_resource_id: resource.id,
+          load_after: loadAfter,
+          load_after_id: loadAfterId,
+          // The lock travels with the entry (IE: an order locked right after it was dropped)
+          locked_start: record.lockedStartDate || null,
+        };
+        // The order was dragged in from another arm of the machine (see OrderStore.receiveOrders)
+        if (record.isFieldModified("arm")) {
+          change.arm = record.arm;
         }
+        if (change.type === "counter_weight") {
+          change.duration = record.workingDuration / UNIT_MS.minute;
+          change.duration_unit = "minute";
+        }
+        changes.push(change);
       }
     });
   });
-  return tempOrdersArr;
+
+  return changes;
 };
 
 // Helper function to remove resources that have no events in them- except for the last resource
@@ -175,6 +798,21 @@ const cleanupResources = (resourceStore: any) => {
   }
 };
 
+// Helper function that adds an empty row at the bottom of the scheduler if the last row has events
+// in it. The empty row allows new rows to be added when an order is dropped on it.
+const addEmptyLastRow = (resourceStore: any, armId: number) => {
+  const rows = resourceStore.records;
+  const lastRow = rows[rows.length - 1];
+  if (!lastRow || lastRow.events.length > 0) {
+    const lastRowNumber = rows.reduce(
+      (max: number, row: any) =>
+        Math.max(max, +`${row.id}`.split("-r")[1] || 0),
+      0
+    );
+    resourceStore.add({ id: `${armId}-r${lastRowNumber + 1}` });
+  }
+};
+
 // Helper function to grab the resources off of list of all scheduled orders. Used to build the
 // ResourceStore on the scheduler.
 const getResourcesFromOrders = (events: any[], armId: number) => {
@@ -191,53 +829,27 @@ const getResourcesFromOrders = (events: any[], armId: number) => {
   return rows.map((res: any) => ({ id: res }));
 };
 
-// NOTE: This is deprecated as of now. The goal was that if we used the Schedulers working days config,
-// we'd have to extend the visual duration of orders to extend past 'out of work' hours. I'm keeping
-// it here temporarily as the logic wasn't incorrect, but we're just not using it anymore for simplicity.
-
-// Helper function that adjusts the duration of the order based off the cofigurations for
-// WORKING_START_HOUR and WORKING_END_HOUR
-// To-Do: Add handling for weekends using the WORKING_START_DAY and WORKING_END_DAY values
-const getEventAdjustedDuration = (event: any) => {
-  const startDate = event.startDate;
-
-  // Get the ending work hour in ms (default to 17 or 5:00 pm)
-  const workingEndHourInMs = DateHelper.asMilliseconds(
-    WORKING_END_HOUR,
-    "hour"
-  );
-  // Get the start time in MS (NOT the start date)
-  const startTimeInMs = DateHelper.getTimeOfDay(startDate);
-  // Find the working-hour duration that the event can be scheduled in
-  // the first day (amount of MS from startTime to pre-configured var
-  // for the end of the work day)
-  const initialDelta = workingEndHourInMs - startTimeInMs;
-  // Find the remaining duration that needs to be adjusted for this event (MS)
-  const durationToAllocateMs = event.scheduled_duration - initialDelta;
-  // Convert previous value to hours
-  const remainingHoursToAllocate = DateHelper.as("hour", durationToAllocateMs);
-  // Get one full day in MS
-  const oneDayInMs = DateHelper.asMilliseconds(1, "day");
-  // Find the amount of working hours set by schedule config (default 9 hours) in hours
-  const workingHours = WORKING_END_HOUR - WORKING_START_HOUR;
-  // Find the duration of non-working hours (5:00PM - 8:00AM, 15 hrs) in MS
-  const nonWorkingHoursMs =
-    oneDayInMs - DateHelper.asMilliseconds(workingHours, "hour");
-  // Find how many days we need to fill
-  const numberOfDaysToFill = Math.ceil(remainingHoursToAllocate / workingHours);
-  // Calculate the total amount of MS that need to be added to the initial duration
-  const totalDaysFilledInMs = numberOfDaysToFill * nonWorkingHoursMs;
-
-  return event.duration + totalDaysFilledInMs;
-};
-
 export {
-  getEventAdjustedDuration,
+  toMilliseconds,
   mapToOrderModel,
+  mapToSplitParts,
+  getNextSplitPart,
   normalizeOrder,
   mapToCounterWeightModel,
   getOrdersWithStartDates,
   cleanupResources,
+  addEmptyLastRow,
   getResourcesFromOrders,
   mapToHardBreakModel,
+  mapToMaintenanceModel,
+  getLoadKey,
+  getLoadAfter,
+  getOrderLabel,
+  crossesHardBreak,
+  getOrderSpan,
+  toRowEntry,
+  flowRow,
+  getFactoryCalendar,
+  getOvenRule,
+  getLoadQueueChanges,
 };
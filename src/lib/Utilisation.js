@@ -0,0 +1,138 @@
+// Utilisation of the arms over a horizon, shown on the factory dashboard (see pages/FactoryDashboard.tsx).
+// An arm is busy while at least one of its orders is molding, on any of its rows. Its utilisation is
+// the share of the working time of the horizon (see lib/WorkingCalendar.js) it is busy. The working
+// time it isn't busy is idle, and the idle periods between two orders are the gaps of its schedule.
+// Shut down arms don't run, so they have no working time to use and are only reported as shut down.
+
+import { countLateOrders } from "./Lateness";
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+// Horizons the utilisation can be computed for
+const UTILISATION_HORIZONS = [
+  { id: "day", name: "Next 24 hours", days: 1 },
+  { id: "threeDays", name: "Next 3 days", days: 3 },
+  { id: "week", name: "Next week", days: 7 },
+  { id: "twoWeeks", name: "Next 2 weeks", days: 14 },
+];
+
+// Helper function that returns the periods the passed orders are molding between startDate and
+// endDate, sorted and merged
+const getBusyRanges = (orders, startDate, endDate) =>
+  orders
+    .filter((order) => order.startDate)
+    .map((order) => ({
+      startDate: new Date(Math.max(order.startDate.getTime(), startDate)),
+      endDate: new Date(
+        Math.min(order.startDate.getTime() + order.duration, endDate)
+      ),
+    }))
+    .filter((range) => range.endDate > range.startDate)
+    .sort((a, b) => a.startDate - b.startDate)
+    .reduce((ranges, range) => {
+      const previous = ranges[ranges.length - 1];
+      if (previous && range.startDate <= previous.endDate) {
+        if (range.endDate > previous.endDate) {
+          previous.endDate = range.endDate;
+        }
+      } else {
+        ranges.push(range);
+      }
+      return ranges;
+    }, []);
+
+// Returns the utilisation of an arm between startDate and endDate:
+// {
+//   shutdown,        the arm is shut down
+//   workingHours,    working time of the horizon
+//   busyHours,       working time an order is molding
+//   idleHours,       working time nothing is molding
+//   utilisation,     busyHours / workingHours (0 to 1), null when there's no working time
+//   gaps,            idle periods between two orders: [{ startDate, endDate, hours }]
+//   lateOrders,      orders of the whole schedule projected to end after their ship date
+// }
+// orders are the placed orders of the arm (see scheduleArm in lib/ScheduleEngine.js)
+const getArmUtilisation = (
+  orders,
+  { calendar, startDate, endDate, shutdown = false }
+) => {
+  const lateOrders = countLateOrders(orders.filter((order) => order.startDate));
+  if (shutdown) {
+    return {
+      shutdown,
+      workingHours: 0,
+      busyHours: 0,
+      idleHours: 0,
+      utilisation: null,
+      gaps: [],
+      lateOrders,
+    };
+  }
+
+  const busyRanges = getBusyRanges(orders, startDate, endDate);
+  const workingMs = calendar.calculateDurationMs(startDate, endDate);
+  const busyMs = busyRanges.reduce(
+    (total, range) =>
+      total + calendar.calculateDurationMs(range.startDate, range.endDate),
+    0
+  );
+  const gaps = [];
+  busyRanges.slice(1).forEach((range, i) => {
+    const gap = { startDate: busyRanges[i].endDate, endDate: range.startDate };
+    // Gaps that only span non-working time (IE: a night between two shifts) aren't idle time
+    const gapMs = calendar.calculateDurationMs(gap.startDate, gap.endDate);
+    if (gapMs > 0) {
+      gaps.push({ ...gap, hours: gapMs / ONE_HOUR_MS });
+    }
+  });
+
+  return {
+    shutdown,
+    workingHours: workingMs / ONE_HOUR_MS,
+    busyHours: busyMs / ONE_HOUR_MS,
+    idleHours: (workingMs - busyMs) / ONE_HOUR_MS,
+    utilisation: workingMs ? busyMs / workingMs : null,
+    gaps,
+    lateOrders,
+  };
+};
+
+// Sums the utilisation of several arms (IE: the arms of a machine, or every machine of a factory).
+// Shut down arms are counted apart and don't lower the utilisation.
+const sumUtilisation = (utilisations) => {
+  const total = utilisations.reduce(
+    (sum, utilisation) => ({
+      workingHours: sum.workingHours + utilisation.workingHours,
+      busyHours: sum.busyHours + utilisation.busyHours,
+      idleHours: sum.idleHours + utilisation.idleHours,
+      gaps: sum.gaps.concat(utilisation.gaps),
+      lateOrders: sum.lateOrders + utilisation.lateOrders,
+      shutdownArms: sum.shutdownArms + (utilisation.shutdown ? 1 : 0),
+    }),
+    {
+      workingHours: 0,
+      busyHours: 0,
+      idleHours: 0,
+      gaps: [],
+      lateOrders: 0,
+      shutdownArms: 0,
+    }
+  );
+  return {
+    ...total,
+    utilisation: total.workingHours
+      ? total.busyHours / total.workingHours
+      : null,
+  };
+};
+
+// Helper function that formats a utilisation for display. IE: "82%"
+const formatUtilisation = (utilisation) =>
+  utilisation === null ? "-" : `${Math.round(utilisation * 100)}%`;
+
+export {
+  UTILISATION_HORIZONS,
+  getArmUtilisation,
+  sumUtilisation,
+  formatUtilisation,
+};
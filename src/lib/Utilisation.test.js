@@ -0,0 +1,100 @@
+import { getArmUtilisation } from "./Utilisation";
+import createWorkingCalendar from "./WorkingCalendar";
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+// Helper function that returns a date of September 2021
+const at = (date, hour) => new Date(2021, 8, date, hour);
+
+// Helper function that returns a placed order (see scheduleArm) molding for the passed hours
+const placedOrder = (startDate, hours, shipDate = null) => ({
+  startDate,
+  duration: hours * ONE_HOUR_MS,
+  shipDate,
+});
+
+describe("getArmUtilisation", () => {
+  // 8 hours of working time on weekdays
+  const calendar = createWorkingCalendar({
+    workingDays: [1, 2, 3, 4, 5],
+    shifts: [{ name: "Day", startHour: 6, endHour: 14 }],
+  });
+  // Monday
+  const horizon = { calendar, startDate: at(20, 0), endDate: at(21, 0) };
+
+  it("returns the share of the working time the arm is busy and its gaps", () => {
+    const utilisation = getArmUtilisation(
+      [placedOrder(at(20, 6), 2), placedOrder(at(20, 10), 2)],
+      horizon
+    );
+
+    expect(utilisation).toEqual({
+      shutdown: false,
+      workingHours: 8,
+      busyHours: 4,
+      idleHours: 4,
+      utilisation: 0.5,
+      gaps: [{ startDate: at(20, 8), endDate: at(20, 10), hours: 2 }],
+      lateOrders: 0,
+    });
+  });
+
+  it("counts orders molding at the same time on different rows once", () => {
+    const utilisation = getArmUtilisation(
+      [placedOrder(at(20, 6), 4), placedOrder(at(20, 8), 4)],
+      horizon
+    );
+
+    expect(utilisation.busyHours).toBe(6);
+    expect(utilisation.gaps).toEqual([]);
+  });
+
+  it("only counts the working time of the horizon", () => {
+    const utilisation = getArmUtilisation(
+      [
+        // Starts before the horizon
+        placedOrder(at(19, 12), 24),
+        placedOrder(at(20, 13), 1),
+        // Runs across the end of the horizon
+        placedOrder(at(21, 13), 2),
+      ],
+      { calendar, startDate: at(20, 0), endDate: at(21, 14) }
+    );
+
+    expect(utilisation.workingHours).toBe(16);
+    // Monday 6:00 to 12:00, Monday 13:00 to 14:00 and Tuesday 13:00 to 14:00
+    expect(utilisation.busyHours).toBe(8);
+    // The night between Monday and Tuesday isn't idle time, only the 7 hours of the shifts are
+    expect(utilisation.gaps.map((gap) => gap.hours)).toEqual([1, 7]);
+  });
+
+  it("counts the late orders of the whole schedule", () => {
+    const utilisation = getArmUtilisation(
+      [
+        placedOrder(at(20, 6), 2, at(20, 0)),
+        placedOrder(at(27, 6), 2, at(21, 0)),
+        placedOrder(at(20, 10), 2, at(30, 0)),
+      ],
+      horizon
+    );
+
+    expect(utilisation.lateOrders).toBe(2);
+  });
+
+  it("doesn't count the working time of shut down arms", () => {
+    const utilisation = getArmUtilisation([placedOrder(at(20, 6), 2)], {
+      ...horizon,
+      shutdown: true,
+    });
+
+    expect(utilisation).toEqual({
+      shutdown: true,
+      workingHours: 0,
+      busyHours: 0,
+      idleHours: 0,
+      utilisation: null,
+      gaps: [],
+      lateOrders: 0,
+    });
+  });
+});
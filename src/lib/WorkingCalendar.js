@@ -0,0 +1,125 @@
+// Working-time calendar of a factory, built on the Engine calendar (see
+// bryntumLib/Engine/quark/model/AbstractCalendarMixin.js). Orders only progress during working time, so
+// an order's end date is found with calculateEndDate, which adds its working duration to its start
+// date while skipping non-working time (nights between shifts, non-working days and holidays).
+//
+// Every shift is a recurring working interval on each working day. Time outside of the shifts isn't
+// working, and holidays are non-working intervals that take priority over the shifts. The calendar is
+// assigned to the project of the Scheduler so the NonWorkingTime feature shades its non-working time.
+//
+// Config shape (see FACTORY_CALENDARS in SchedulerConfig.tsx):
+// {
+//   id: "VAN",
+//   name: "Vancouver, WA",
+//   workingDays: [1, 2, 3, 4, 5],      days of the week the shifts run on (0 = Sunday)
+//   shifts: [                           hours of the day (6.5 = 6:30 AM). A shift ending at or before
+//     { name: "Day", startHour: 6, endHour: 14 },   its start runs past midnight.
+//   ],
+//   holidays: [                         non-working days. `date` repeats every year, startDate/endDate
+//     { name: "Christmas Day", date: "12-25" },     is a one-off period (both days included).
+//     { name: "Plant shutdown", startDate: "2026-07-06", endDate: "2026-07-10" },
+//   ],
+// }
+// A calendar created without a config, or without shifts, is always working.
+
+import { ProjectModel } from "@bryntum/scheduler";
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Recurring intervals have a lower priority than static ones by default (see
+// bryntumLib/Engine/calendar/CalendarIntervalMixin.js). Holidays repeating every year are recurring
+// too, so they're given the priority of a static interval to override the shifts.
+const HOLIDAY_PRIORITY = 30;
+
+// Helper function that formats an hour of the day for a recurrence rule (IE: 6.5 -> "6:30")
+const formatHour = (hour) => {
+  const minutes = Math.round(hour * 60);
+  return `${Math.floor(minutes / 60)}:${`${minutes % 60}`.padStart(2, "0")}`;
+};
+
+// Helper function that parses a "YYYY-MM-DD" day as local time (Date parses it as UTC)
+const parseDay = (day) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(year, month - 1, date);
+};
+
+// Helper function that returns the recurring working intervals of a shift, one per working day
+const getShiftIntervals = (shift, workingDays) => {
+  // A shift ending at or before its start (or at midnight) ends on the next day
+  const endsNextDay = shift.endHour <= shift.startHour || shift.endHour >= 24;
+  const endHour = shift.endHour >= 24 ? shift.endHour - 24 : shift.endHour;
+  return workingDays.map((day) => ({
+    name: shift.name,
+    isWorking: true,
+    recurrentStartDate: `on ${DAY_NAMES[day]} at ${formatHour(
+      shift.startHour
+    )}`,
+    recurrentEndDate: `on ${
+      DAY_NAMES[(day + (endsNextDay ? 1 : 0)) % 7]
+    } at ${formatHour(endHour)}`,
+  }));
+};
+
+// Helper function that returns the non-working interval of a holiday
+const getHolidayInterval = (holiday) => {
+  if (holiday.date) {
+    // Yearly holiday. The recurrence rules are later.js schedules (see bryntumLib/Engine/vendor/later).
+    // The day after is found in a year that isn't a leap year.
+    const [month, date] = holiday.date.split("-").map(Number);
+    const nextDay = new Date(2001, month - 1, date + 1);
+    return {
+      name: holiday.name,
+      isWorking: false,
+      priority: HOLIDAY_PRIORITY,
+      recurrentStartDate: { schedules: [{ M: [month], D: [date] }] },
+      recurrentEndDate: {
+        schedules: [{ M: [nextDay.getMonth() + 1], D: [nextDay.getDate()] }],
+      },
+    };
+  }
+  const endDate = parseDay(holiday.endDate || holiday.startDate);
+  endDate.setDate(endDate.getDate() + 1);
+  return {
+    name: holiday.name,
+    isWorking: false,
+    startDate: parseDay(holiday.startDate),
+    endDate,
+  };
+};
+
+// Returns the data of the Engine calendar of a factory (an entry of the calendarsData of a project)
+const getCalendarData = (config) => {
+  const {
+    id = "always-working",
+    name = "Always working",
+    workingDays = [],
+    shifts = [],
+    holidays = [],
+  } = config || {};
+  const intervals = shifts.reduce(
+    (result, shift) => result.concat(getShiftIntervals(shift, workingDays)),
+    []
+  );
+  return {
+    id,
+    name,
+    // Without shifts there would be no working time to schedule orders in
+    unspecifiedTimeIsWorking: intervals.length === 0,
+    intervals: intervals.length
+      ? intervals.concat(holidays.map(getHolidayInterval))
+      : [],
+  };
+};
+
+// Creates the working calendar of a factory. Engine calendars belong to a project, so the calendar is
+// loaded into a project of its own. It can then be used without a Scheduler (IE: by
+// lib/ScheduleEngine.js) and be assigned to the project of any Scheduler.
+const createWorkingCalendar = (config) => {
+  const project = new ProjectModel({
+    calendarsData: [getCalendarData(config)],
+  });
+  return project.calendarManagerStore.first;
+};
+
+export { getCalendarData };
+export default createWorkingCalendar;
@@ -0,0 +1,101 @@
+import createWorkingCalendar, { getCalendarData } from "./WorkingCalendar";
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+// Helper function that returns a date of September 2021. The 20th is a Monday.
+const at = (date, hour, minutes = 0) => new Date(2021, 8, date, hour, minutes);
+
+// Day and night shifts on weekdays. The night shift runs past midnight.
+const CALENDAR_CONFIG = {
+  id: "VAN",
+  name: "Vancouver, WA",
+  workingDays: [1, 2, 3, 4, 5],
+  shifts: [
+    { name: "Day", startHour: 6, endHour: 14.5 },
+    { name: "Night", startHour: 22, endHour: 6 },
+  ],
+  holidays: [
+    { name: "Labor Day", date: "09-06" },
+    { name: "Plant shutdown", startDate: "2021-09-22", endDate: "2021-09-23" },
+  ],
+};
+
+describe("createWorkingCalendar", () => {
+  const calendar = createWorkingCalendar(CALENDAR_CONFIG);
+
+  it("only counts the time of the shifts as working time", () => {
+    expect(calendar.isWorkingTime(at(20, 6))).toBe(true);
+    expect(calendar.isWorkingTime(at(20, 14, 15))).toBe(true);
+    expect(calendar.isWorkingTime(at(20, 14, 30))).toBe(false);
+    // The night shift of Monday runs until Tuesday 6:00
+    expect(calendar.isWorkingTime(at(21, 3))).toBe(true);
+    // Saturday and Sunday
+    expect(calendar.isWorkingTime(at(18, 10))).toBe(false);
+    expect(calendar.isWorkingTime(at(19, 10))).toBe(false);
+    // 8.5 hours of the day shift and the first 2 hours of the night shift
+    expect(calendar.calculateDurationMs(at(20, 0), at(21, 0))).toBe(
+      10.5 * ONE_HOUR_MS
+    );
+  });
+
+  it("stretches a working duration across the non-working time", () => {
+    // 30 minutes of the day shift, then the night shift starts
+    expect(calendar.calculateEndDate(at(20, 14), ONE_HOUR_MS)).toEqual(
+      at(20, 22, 30)
+    );
+    // Friday's night shift runs until Saturday 6:00, then nothing runs until Monday
+    expect(calendar.calculateEndDate(at(24, 22), 10 * ONE_HOUR_MS)).toEqual(
+      at(27, 8)
+    );
+  });
+
+  it("doesn't work on holidays", () => {
+    // Labor Day, every year
+    expect(calendar.isWorkingTime(at(6, 10))).toBe(false);
+    expect(calendar.isWorkingTime(new Date(2022, 8, 6, 10))).toBe(false);
+    // The shutdown includes both of its days
+    expect(calendar.isWorkingTime(at(22, 10))).toBe(false);
+    expect(calendar.isWorkingTime(at(23, 10))).toBe(false);
+    expect(calendar.isWorkingTime(at(24, 10))).toBe(true);
+  });
+
+  it("names the working time ranges after their shift", () => {
+    expect(
+      calendar
+        .getWorkingTimeRanges(at(20, 0), at(21, 0))
+        .map((range) => range.name)
+    ).toEqual(["Day", "Night"]);
+  });
+
+  it("is always working without a config or without shifts", () => {
+    [createWorkingCalendar(), createWorkingCalendar({ shifts: [] })].forEach(
+      (alwaysWorking) => {
+        expect(alwaysWorking.isWorkingTime(at(19, 3))).toBe(true);
+        expect(
+          alwaysWorking.calculateEndDate(at(19, 3), 5 * ONE_HOUR_MS)
+        ).toEqual(at(19, 8));
+      }
+    );
+  });
+});
+
+describe("getCalendarData", () => {
+  it("repeats every shift on every working day", () => {
+    const data = getCalendarData(CALENDAR_CONFIG);
+
+    expect(data.id).toBe("VAN");
+    expect(data.unspecifiedTimeIsWorking).toBe(false);
+    expect(data.intervals).toContainEqual({
+      name: "Day",
+      isWorking: true,
+      recurrentStartDate: "on Mon at 6:00",
+      recurrentEndDate: "on Mon at 14:30",
+    });
+    expect(data.intervals).toContainEqual({
+      name: "Night",
+      isWorking: true,
+      recurrentStartDate: "on Fri at 22:00",
+      recurrentEndDate: "on Sat at 6:00",
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from "react";
+
+interface ApiRequestState<T> {
+  data: T | null;
+  loading: boolean;
+  error: any;
+  reload: () => void;
+}
+
+/**
+ * Hook that runs an API request and tracks its loading and error states. The request is sent again
+ * every time requestFn changes, so wrap it in useCallback with the values it depends on.
+ * @param {Function} requestFn Function returning the promise of the request
+ * @returns {ApiRequestState} The response data, loading / error states and a function to resend the request
+ */
+const useApiRequest = <T = any>(
+  requestFn: () => Promise<T>
+): ApiRequestState<T> => {
+  const [data, setData] = useState<T | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<any>(null);
+  // Incremented to resend the request
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    // Ignore the response if the component unmounted or the request was resent in the meantime
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    requestFn()
+      .then((response) => {
+        if (!cancelled) {
+          setData(response);
+          setLoading(false);
+        }
+      })
+      .catch((e) => {
+        if (!cancelled) {
+          setError(e);
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [requestFn, attempt]);
+
+  const reload = useCallback(() => setAttempt((value) => value + 1), []);
+
+  return { data, loading, error, reload };
+};
+
+export default useApiRequest;
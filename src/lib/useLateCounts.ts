@@ -0,0 +1,33 @@
+import { useState, useCallback } from "react";
+
+interface LateCountsState {
+  lateCount: number | null;
+  onLateCountChange: (armId: any, count: number) => void;
+}
+
+/**
+ * Hook that adds up the late orders of the arms of a machine (see lib/Lateness.js). Every arm
+ * reports its own count, which replaces the one it reported before.
+ * @returns {LateCountsState} The total of the arms that reported (null until one did) and the callback the arms report to
+ */
+const useLateCounts = (): LateCountsState => {
+  // Number of late orders of every arm that has reported, by arm ID
+  const [lateCounts, setLateCounts] = useState<{ [armId: string]: number }>({});
+
+  const onLateCountChange = useCallback(
+    (armId: any, count: number) =>
+      setLateCounts((prev) => ({ ...prev, [armId]: count })),
+    []
+  );
+
+  const armLateCounts = Object.values(lateCounts);
+
+  return {
+    lateCount: armLateCounts.length
+      ? armLateCounts.reduce((total, count) => total + count, 0)
+      : null,
+    onLateCountChange,
+  };
+};
+
+export default useLateCounts;
@@ -0,0 +1,271 @@
+import React, { useState, FC } from "react";
+import { Link as RouterLink } from "react-router-dom";
+// MUI
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Select,
+  MenuItem,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+// Custom component imports
+import ApiStatus from "../components/ApiStatus";
+import LateOrdersChip from "../components/LateOrdersChip";
+import ArmStatusChip from "../components/ArmStatusChip";
+// Custom library imports
+import useApiRequest from "../lib/useApiRequest";
+import {
+  UTILISATION_HORIZONS,
+  getArmUtilisation,
+  sumUtilisation,
+  formatUtilisation,
+} from "../lib/Utilisation";
+import {
+  getMachines,
+  getMachineArms,
+  getArmSchedule,
+  describeUnavailable,
+} from "../lib/RotoEdgeApi";
+
+// Helper function that loads every machine along with the saved schedule of each of its arms
+const getFactorySchedules = async () => {
+  const machines = await getMachines();
+  return Promise.all(
+    machines.map(async (machine: any) => {
+      const arms = await getMachineArms(machine);
+      const schedules = await Promise.all(
+        arms.map((arm: any) => getArmSchedule(arm))
+      );
+      return {
+        ...machine,
+        arms: arms.map((arm: any, i: number) => ({
+          ...arm,
+          schedule: schedules[i],
+        })),
+      };
+    })
+  );
+};
+
+// Helper function that returns the data the API couldn't return for any arm of the passed machines
+const getUnavailable = (machines: any[]) =>
+  machines.reduce(
+    (names: string[], machine: any) =>
+      machine.arms.reduce(
+        (armNames: string[], arm: any) =>
+          armNames.concat(arm.schedule.unavailable),
+        names
+      ),
+    []
+  );
+
+// Helper function that groups the machines by factory, keeping the order they're returned in
+const groupByFactory = (machines: any[]) =>
+  machines.reduce((factories: any[], machine: any) => {
+    const factory = factories.find(
+      (other: any) => other.id === machine.factory_id
+    );
+    if (factory) {
+      factory.machines.push(machine);
+    } else {
+      factories.push({
+        id: machine.factory_id,
+        name: machine.factory,
+        machines: [machine],
+      });
+    }
+    return factories;
+  }, []);
+
+// Helper function that rounds a number of hours for display
+const formatHours = (hours: number) => Math.round(hours * 10) / 10;
+
+const FactoryDashboard = () => {
+  const {
+    data: machines,
+    loading,
+    error,
+    reload,
+  } = useApiRequest(getFactorySchedules);
+  // The ID of the horizon the utilisation is computed for (see UTILISATION_HORIZONS)
+  const [horizonId, setHorizonId] = useState("week");
+
+  const horizon: any = UTILISATION_HORIZONS.find(
+    (other: any) => other.id === horizonId
+  );
+  // The horizon starts now, where the scheduler starts placing orders
+  const startDate = new Date();
+  const endDate = new Date(
+    startDate.getTime() + horizon.days * 24 * 60 * 60 * 1000
+  );
+
+  return (
+    <Box className={"flex-grow"} px={2} py={2} flexDirection="column">
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Typography variant="h5">Factory Dashboard</Typography>
+        <Select
+          size="small"
+          value={horizonId}
+          onChange={(e: any) => setHorizonId(e.target.value)}
+        >
+          {UTILISATION_HORIZONS.map((option: any) => (
+            <MenuItem key={`horizon-${option.id}`} value={option.id}>
+              {option.name}
+            </MenuItem>
+          ))}
+        </Select>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        Utilisation is the share of the working time of the horizon an arm has
+        an order molding. Idle gaps are the idle periods between two orders.
+        Late orders are counted over the whole schedule.
+      </Typography>
+      <ApiStatus
+        loading={loading}
+        error={error}
+        onRetry={reload}
+        isEmpty={!machines || machines.length === 0}
+        emptyMessage="There are no machines to show."
+        warning={machines && describeUnavailable(getUnavailable(machines))}
+        loadingMessage="Loading the schedule of every machine..."
+      >
+        {groupByFactory(machines || []).map((factory: any) => (
+          <Box key={`factory-${factory.id}`} mt={2}>
+            <Typography variant="h6">{factory.name}</Typography>
+            {factory.machines.map((machine: any) => (
+              <MachineSummary
+                key={`machine-summary-${machine.id}`}
+                machine={machine}
+                startDate={startDate}
+                endDate={endDate}
+              />
+            ))}
+          </Box>
+        ))}
+      </ApiStatus>
+    </Box>
+  );
+};
+
+interface MachineSummaryProps {
+  machine: any;
+  startDate: Date;
+  endDate: Date;
+}
+
+/**
+ * Utilisation of a machine and each of its arms over the horizon (see lib/Utilisation.js)
+ * @param {any} machine Machine as returned by getMachines, with its arms and the schedule of each arm
+ * @param {Date} startDate Start of the horizon
+ * @param {Date} endDate End of the horizon
+ */
+const MachineSummary: FC<MachineSummaryProps> = ({
+  machine,
+  startDate,
+  endDate,
+}) => {
+  const arms = machine.arms.map((arm: any) => ({
+    ...arm,
+    utilisation: getArmUtilisation(arm.schedule.orders, {
+      calendar: arm.schedule.calendar,
+      startDate,
+      endDate,
+      shutdown: arm.shutdown,
+    }),
+  }));
+  const total = sumUtilisation(arms.map((arm: any) => arm.utilisation));
+
+  return (
+    <Paper variant="outlined" sx={{ marginTop: 1, padding: 2 }}>
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Box display="flex" alignItems="center">
+          <Typography variant="h6">{machine.name}</Typography>
+          <Typography ml={2}>
+            {formatUtilisation(total.utilisation)} utilised
+          </Typography>
+          <LateOrdersChip count={total.lateOrders} />
+          {total.shutdownArms > 0 && (
+            <Typography ml={2} color="error">
+              {total.shutdownArms} shut down{" "}
+              {total.shutdownArms === 1 ? "arm" : "arms"}
+            </Typography>
+          )}
+        </Box>
+        <Button
+          variant="outlined"
+          size={"small"}
+          color="info"
+          component={RouterLink}
+          to={`/machineScheduling?machine=${machine.id}`}
+        >
+          View Schedule
+        </Button>
+      </Box>
+      <TableContainer>
+        <Table size="small" aria-label={`arms of ${machine.name}`}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Arm</TableCell>
+              <TableCell>Utilisation</TableCell>
+              <TableCell>Busy Hours</TableCell>
+              <TableCell>Idle Hours</TableCell>
+              <TableCell>Idle Gaps</TableCell>
+              <TableCell>Late Orders</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {arms.map((arm: any, i: number) => {
+              const { utilisation } = arm;
+              const longestGap = utilisation.gaps.reduce(
+                (longest: number, gap: any) => Math.max(longest, gap.hours),
+                0
+              );
+              return (
+                <TableRow key={`arm-summary-${arm.id}`} hover>
+                  <TableCell>
+                    {arm.name} (Arm {i + 1})
+                    <ArmStatusChip arm={arm} />
+                  </TableCell>
+                  <TableCell sx={{ minWidth: 160 }}>
+                    {utilisation.shutdown ? (
+                      "-"
+                    ) : (
+                      <Box display="flex" alignItems="center">
+                        <LinearProgress
+                          variant="determinate"
+                          value={(utilisation.utilisation || 0) * 100}
+                          sx={{ flexGrow: 1, marginRight: 1 }}
+                        />
+                        {formatUtilisation(utilisation.utilisation)}
+                      </Box>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatHours(utilisation.busyHours)}</TableCell>
+                  <TableCell>{formatHours(utilisation.idleHours)}</TableCell>
+                  <TableCell>
+                    {utilisation.gaps.length
+                      ? `${utilisation.gaps.length} (longest ${formatHours(
+                          longestGap
+                        )}h)`
+                      : "None"}
+                  </TableCell>
+                  <TableCell>{utilisation.lateOrders}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default FactoryDashboard;
@@ -1,4 +1,4 @@
-import React, { useState, FC } from "react";
+import React, { useState, useCallback, FC } from "react";
 // MUI
 import {
   Box,
@@ -10,29 +10,35 @@ import {
 import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 // Custom component imports
 import UnassignedTable from "../components/UnassignedTable";
-import ArmDetail from "../components/ArmDetail";
+import ApiStatus from "../components/ApiStatus";
+import LateOrdersChip from "../components/LateOrdersChip";
+import ArmAccordion from "../components/ArmAccordion";
 // Custom library imports
-import {
-  mapToOrderModel,
-  normalizeOrder,
-  getOrdersWithStartDates,
-} from "../lib/Util";
+import useApiRequest from "../lib/useApiRequest";
+import useLateCounts from "../lib/useLateCounts";
+import { getMachines, getMachineArms } from "../lib/RotoEdgeApi";
 // Mock data imports
-import { machines_response } from "../data/machines";
 import { unloadedOrders } from "../data/sample-data";
-import { machine_display_response } from "../data/machine-display";
-import { enhanced_arm_loadqueue_62_response } from "../data/arm-enhanced-loadqueue";
 import RotoEdgeScheduler from "../components/Scheduler";
 
 const Home = () => {
-  const [machines] = useState(machines_response.machines);
+  const { data: machines, loading, error, reload } = useApiRequest(getMachines);
 
   return (
     <Box className={"flex-grow"} px={2} py={2} flexDirection="column">
       <Typography variant="h5">Machines (Read Only Demo)</Typography>
-      {machines.map((machine: any, i: number) => (
-        <MachineAccordion key={`machine-schedule-${i}`} machine={machine} />
-      ))}
+      <ApiStatus
+        loading={loading}
+        error={error}
+        onRetry={reload}
+        isEmpty={!machines || machines.length === 0}
+        emptyMessage="There are no machines to show."
+        loadingMessage="Loading machines..."
+      >
+        {(machines || []).map((machine: any, i: number) => (
+          <MachineAccordion key={`machine-schedule-${i}`} machine={machine} />
+        ))}
+      </ApiStatus>
     </Box>
   );
 };
@@ -41,14 +47,10 @@ interface MachineAccordionProps {
   machine: any;
 }
 const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
-  const armsWithOrders = machine_display_response.arms.map((arm: any) => ({
-    ...arm,
-    orders: machine_display_response.orders
-      .map((order: any) => ({ ...order, item_currently_molding: true }))
-      .filter((order: any) => order.arm === arm.id),
-  }));
-
-  const [machineArms] = useState(armsWithOrders);
+  // The arms are only queried the first time the accordion is expanded
+  const [hasExpanded, setHasExpanded] = useState(false);
+  // Late orders of every arm of the machine
+  const { lateCount, onLateCountChange } = useLateCounts();
 
   return (
     <Accordion
@@ -57,6 +59,7 @@ const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
         flexDirection: "column",
         justifyContent: "flex-start",
       }}
+      onChange={(e: any, expanded: boolean) => expanded && setHasExpanded(true)}
     >
       <AccordionSummary
         expandIcon={<ExpandMoreIcon />}
@@ -64,83 +67,75 @@ const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
         id={`machine-${machine.id}-header`}
       >
         <Typography variant="h6">{machine.name}</Typography>
+        <LateOrdersChip count={lateCount} />
       </AccordionSummary>
       <AccordionDetails>
-        <Typography variant="h6">Machine Arms</Typography>
-        {machineArms.map((arm: any, i: number) => {
-          return (
-            <ArmAccordion
-              key={`arm-accordion-${i}`}
-              arm={arm}
-              index={i}
-              moldingArmOrders={arm.orders}
-            />
-          );
-        })}
-        {/* This is the list of all items on the machine. We can ignore this for integration. */}
-        <Typography variant="h6" mt={2}>
-          Machine Orders
-        </Typography>
-        <UnassignedTable rows={unloadedOrders} />
+        {hasExpanded && (
+          <MachineArms
+            machine={machine}
+            onLateCountChange={onLateCountChange}
+          />
+        )}
       </AccordionDetails>
     </Accordion>
   );
 };
 
-interface ArmAccordionProps {
-  arm: any;
-  index: number;
-  moldingArmOrders: any[];
+interface MachineArmsProps {
+  machine: any;
+  onLateCountChange: (armId: any, count: number) => void;
 }
-
-const ArmAccordion: FC<ArmAccordionProps> = ({
-  arm,
-  index,
-  moldingArmOrders,
-}) => {
-  // This represents all of the orders that are scheduled but are not currently molding
-  const [scheduledOrders] = useState(
-    arm.id === 62 ? enhanced_arm_loadqueue_62_response.objects : []
-  );
-
-  // The schema for orders that are molding vs those that are scheduled is different so I'm normalizing them here
-  // and mapping them to the model that is required by the Scheduler componennt
-  const allNormalizedOrders = mapToOrderModel([
-    ...moldingArmOrders,
-    ...scheduledOrders.map((ord) => normalizeOrder(ord)),
-  ]);
-
-  // The final list of items that are scheduled on this arm. We grab their start dates based off
-  // the priority queue of "load-after" fields.
-  const [allScheduledArmOrders] = useState(
-    getOrdersWithStartDates(allNormalizedOrders)
-  );
+const MachineArms: FC<MachineArmsProps> = ({ machine, onLateCountChange }) => {
+  const {
+    data: machineArms,
+    loading,
+    error,
+    reload,
+  } = useApiRequest(useCallback(() => getMachineArms(machine), [machine]));
 
   return (
-    <Accordion
-      sx={{
-        display: "flex",
-        flexDirection: "column",
-        justifyContent: "flex-start",
-        backgroundColor: "rgb(244, 249, 255);",
-      }}
-    >
-      <AccordionSummary
-        expandIcon={<ExpandMoreIcon />}
-        aria-controls={`arm-${arm.id}-content`}
-        id={`arm-${arm.id}-header`}
+    <Box>
+      <Typography variant="h6">Machine Arms</Typography>
+      <ApiStatus
+        loading={loading}
+        error={error}
+        onRetry={reload}
+        isEmpty={!machineArms || machineArms.length === 0}
+        emptyMessage="This machine has no arms."
+        loadingMessage="Loading arms..."
       >
-        <Typography>
-          {arm.name} (Arm {index + 1})
-        </Typography>
-      </AccordionSummary>
-      <AccordionDetails>
-        {/* Info about the arm and orders that are currently molding. Not necessary for integration */}
-        <ArmDetail moldingArmOrders={moldingArmOrders} />
-        {/* The scheduler component for the arm */}
-        <RotoEdgeScheduler armId={arm.id} orders={allScheduledArmOrders} />
-      </AccordionDetails>
-    </Accordion>
+        {(machineArms || []).map((arm: any, i: number) => (
+          <ArmAccordion
+            key={`arm-accordion-${arm.id}`}
+            arm={arm}
+            index={i}
+            onLateCountChange={onLateCountChange}
+            renderScheduler={(armSchedule: any, onArmLateCountChange) => (
+              // The scheduler component for the arm
+              <RotoEdgeScheduler
+                armId={arm.id}
+                armName={arm.name}
+                orders={armSchedule.orders}
+                hardBreaks={armSchedule.hardBreaks}
+                maintenanceWindows={armSchedule.maintenanceWindows}
+                shutdown={arm.shutdown}
+                critical={arm.critical}
+                diagnostics={armSchedule.diagnostics}
+                calendar={armSchedule.calendar}
+                capacity={arm.capacity}
+                ovenRule={armSchedule.ovenRule}
+                onLateCountChange={onArmLateCountChange}
+              />
+            )}
+          />
+        ))}
+      </ApiStatus>
+      {/* This is the list of all items on the machine. We can ignore this for integration. */}
+      <Typography variant="h6" mt={2}>
+        Machine Orders
+      </Typography>
+      <UnassignedTable rows={unloadedOrders} />
+    </Box>
   );
 };
 
@@ -1,4 +1,5 @@
 import React, { useState, FC, useEffect, useCallback, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
 // MUI
 import {
   Box,
@@ -6,73 +7,71 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "@mui/material";
 import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 // Custom component imports
 import UnassignedTable from "../components/UnassignedTable";
 import CustomDragContainer from "../components/SchedulerDragContainer";
-import ArmDetail from "../components/ArmDetail";
+import ApiStatus from "../components/ApiStatus";
+import LateOrdersChip from "../components/LateOrdersChip";
+import ArmAccordion from "../components/ArmAccordion";
+import ScenarioBar from "../components/ScenarioBar";
+import MachineScheduler from "../components/MachineScheduler";
 // Custom library imports
 import UnassignedStore from "../lib/UnassignedStore";
-import {
-  mapToOrderModel,
-  normalizeOrder,
-  getOrdersWithStartDates,
-  mapToCounterWeightModel,
-  mapToHardBreakModel,
-} from "../lib/Util";
+import ScenarioManager from "../lib/ScenarioManager";
+import useApiRequest from "../lib/useApiRequest";
+import useLateCounts from "../lib/useLateCounts";
+import { getMachines, getMachineArms } from "../lib/RotoEdgeApi";
 // Mock data imports
-import { machines_response } from "../data/machines";
 import { unloadedOrders } from "../data/sample-data";
-import { machine_display_response } from "../data/machine-display";
-import { enhanced_arm_loadqueue_62_response } from "../data/arm-enhanced-loadqueue";
-import { arm_62_counter_weights } from "../data/counter-weight";
-import {
-  arm_62_unscheduled_orders,
-  arm_63_unscheduled_orders,
-} from "../data/arm-unscheduled-orders";
 import RotoEdgeScheduler from "../components/Scheduler";
-import { DateHelper } from "@bryntum/scheduler";
 
 const MachineScheduling = () => {
-  // Using state hook because I'm assuming this data will be set in a useEffect later
-  const [machines] = useState(machines_response.machines);
-  // useEffect(() => {
-  //   const response = ...
-  //   setMachines(response.machines)
-  // }, [machines])
+  const { data: machines, loading, error, reload } = useApiRequest(getMachines);
+  // The machine opened from the factory dashboard (IE: /machineScheduling?machine=19) starts expanded
+  const [searchParams] = useSearchParams();
+  const openMachineId = searchParams.get("machine");
 
   return (
     <Box className={"flex-grow"} px={2} py={2} flexDirection="column">
       <Typography variant="h5">Machines</Typography>
-      {machines.map((machine: any, i: number) => (
-        <MachineAccordion key={`machine-schedule-${i}`} machine={machine} />
-      ))}
+      <ApiStatus
+        loading={loading}
+        error={error}
+        onRetry={reload}
+        isEmpty={!machines || machines.length === 0}
+        emptyMessage="There are no machines to schedule."
+        loadingMessage="Loading machines..."
+      >
+        {(machines || []).map((machine: any, i: number) => (
+          <MachineAccordion
+            key={`machine-schedule-${i}`}
+            machine={machine}
+            defaultExpanded={`${machine.id}` === openMachineId}
+          />
+        ))}
+      </ApiStatus>
     </Box>
   );
 };
 
 interface MachineAccordionProps {
   machine: any;
+  defaultExpanded?: boolean;
 }
-const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
-  // Use the machine.id to query for the machine-display. In this case, we only have one machine (19) but
-  // the query would go here.
-
-  // Recommendation: machine-display-response returns an object with arms[] and orders[]. I would recommend that the
-  // orders[] be nested inside each entry in arms[]. Unless all the orders for a machine are used for something
-  // completely independent of the parent arm- we can avoid unecessary computation by nesting them as a direct child.
-
-  // Important: When I nest the orders under each arm, I'm adding a flag to each order to tell the scheduler the order
-  // is current molding.
-  const armsWithOrders = machine_display_response.arms.map((arm: any) => ({
-    ...arm,
-    orders: machine_display_response.orders
-      .map((order: any) => ({ ...order, item_currently_molding: true }))
-      .filter((order: any) => order.arm === arm.id),
-  }));
-
-  const [machineArms] = useState(armsWithOrders);
+const MachineAccordion: FC<MachineAccordionProps> = ({
+  machine,
+  defaultExpanded = false,
+}) => {
+  // The arms of a machine are only queried the first time the accordion is expanded. We keep them
+  // mounted afterwards so collapsing the accordion doesn't discard unsaved changes.
+  const [hasExpanded, setHasExpanded] = useState(defaultExpanded);
+  // Late orders of every arm of the machine
+  const { lateCount, onLateCountChange } = useLateCounts();
 
   return (
     <Accordion
@@ -81,6 +80,8 @@ const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
         flexDirection: "column",
         justifyContent: "flex-start",
       }}
+      defaultExpanded={defaultExpanded}
+      onChange={(e: any, expanded: boolean) => expanded && setHasExpanded(true)}
     >
       <AccordionSummary
         expandIcon={<ExpandMoreIcon />}
@@ -88,88 +89,161 @@ const MachineAccordion: FC<MachineAccordionProps> = ({ machine }) => {
         id={`machine-${machine.id}-header`}
       >
         <Typography variant="h6">{machine.name}</Typography>
+        <LateOrdersChip count={lateCount} />
       </AccordionSummary>
       <AccordionDetails>
-        <Typography variant="h6">Machine Arms</Typography>
-        {machineArms.map((arm: any, i: number) => (
-          <ArmAccordion
-            key={`arm-accordion-${i}`}
-            arm={arm}
-            index={i}
-            moldingArmOrders={arm.orders}
+        {hasExpanded && (
+          <MachineArms
+            machine={machine}
+            onLateCountChange={onLateCountChange}
           />
-        ))}
-        {/* This is the list of all items on the machine. We can ignore this for integration. */}
-        <Typography variant="h6" mt={2}>
-          Machine Orders
-        </Typography>
-        <UnassignedTable rows={unloadedOrders} />
+        )}
       </AccordionDetails>
     </Accordion>
   );
 };
 
-interface ArmAccordionProps {
+interface MachineArmsProps {
+  machine: any;
+  onLateCountChange: (armId: any, count: number) => void;
+}
+const MachineArms: FC<MachineArmsProps> = ({ machine, onLateCountChange }) => {
+  // Recommendation: machine-display-response returns an object with arms[] and orders[]. I would recommend that the
+  // orders[] be nested inside each entry in arms[]. Unless all the orders for a machine are used for something
+  // completely independent of the parent arm- we can avoid unecessary computation by nesting them as a direct child.
+  const {
+    data: machineArms,
+    loading,
+    error,
+    reload,
+  } = useApiRequest(useCallback(() => getMachineArms(machine), [machine]));
+  // Incremented every time the auto-schedule of the whole machine is requested
+  const [autoScheduleRequest, setAutoScheduleRequest] = useState(0);
+  // What-if scenarios of the machine schedule. The scheduler of every arm registers with it.
+  const [scenarioManager] = useState(new ScenarioManager());
+  // "arms" shows a scheduler per arm, "machine" shows every arm in one scheduler (see
+  // MachineScheduler). The arms stay mounted while the machine is shown, so their unsaved changes
+  // are kept.
+  const [view, setView] = useState("arms");
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between">
+        <Typography variant="h6">Machine Arms</Typography>
+        <Box display="flex">
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={view}
+            onChange={(e: any, value: string | null) => value && setView(value)}
+            sx={{ marginRight: 1 }}
+          >
+            <ToggleButton value="arms">Arms</ToggleButton>
+            <ToggleButton value="machine">Machine</ToggleButton>
+          </ToggleButtonGroup>
+          <Button
+            variant="outlined"
+            size={"small"}
+            color="info"
+            disabled={
+              !machineArms || machineArms.length === 0 || view !== "arms"
+            }
+            onClick={() => setAutoScheduleRequest(autoScheduleRequest + 1)}
+          >
+            Auto-schedule Machine
+          </Button>
+        </Box>
+      </Box>
+      {machineArms && machineArms.length > 0 && (
+        <ScenarioBar scenarioManager={scenarioManager} />
+      )}
+      <ApiStatus
+        loading={loading}
+        error={error}
+        onRetry={reload}
+        isEmpty={!machineArms || machineArms.length === 0}
+        emptyMessage="This machine has no arms."
+        loadingMessage="Loading arms..."
+      >
+        {view === "machine" && machineArms && (
+          <MachineScheduler
+            arms={machineArms}
+            scenarioManager={scenarioManager}
+          />
+        )}
+        <Box display={view === "arms" ? "block" : "none"}>
+          {(machineArms || []).map((arm: any, i: number) => (
+            <ArmAccordion
+              key={`arm-accordion-${arm.id}`}
+              arm={arm}
+              index={i}
+              onLateCountChange={onLateCountChange}
+              editable={true}
+              // The proposal of the arm is shown under its scheduler, so the arm is expanded
+              expandRequest={autoScheduleRequest}
+              renderScheduler={(armSchedule: any, onArmLateCountChange) => (
+                <ArmScheduler
+                  arm={arm}
+                  orders={armSchedule.orders}
+                  hardBreaks={armSchedule.hardBreaks}
+                  maintenanceWindows={armSchedule.maintenanceWindows}
+                  diagnostics={armSchedule.diagnostics}
+                  calendar={armSchedule.calendar}
+                  ovenRule={armSchedule.ovenRule}
+                  initialUnscheduledOrders={armSchedule.unscheduledOrders}
+                  onLateCountChange={onArmLateCountChange}
+                  autoScheduleRequest={autoScheduleRequest}
+                  scenarioManager={scenarioManager}
+                />
+              )}
+            />
+          ))}
+        </Box>
+      </ApiStatus>
+      {/* This is the list of all items on the machine. We can ignore this for integration. */}
+      <Typography variant="h6" mt={2}>
+        Machine Orders
+      </Typography>
+      <UnassignedTable rows={unloadedOrders} />
+    </Box>
+  );
+};
+
+interface ArmSchedulerProps {
   arm: any;
-  index: number;
-  moldingArmOrders: any[];
+  orders: any[];
+  hardBreaks: any[];
+  maintenanceWindows: any[];
+  diagnostics: any[];
+  calendar: any;
+  ovenRule: any;
+  initialUnscheduledOrders: any[];
+  onLateCountChange: (count: number) => void;
+  autoScheduleRequest: number;
+  scenarioManager: any;
 }
 
-const ArmAccordion: FC<ArmAccordionProps> = ({
+const ArmScheduler: FC<ArmSchedulerProps> = ({
   arm,
-  index,
-  moldingArmOrders,
+  orders,
+  hardBreaks,
+  maintenanceWindows,
+  diagnostics,
+  calendar,
+  ovenRule,
+  initialUnscheduledOrders,
+  onLateCountChange,
+  autoScheduleRequest,
+  scenarioManager,
 }) => {
   // Make a new ref for the external drag container (MUI table with unassigned orders)
   const dragContainer = useRef(null);
 
-  // ================== SCHEDULED ORDERS SECTION =======================
-
-  // This represents all of the orders that are scheduled but are not currently molding
-  const [scheduledOrders] = useState(
-    arm.id === 62 ? enhanced_arm_loadqueue_62_response.objects : []
-  );
-
-  const [counterWeights] = useState(
-    arm.id === 62
-      ? arm_62_counter_weights.map((cw) => mapToCounterWeightModel(cw))
-      : []
-  );
-
-  // The schema for orders that are molding vs those that are scheduled is different so I'm normalizing them here
-  // and mapping them to the model that is required by the Scheduler componennt
-  const allNormalizedOrders = mapToOrderModel([
-    ...moldingArmOrders,
-    ...scheduledOrders.map((ord) => normalizeOrder(ord)),
-  ]);
-
-  // The final list of items that are scheduled on this arm. We grab their start dates based off
-  // the priority queue of "load-after" fields.
-  const [allScheduledArmOrders] = useState(
-    getOrdersWithStartDates([...allNormalizedOrders, ...counterWeights])
-  );
-
-  // ================== HARD BREAKS SECTION =======================
-
-  const [hardBreaks] = useState(
-    [
-      {
-        id: 123,
-        start: DateHelper.add(new Date(), 1, "day"),
-        notes: "something!",
-      },
-    ].map((hardBreak: any) => mapToHardBreakModel(hardBreak))
-  );
-
   // ================== UNSCHEDULED ORDERS SECTION =======================
 
   // This represents the items that have been assigned to the arm but haven't been scheduled
   const [unscheduledOrders, setUnscheduledOrders] = useState(
-    arm.id === 62
-      ? mapToOrderModel(arm_62_unscheduled_orders.unscheduled_orders)
-      : arm.id === 63
-      ? mapToOrderModel(arm_63_unscheduled_orders.unscheduled_orders)
-      : []
+    initialUnscheduledOrders
   );
 
   // Create a new unassigned store based off the data in unscheduledOrders. We create it here so we can
@@ -246,42 +320,33 @@ const ArmAccordion: FC<ArmAccordionProps> = ({
   ]);
 
   return (
-    <Accordion
-      sx={{
-        display: "flex",
-        flexDirection: "column",
-        justifyContent: "flex-start",
-        backgroundColor: "rgb(244, 249, 255);",
-      }}
-    >
-      <AccordionSummary
-        expandIcon={<ExpandMoreIcon />}
-        aria-controls={`arm-${arm.id}-content`}
-        id={`arm-${arm.id}-header`}
-      >
-        <Typography>
-          {arm.name} (Arm {index + 1})
-        </Typography>
-      </AccordionSummary>
-      <AccordionDetails>
-        {/* Info about the arm and orders that are currently molding. Not necessary for integration */}
-        <ArmDetail moldingArmOrders={moldingArmOrders} />
-        {/* The scheduler component for the arm */}
-        <RotoEdgeScheduler
-          armId={arm.id}
-          unassignedStore={unassignedStore}
-          dragContainer={dragContainer}
-          orders={allScheduledArmOrders}
-          hardBreaks={hardBreaks}
-          readOnly={false}
-        />
-        {/* The draggable list of items that are scheduled to the arm but aren't scheduled on the scheduler yet */}
-        <CustomDragContainer armId={arm.id} dragContainerRef={dragContainer}>
-          {/* API Table component could go here in place of <UnassignedTable /> */}
-          <UnassignedTable rows={unscheduledOrders} />
-        </CustomDragContainer>
-      </AccordionDetails>
-    </Accordion>
+    <Box>
+      {/* The scheduler component for the arm */}
+      <RotoEdgeScheduler
+        armId={arm.id}
+        armName={arm.name}
+        unassignedStore={unassignedStore}
+        dragContainer={dragContainer}
+        orders={orders}
+        hardBreaks={hardBreaks}
+        maintenanceWindows={maintenanceWindows}
+        shutdown={arm.shutdown}
+        critical={arm.critical}
+        diagnostics={diagnostics}
+        calendar={calendar}
+        capacity={arm.capacity}
+        ovenRule={ovenRule}
+        onLateCountChange={onLateCountChange}
+        autoScheduleRequest={autoScheduleRequest}
+        scenarioManager={scenarioManager}
+        readOnly={false}
+      />
+      {/* The draggable list of items that are scheduled to the arm but aren't scheduled on the scheduler yet */}
+      <CustomDragContainer armId={arm.id} dragContainerRef={dragContainer}>
+        {/* API Table component could go here in place of <UnassignedTable /> */}
+        <UnassignedTable rows={unscheduledOrders} />
+      </CustomDragContainer>
+    </Box>
   );
 };
 